@@ -4,6 +4,45 @@
  */
 
 import { CONFIG, isDebug } from './config.js';
+import { StateManager } from './core/state/manager.js';
+import { WorkflowDiagram } from './workflow/diagram.js';
+import { Helpers } from './core/utils/helpers.js';
+
+/**
+ * Run a dialog-driven workflow and return one action's result
+ * On success this is the action's own Result, as the orchestrator returned
+ * before; a failed workflow returns null (see COORDINATOR_CHANGELOG.md).
+ * @param {string} name - Workflow name
+ * @param {string} resultKey - `ctx.results` key to return
+ * @param {object} seed - API seed, available to input nodes as `ctx.seed`
+ * @param {string} failureMessage - Notification shown when the workflow fails
+ * @returns {Promise<object|null>} Action result, or null if cancelled or failed
+ */
+async function runDialogWorkflow(name, resultKey, seed, failureMessage) {
+  const moduleInstance = globalThis.sw5eHelperModule;
+  if (!moduleInstance) {
+    throw new Error("SW5E Helper module not found. Make sure the module is loaded and initialized.");
+  }
+  
+  if (!moduleInstance.ready) {
+    throw new Error("SW5E Helper module not ready. Wait for the module to fully initialize.");
+  }
+  
+  if (!moduleInstance.coordinator) {
+    throw new Error("Workflow coordinator not initialized");
+  }
+  
+  const result = await moduleInstance.coordinator.execute(name, { actorId: seed.actorId, seed });
+  if (result.meta?.cancelled) return null;
+  
+  if (!result.ok) {
+    console.error(`SW5E Helper: ${name} failed`, result.errors);
+    ui.notifications.error(failureMessage);
+    return null;
+  }
+  
+  return result.data?.results?.[resultKey] ?? null;
+}
 
 /**
  * SW5E Helper Public API
@@ -11,74 +50,33 @@ import { CONFIG, isDebug } from './config.js';
 export const API = {
   /**
    * Execute attack workflow
+   * Runs `attackDialogWorkflow` (or `seed.workflow`) through the coordinator,
+   * so hooks, journaling and compensation apply to dialog-driven attacks.
    * @param {object} seed - Initial configuration
-   * @returns {Promise<object>} Attack result
+   * @param {string} [seed.workflow] - Workflow to run instead of the default
+   * @returns {Promise<object|null>} Attack result, or null if cancelled or failed
    */
   async openAttack(seed = {}) {
     if (isDebug()) {
       console.log("SW5E Helper API: openAttack() called", seed);
     }
     
-    // Get the module instance to access the workflow orchestrator
-    const moduleInstance = globalThis.sw5eHelperModule;
-    if (!moduleInstance) {
-      throw new Error("SW5E Helper module not found. Make sure the module is loaded and initialized.");
-    }
-    
-    if (!moduleInstance.ready) {
-      throw new Error("SW5E Helper module not ready. Wait for the module to fully initialize.");
-    }
-    
-    if (!moduleInstance.workflowOrchestrator) {
-      console.error("SW5E Helper: Workflow orchestrator not available", {
-        moduleInstance: !!moduleInstance,
-        workflowOrchestrator: !!moduleInstance.workflowOrchestrator,
-        workflow: !!moduleInstance.workflow
-      });
-      throw new Error("SW5E Helper workflow orchestrator not initialized");
-    }
-    
-    if (isDebug()) {
-      console.log("SW5E Helper API: Calling WorkflowOrchestrator.executeAttack");
-    }
-    
-    return moduleInstance.workflowOrchestrator.executeAttack(seed);
+    return runDialogWorkflow(seed.workflow || "attackDialogWorkflow", "attack", seed, "Attack workflow failed - see console for details");
   },
 
   /**
    * Execute damage workflow
+   * Runs `damageDialogWorkflow` (or `seed.workflow`) through the coordinator.
    * @param {object} seed - Initial configuration
-   * @returns {Promise<object>} Damage result
+   * @param {string} [seed.workflow] - Workflow to run instead of the default
+   * @returns {Promise<object|null>} Damage result, or null if cancelled or failed
    */
   async openDamage(seed = {}) {
     if (isDebug()) {
       console.log("SW5E Helper API: openDamage() called", seed);
     }
     
-    // Get the module instance to access the workflow orchestrator
-    const moduleInstance = globalThis.sw5eHelperModule;
-    if (!moduleInstance) {
-      throw new Error("SW5E Helper module not found. Make sure the module is loaded and initialized.");
-    }
-    
-    if (!moduleInstance.ready) {
-      throw new Error("SW5E Helper module not ready. Wait for the module to fully initialize.");
-    }
-    
-    if (!moduleInstance.workflowOrchestrator) {
-      console.error("SW5E Helper: Workflow orchestrator not available", {
-        moduleInstance: !!moduleInstance,
-        workflowOrchestrator: !!moduleInstance.workflowOrchestrator,
-        workflow: !!moduleInstance.workflow
-      });
-      throw new Error("SW5E Helper workflow orchestrator not initialized");
-    }
-    
-    if (isDebug()) {
-      console.log("SW5E Helper API: Calling WorkflowOrchestrator.executeDamage");
-    }
-    
-    return moduleInstance.workflowOrchestrator.executeDamage(seed);
+    return runDialogWorkflow(seed.workflow || "damageDialogWorkflow", "damage", seed, "Damage workflow failed - see console for details");
   },
 
   /**
@@ -170,6 +168,7 @@ export const API = {
    * Define a workflow
    * @param {string} name - Workflow name
    * @param {object} graph - Workflow graph definition
+   * @returns {object} Analyzer report with any warnings (errors throw)
    */
   defineWorkflow(name, graph) {
     if (isDebug()) {
@@ -181,7 +180,124 @@ export const API = {
       throw new Error("Workflow coordinator not initialized");
     }
     
-    coordinator.defineWorkflow(name, graph);
+    return coordinator.defineWorkflow(name, graph);
+  },
+
+  /**
+   * Save a workflow to the world so it is registered on every client and at
+   * every startup (GM only)
+   * @param {object} graph - Workflow graph definition (plain JSON)
+   * @returns {Promise<object>} Analyzer report with any warnings (errors throw)
+   */
+  async saveWorkflow(graph) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      throw new Error("Workflow coordinator not initialized");
+    }
+
+    return coordinator.saveUserWorkflow(graph);
+  },
+
+  /**
+   * Delete a workflow saved to the world (GM only)
+   * @param {string} name - Workflow name
+   * @returns {Promise<boolean>} True if the workflow was stored
+   */
+  async deleteWorkflow(name) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      throw new Error("Workflow coordinator not initialized");
+    }
+
+    return coordinator.deleteUserWorkflow(name);
+  },
+
+  /**
+   * List the workflows saved to the world
+   * @returns {object[]} Entries: `{ name, version, updated, userId }`
+   */
+  listUserWorkflows() {
+    return StateManager.listUserWorkflows().map(({ name, graph, updated, userId }) => ({
+      name,
+      version: graph?.version,
+      updated,
+      userId
+    }));
+  },
+
+  /**
+   * Export a registered workflow as JSON
+   * @param {string} name - Workflow name
+   * @returns {string} Export document
+   */
+  exportWorkflow(name) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      throw new Error("Workflow coordinator not initialized");
+    }
+
+    return coordinator.exportWorkflow(name);
+  },
+
+  /**
+   * Download a registered workflow as a JSON file
+   * @param {string} name - Workflow name
+   */
+  exportWorkflowFile(name) {
+    saveDataToFile(API.exportWorkflow(name), "text/json", `${name}.json`);
+  },
+
+  /**
+   * Import a workflow export and save it to the world (GM only)
+   * @param {string} json - Export document
+   * @param {object} [options] - `{ overwrite }` replaces a stored workflow with the same name
+   * @returns {Promise<object>} Analyzer report with any warnings (errors throw)
+   */
+  async importWorkflow(json, options = {}) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      throw new Error("Workflow coordinator not initialized");
+    }
+
+    return coordinator.importWorkflow(json, options);
+  },
+
+  /**
+   * Pick a workflow JSON file and import it (GM only)
+   * @param {object} [options] - `{ overwrite }` replaces a stored workflow with the same name
+   * @returns {Promise<object|null>} Analyzer report, or null if cancelled or rejected
+   */
+  async importWorkflowFile(options = {}) {
+    const file = await Helpers.promptFile("Import Workflow", ".json");
+    if (!file) return null;
+
+    try {
+      const report = await API.importWorkflow(await readTextFromFile(file), options);
+      ui.notifications?.info?.(`Imported workflow from ${file.name}${report.warnings.length ? ` with ${report.warnings.length} warning(s)` : ""}`);
+      return report;
+    } catch (error) {
+      ui.notifications?.error?.(`Workflow import failed: ${error.message}`);
+      return null;
+    }
+  },
+
+  /**
+   * Statically analyze a workflow without registering it
+   * @param {string|object} nameOrGraph - Registered workflow name or a graph definition
+   * @returns {object} Report: `{ ok, errors, warnings }`, each diagnostic `{ severity, code, message, graph, nodeId }`
+   */
+  analyzeWorkflow(nameOrGraph) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      throw new Error("Workflow coordinator not initialized");
+    }
+    
+    const graph = typeof nameOrGraph === "string" ? coordinator.getWorkflow(nameOrGraph) : nameOrGraph;
+    if (!graph) {
+      throw new Error(`Unknown workflow: ${nameOrGraph}`);
+    }
+    
+    return coordinator.analyzeWorkflow(graph);
   },
 
   /**
@@ -204,6 +320,41 @@ export const API = {
     return coordinator.execute(name, context, options);
   },
 
+  /**
+   * Rehearse a workflow without changing the world
+   * Actions run in full against copies of the actors, with dice from
+   * `simulation.dice` and then `simulation.seed`; no documents or chat messages
+   * are written. The predicted outcome is in `result.meta.simulation`.
+   * @param {string} name - Workflow name
+   * @param {object} context - Execution context
+   * @param {object} [simulation] - `{ dice, seed, inputs, decisions, edits }`
+   * @returns {Promise<object>} Workflow result
+   */
+  async simulateWorkflow(name, context = {}, simulation = {}) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      throw new Error("Workflow coordinator not initialized");
+    }
+
+    return coordinator.execute(name, context, { simulate: simulation });
+  },
+
+  /**
+   * Stop waiting for player rolls on a running workflow (GM only)
+   * Unanswered targets then follow the waitFor node's `onMissing` policy.
+   * @param {string} workflowId - Workflow execution ID
+   * @param {string} [nodeId] - WaitFor node, or every wait in the execution
+   * @returns {number} Waits stopped on this client (0 when relayed to another client)
+   */
+  overrideWait(workflowId, nodeId) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      throw new Error("Workflow coordinator not initialized");
+    }
+
+    return coordinator.overrideWait(workflowId, nodeId);
+  },
+
   /**
    * List all registered workflows
    * @returns {string[]} Workflow names
@@ -220,15 +371,174 @@ export const API = {
   /**
    * Get workflow definition
    * @param {string} name - Workflow name
+   * @param {string} [version] - Registered version (defaults to the current definition)
    * @returns {object|null} Workflow graph
    */
-  getWorkflow(name) {
+  getWorkflow(name, version) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      return null;
+    }
+    
+    return coordinator.getWorkflow(name, version);
+  },
+
+  /**
+   * List the registered versions of a workflow, oldest first
+   * @param {string} name - Workflow name
+   * @returns {string[]} Versions
+   */
+  listWorkflowVersions(name) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      return [];
+    }
+
+    return coordinator.listWorkflowVersions(name);
+  },
+
+  /**
+   * Get the execution journal for a workflow run
+   * @param {string} workflowId - Workflow execution ID
+   * @returns {Promise<object|null>} Journal with timeline entries
+   */
+  async getWorkflowJournal(workflowId) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      return null;
+    }
+    
+    return coordinator.getJournal(workflowId);
+  },
+
+  /**
+   * Re-render the recorded outcome of a workflow run as a chat card
+   * @param {string} workflowId - Workflow execution ID
+   * @returns {Promise<object>} Journal that was replayed
+   */
+  async replay(workflowId) {
+    if (isDebug()) {
+      console.log("SW5E Helper API: replay() called", { workflowId });
+    }
+    
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      throw new Error("Workflow coordinator not initialized");
+    }
+    
+    return coordinator.replay(workflowId);
+  },
+
+  /**
+   * Open the timeline inspector for a workflow run
+   * @param {string} workflowId - Workflow execution ID
+   * @returns {Promise<Application|null>} Inspector window
+   */
+  async inspectWorkflow(workflowId) {
+    const { JournalInspector } = await import('./ui/dialogs/JournalInspector.js');
+    return JournalInspector.open(workflowId);
+  },
+
+  /**
+   * Open the panel of running and paused workflow executions (GM only)
+   * @returns {Promise<Application|null>} Executions panel
+   */
+  async openExecutionsPanel() {
+    const { ExecutionsPanel } = await import('./ui/dialogs/ExecutionsPanel.js');
+    return ExecutionsPanel.open();
+  },
+
+  /**
+   * Open the visual workflow editor (GM only)
+   * @param {string} [name] - World or registered workflow to load (a new graph when omitted)
+   * @returns {Promise<Application|null>} Workflow editor
+   */
+  async openWorkflowEditor(name) {
+    const { WorkflowEditor } = await import('./ui/dialogs/WorkflowEditor.js');
+    return WorkflowEditor.open(name);
+  },
+
+  /**
+   * Cancel a workflow execution running on this client
+   * @param {string} workflowId - Workflow execution ID
+   * @returns {boolean} True if a running execution was cancelled
+   */
+  cancelWorkflow(workflowId) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      return false;
+    }
+
+    return coordinator.cancelExecution(workflowId);
+  },
+
+  /**
+   * Export workflow traces and action/workflow timing percentiles as JSON
+   * @param {string} [workflowId] - Execution to export (defaults to every retained trace)
+   * @returns {string|null} JSON document
+   */
+  exportWorkflowTraces(workflowId) {
     const coordinator = globalThis.sw5eHelperModule?.coordinator;
     if (!coordinator) {
       return null;
     }
+
+    return coordinator.exportTraces(workflowId);
+  },
+
+  /**
+   * Timing percentiles per action and workflow
+   * @returns {object} Summaries keyed "action:<name>" and "workflow:<name>"
+   */
+  getWorkflowMetrics() {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      return {};
+    }
+
+    return coordinator.metrics.summary();
+  },
+
+  /**
+   * Clear the rolling workflow metrics
+   */
+  resetWorkflowMetrics() {
+    globalThis.sw5eHelperModule?.coordinator?.metrics.reset();
+  },
+
+  /**
+   * List stored workflow journals, newest first
+   * @returns {object[]} Journal summaries
+   */
+  listWorkflowJournals() {
+    return StateManager.listJournals();
+  },
+
+  /**
+   * Export a registered workflow as a diagram
+   * @param {string} name - Workflow name
+   * @param {string} [format="mermaid"] - "mermaid" or "dot"
+   * @param {object} [options] - Export options
+   * @param {string} [options.workflowId] - Journaled execution whose path to highlight
+   * @returns {Promise<string>} Diagram source
+   */
+  async exportWorkflowDiagram(name, format = "mermaid", options = {}) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      throw new Error("Workflow coordinator not initialized");
+    }
+    
+    const graph = coordinator.getWorkflow(name);
+    if (!graph) {
+      throw new Error(`Unknown workflow: ${name}`);
+    }
+    
+    const journal = options.workflowId ? await coordinator.getJournal(options.workflowId) : null;
+    if (options.workflowId && !journal) {
+      throw new Error(`No journal found for workflow execution ${options.workflowId}`);
+    }
     
-    return coordinator.getWorkflow(name);
+    return WorkflowDiagram.render(coordinator, graph, format, { journal });
   },
 
   /**
@@ -30,7 +30,14 @@ export const CONFIG = {
     maxSteps: 50,
     defaultTimeout: 30000,
     resumeTokenTTL: 24 * 60 * 60 * 1000, // 24 hours
-    maxParallelBranches: 10
+    maxParallelBranches: 10,
+    maxLoopIterations: 50,
+    idempotencyWindow: 5000, // ms during which repeated action keys return the cached result
+    waitForTimeout: 120000, // ms a waitFor node waits for player responses
+    journalRetention: 100, // execution journals kept in the world setting
+    journalMaxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    traceRetention: 20, // finished execution traces kept in memory for export
+    metricsSampleSize: 200 // durations kept per action/workflow for percentiles
   },
   
   defaults: {
@@ -4,6 +4,22 @@
  */
 
 export class ActorResolver {
+  /**
+   * Stand-in actors for the length of a workflow simulation, or null
+   * `sandbox.actor(actor)` returns the copy to use in place of a live actor.
+   * @type {{actor: (actor: Actor) => Actor}|null}
+   */
+  static sandbox = null;
+
+  /**
+   * Swap a resolved actor for its sandbox copy while a simulation runs
+   * @param {Actor|null} actor - Live actor
+   * @returns {Actor|null} Actor to use
+   */
+  static sandboxed(actor) {
+    return actor && this.sandbox ? this.sandbox.actor(actor) : actor;
+  }
+
   /**
    * Get actor from various sources
    * @param {object} options - Resolution options
@@ -15,28 +31,61 @@ export class ActorResolver {
     // Try direct ID lookup first
     if (actorId) {
       const actor = game.actors?.get(actorId);
-      if (actor) return actor;
+      if (actor) return this.sandboxed(actor);
     }
     
     // Try from token
     if (token?.actor) {
-      return token.actor;
+      return this.sandboxed(token.actor);
     }
     
     // Fallback to selected token
     if (fallbackToSelected) {
       const controlled = canvas.tokens?.controlled?.[0];
-      if (controlled?.actor) return controlled.actor;
+      if (controlled?.actor) return this.sandboxed(controlled.actor);
     }
     
     // Fallback to user character
     if (fallbackToUser && game.user?.character) {
-      return game.user.character;
+      return this.sandboxed(game.user.character);
     }
     
     return null;
   }
 
+  /**
+   * Get the actor a workflow context refers to
+   * Prefers the token named by `tokenRef` ("sceneId:tokenId") so unlinked
+   * tokens resolve to their synthetic actor, then falls back to `actorId`.
+   * @param {object} context - Workflow context
+   * @returns {Actor|null} The resolved actor
+   */
+  static getContextActor(context = {}) {
+    if (context.tokenRef) {
+      const [sceneId, tokenId] = context.tokenRef.split(":");
+      const actor = this.getToken(sceneId, tokenId)?.actor;
+      if (actor) return this.sandboxed(actor);
+    }
+
+    return context.actorId ? this.sandboxed(game.actors?.get(context.actorId) ?? null) : null;
+  }
+
+  /**
+   * Get the actor behind a workflow target ID
+   * Accepts "sceneId:tokenId" refs (synthetic actors included) or actor IDs.
+   * @param {string} targetId - Target identifier
+   * @returns {Actor|null} The resolved actor
+   */
+  static getTargetActor(targetId) {
+    if (!targetId) return null;
+    if (targetId.includes(":")) {
+      const [sceneId, tokenId] = targetId.split(":");
+      return this.sandboxed(this.getToken(sceneId, tokenId)?.actor ?? null);
+    }
+
+    return this.sandboxed(game.actors?.get(targetId) ?? canvas?.scene?.tokens?.get(targetId)?.actor ?? null);
+  }
+
   /**
    * Get token from scene and token ID
    * @param {string} sceneId - Scene ID
@@ -4,16 +4,21 @@
 
 import * as Crit from './crit.js';
 import { DiceRoller } from './roller.js';
+import { SeededProvider, SequenceProvider, createRandomProvider } from './random.js';
 import { FormulaBuilder, FormulaUtils } from './formula.js';
 import { CheckEvaluator, D20Evaluator } from './evaluator.js';
 
 export { DiceRoller } from './roller.js';
+export { SeededProvider, SequenceProvider, createRandomProvider } from './random.js';
 export { FormulaBuilder, FormulaUtils } from './formula.js';
 export { CheckEvaluator, D20Evaluator } from './evaluator.js';
 export { Crit };
 
 export default {
   DiceRoller,
+  SeededProvider,
+  SequenceProvider,
+  createRandomProvider,
   FormulaBuilder,
   FormulaUtils,
   CheckEvaluator,
@@ -0,0 +1,106 @@
+/**
+ * Randomness providers for DiceRoller
+ * A provider stands in for Foundry's random source: `next(faces)` returns the
+ * face rolled on a die of that size.
+ * @module core/dice/random
+ */
+
+/**
+ * Hash a seed to a 32-bit integer (FNV-1a)
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded uniform generator over [0, 1) (mulberry32)
+ * @param {number} state - 32-bit seed
+ * @returns {() => number} Generator
+ */
+function seededRandom(state) {
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pseudo-random dice from a seed; the same seed always rolls the same faces
+ */
+export class SeededProvider {
+  /**
+   * @param {number|string} seed - Seed value
+   */
+  constructor(seed) {
+    this.seed = seed;
+    this.random = seededRandom(hashSeed(seed));
+  }
+
+  next(faces) {
+    return Math.floor(this.random() * faces) + 1;
+  }
+}
+
+/**
+ * Dice from a fixed list of faces, in order
+ * Once the list runs out, the fallback provider rolls; without one, rolling
+ * throws. A face outside the die's range also throws.
+ */
+export class SequenceProvider {
+  /**
+   * @param {number[]} [values] - Faces to roll, in order
+   * @param {Object} [options] - Provider options
+   * @param {Object} [options.fallback] - Provider used after the sequence
+   */
+  constructor(values = [], { fallback = null } = {}) {
+    this.values = [...values];
+    this.fallback = fallback;
+  }
+
+  /** @returns {number} Faces left in the sequence */
+  get remaining() {
+    return this.values.length;
+  }
+
+  next(faces) {
+    if (!this.values.length) {
+      if (this.fallback) return this.fallback.next(faces);
+      throw new Error(`Dice sequence exhausted rolling a d${faces}`);
+    }
+
+    const result = this.values.shift();
+    if (!Number.isInteger(result) || result < 1 || result > faces) {
+      throw new Error(`Sequenced die result ${result} is not a face of a d${faces}`);
+    }
+    return result;
+  }
+}
+
+/**
+ * Build a provider from a spec
+ * Accepts a provider (anything with `next`), `{ seed }`, or
+ * `{ sequence, seed }`, where the seed rolls once the sequence runs out.
+ * @param {Object} spec - Provider or provider spec
+ * @returns {{next: (faces: number) => number}} Provider
+ */
+export function createRandomProvider(spec) {
+  if (typeof spec?.next === 'function') return spec;
+
+  const seeded = spec?.seed !== undefined && spec?.seed !== null ? new SeededProvider(spec.seed) : null;
+  if (Array.isArray(spec?.sequence)) return new SequenceProvider(spec.sequence, { fallback: seeded });
+  if (seeded) return seeded;
+
+  throw new Error('Random provider needs next(), a seed or a sequence');
+}
+
+export default { SeededProvider, SequenceProvider, createRandomProvider };
@@ -3,7 +3,44 @@
  * Handles all dice rolling operations with DSN integration
  */
 
+import { createRandomProvider } from './random.js';
+
 export class DiceRoller {
+  /**
+   * Randomness provider, or null for Foundry's random source
+   * While set, every roll draws its dice from `provider.next(faces)`.
+   * @type {{next: (faces: number) => number}|null}
+   */
+  static provider = null;
+
+  /**
+   * Set the randomness provider
+   * Accepts a provider, `{ seed }` or `{ sequence, seed }` (see
+   * `createRandomProvider`), or null to go back to Foundry's random source.
+   * @param {Object|null} spec - Provider or provider spec
+   * @returns {Object|null} The previous provider
+   */
+  static setProvider(spec) {
+    const previous = this.provider;
+    this.provider = spec ? createRandomProvider(spec) : null;
+    return previous;
+  }
+
+  /**
+   * Run a function with a randomness provider, then restore the previous one
+   * @param {Object} spec - Provider or provider spec
+   * @param {(provider: Object) => any} fn - Function to run
+   * @returns {Promise<any>} The function's result
+   */
+  static async withProvider(spec, fn) {
+    const previous = this.setProvider(spec);
+    try {
+      return await fn(this.provider);
+    } finally {
+      this.provider = previous;
+    }
+  }
+
   /**
    * Roll a formula with optional roll data
    * @param {string} formula - The dice formula to roll
@@ -13,6 +50,18 @@ export class DiceRoller {
    */
   static async roll(formula, data = {}, options = {}) {
     const roll = new Roll(formula, data);
+
+    // Provided rolls draw their dice from the provider and are never animated
+    if (this.provider) {
+      const terms = this.provide(roll, this.provider);
+      try {
+        await roll.evaluate({ async: true });
+      } finally {
+        for (const term of terms) delete term.roll;
+      }
+      return roll;
+    }
+
     await roll.evaluate({ async: true });
     
     // Integrate with DSN if available and not disabled
@@ -27,6 +76,29 @@ export class DiceRoller {
     return roll;
   }
 
+  /**
+   * Make an unevaluated roll draw its dice from a provider
+   * Each dice term's `roll()` is replaced on that term only, so Foundry's own
+   * evaluation still applies keep/drop, rerolls, explosions and the total,
+   * and any extra dice those modifiers roll come from the provider too. Dice
+   * nested in parenthetical or pool terms only exist once the roll is
+   * evaluated, so they use Foundry's random source.
+   * @param {Roll} roll - Unevaluated roll
+   * @param {{next: (faces: number) => number}} provider - Randomness provider
+   * @returns {DiceTerm[]} The terms that were patched
+   */
+  static provide(roll, provider) {
+    const terms = roll.dice;
+    for (const term of terms) {
+      term.roll = function() {
+        const result = { result: provider.next(this.faces), active: true };
+        this.results.push(result);
+        return result;
+      };
+    }
+    return terms;
+  }
+
   /**
    * Roll multiple formulas in sequence
    * @param {string[]} formulas - Array of formulas to roll
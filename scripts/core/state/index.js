@@ -6,15 +6,18 @@ import * as Presets from './presets.js';
 import { StateManager } from './manager.js';
 import { TargetFreezer } from './freezer.js';
 import { StateValidator } from './validator.js';
+import { IdempotencyLedger } from './ledger.js';
 
 export { StateManager } from './manager.js';
 export { TargetFreezer } from './freezer.js';
 export { StateValidator } from './validator.js';
+export { IdempotencyLedger } from './ledger.js';
 export { Presets };
 
 export default {
   StateManager,
   TargetFreezer,
   StateValidator,
+  IdempotencyLedger,
   Presets
 };
\ No newline at end of file
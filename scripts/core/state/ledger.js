@@ -0,0 +1,98 @@
+/**
+ * Idempotency ledger
+ * Short-lived record of recently executed idempotency keys, shared by the
+ * workflow coordinator and chat card handlers so a double click or a replayed
+ * step returns the first result instead of running twice.
+ */
+
+import { getConfig } from '../../config.js';
+
+/** @type {Map<string, {promise: Promise<any>, expires: number}>} */
+const entries = new Map();
+
+export class IdempotencyLedger {
+  /**
+   * Dedupe window in milliseconds
+   * @returns {number} Window length
+   */
+  static get window() {
+    return getConfig('coordinator.idempotencyWindow', 5000);
+  }
+
+  /**
+   * Build a ledger key from parts
+   * @param {...any} parts - Key parts (e.g. action, message ID, target ref)
+   * @returns {string} Ledger key
+   */
+  static key(...parts) {
+    return parts.map(p => String(p ?? "")).join("|");
+  }
+
+  /**
+   * Run a task once per key within the window
+   * Concurrent callers share the pending promise. Only successful results are
+   * kept; thrown errors and `ok: false` results are dropped so the task can be
+   * retried.
+   * @param {string} key - Idempotency key
+   * @param {Function} task - Async task to run
+   * @param {number} [window] - Window override in milliseconds
+   * @returns {Promise<{result: any, cached: boolean}>} Task result
+   */
+  static async run(key, task, window = this.window) {
+    this.prune();
+
+    const existing = key ? entries.get(key) : null;
+    if (existing) {
+      return { result: await existing.promise, cached: true };
+    }
+
+    const promise = Promise.resolve().then(task);
+    if (key && window > 0) {
+      entries.set(key, { promise, expires: Date.now() + window });
+    }
+
+    const forget = () => {
+      if (entries.get(key)?.promise === promise) entries.delete(key);
+    };
+
+    try {
+      const result = await promise;
+      if (result?.ok === false) forget();
+      return { result, cached: false };
+    } catch (error) {
+      forget();
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a key is still inside its window
+   * @param {string} key - Idempotency key
+   * @returns {boolean} True if recorded
+   */
+  static has(key) {
+    this.prune();
+    return entries.has(key);
+  }
+
+  /**
+   * Forget one key, or every key when omitted
+   * @param {string} [key] - Idempotency key
+   */
+  static clear(key) {
+    if (key === undefined) entries.clear();
+    else entries.delete(key);
+  }
+
+  /**
+   * Drop expired entries
+   */
+  static prune() {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expires <= now) entries.delete(key);
+    }
+  }
+}
+
+export default IdempotencyLedger;
@@ -217,10 +217,84 @@ export class StateManager {
     return tokens[token] || null;
   }
 
+  /**
+   * List the workflows stored in the world, by name
+   * @returns {object[]} Entries: `{ name, graph, updated, userId }`
+   */
+  static listUserWorkflows() {
+    const stored = game.settings?.get?.("sw5e-helper-new", "userWorkflows") || {};
+    return Object.values(stored).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get a workflow stored in the world
+   * @param {string} name - Workflow name
+   * @returns {object|null} Entry: `{ name, graph, updated, userId }`
+   */
+  static getUserWorkflow(name) {
+    const stored = game.settings?.get?.("sw5e-helper-new", "userWorkflows") || {};
+    return stored[name] || null;
+  }
+
+  /**
+   * Store a workflow in the world, replacing any with the same name
+   * @param {object} graph - JSON-safe workflow graph
+   * @returns {Promise<void>}
+   */
+  static async storeUserWorkflow(graph) {
+    const stored = game.settings?.get?.("sw5e-helper-new", "userWorkflows") || {};
+    stored[graph.name] = {
+      name: graph.name,
+      graph,
+      updated: Date.now(),
+      userId: game.user?.id
+    };
+    await game.settings?.set?.("sw5e-helper-new", "userWorkflows", stored);
+  }
+
+  /**
+   * Remove a workflow stored in the world
+   * @param {string} name - Workflow name
+   * @returns {Promise<boolean>} True if the workflow was stored
+   */
+  static async removeUserWorkflow(name) {
+    const stored = game.settings?.get?.("sw5e-helper-new", "userWorkflows") || {};
+    if (!stored[name]) return false;
+
+    delete stored[name];
+    await game.settings?.set?.("sw5e-helper-new", "userWorkflows", stored);
+    return true;
+  }
+
+  /**
+   * List stored resume tokens, newest first
+   * @returns {object[]} Token data with its `token`
+   */
+  static listResumeTokens() {
+    const tokens = game.settings?.get?.("sw5e-helper-new", "resumeTokens") || {};
+    return Object.entries(tokens)
+      .map(([token, data]) => ({ ...data, token }))
+      .sort((a, b) => b.stored - a.stored);
+  }
+
+  /**
+   * Remove a stored resume token
+   * @param {string} token - Resume token
+   * @returns {Promise<boolean>} True if the token was stored
+   */
+  static async removeResumeToken(token) {
+    const tokens = game.settings?.get?.("sw5e-helper-new", "resumeTokens") || {};
+    if (!tokens[token]) return false;
+
+    delete tokens[token];
+    await game.settings?.set?.("sw5e-helper-new", "resumeTokens", tokens);
+    return true;
+  }
+
   /**
    * Clean up expired resume tokens
    * @param {number} maxAge - Maximum age in milliseconds
-   * @returns {Promise<void>}
+   * @returns {Promise<number>} Number of tokens removed
    */
   static async cleanupExpiredTokens(maxAge = 24 * 60 * 60 * 1000) {
     const tokens = game.settings?.get?.("sw5e-helper-new", "resumeTokens") || {};
@@ -234,6 +308,73 @@ export class StateManager {
     }
     
     await game.settings?.set?.("sw5e-helper-new", "resumeTokens", validTokens);
+    return Object.keys(tokens).length - Object.keys(validTokens).length;
+  }
+
+  /**
+   * Persist a workflow execution journal
+   * GMs write to the world setting; other users fall back to a flag on the
+   * originating chat message, since they cannot write world settings.
+   * @param {object} journal - Serialized journal
+   * @returns {Promise<boolean>} True if stored
+   */
+  static async storeJournal(journal) {
+    if (game.user?.isGM) {
+      const journals = game.settings?.get?.("sw5e-helper-new", "executionJournals") || {};
+      journals[journal.workflowId] = journal;
+      await game.settings?.set?.("sw5e-helper-new", "executionJournals", this.pruneJournals(journals));
+      return true;
+    }
+
+    const message = journal.messageId ? game.messages?.get(journal.messageId) : null;
+    if (message?.isOwner) {
+      await message.setFlag("sw5e-helper-new", "journal", journal);
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Retrieve a workflow execution journal
+   * @param {string} workflowId - Execution ID
+   * @returns {Promise<object|null>} Serialized journal
+   */
+  static async retrieveJournal(workflowId) {
+    const journals = game.settings?.get?.("sw5e-helper-new", "executionJournals") || {};
+    if (journals[workflowId]) return journals[workflowId];
+
+    const message = game.messages?.find?.(m => m.getFlag?.("sw5e-helper-new", "journal")?.workflowId === workflowId);
+    return message?.getFlag("sw5e-helper-new", "journal") || null;
+  }
+
+  /**
+   * List stored journals, newest first
+   * @returns {object[]} Journal summaries without entries
+   */
+  static listJournals() {
+    const journals = game.settings?.get?.("sw5e-helper-new", "executionJournals") || {};
+    return Object.values(journals)
+      .map(({ entries, ...summary }) => ({ ...summary, steps: entries?.filter(e => e.type === 'exit').length || 0 }))
+      .sort((a, b) => b.started - a.started);
+  }
+
+  /**
+   * Apply journal retention limits
+   * @param {object} journals - Journals by workflow ID
+   * @returns {object} Journals within the count and age limits
+   */
+  static pruneJournals(journals) {
+    const maxCount = getConfig('coordinator.journalRetention', 100);
+    const maxAge = getConfig('coordinator.journalMaxAge', 7 * 24 * 60 * 60 * 1000);
+    const now = Date.now();
+
+    const kept = Object.entries(journals)
+      .filter(([, journal]) => now - journal.started < maxAge)
+      .sort((a, b) => b[1].started - a[1].started)
+      .slice(0, maxCount);
+
+    return Object.fromEntries(kept);
   }
 
   /**
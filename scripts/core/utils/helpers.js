@@ -232,6 +232,33 @@ export class Helpers {
     });
   }
 
+  /**
+   * Create a dialog prompt for choosing a file
+   * @param {string} title - Dialog title
+   * @param {string} accept - Accepted file types (e.g. ".json")
+   * @returns {Promise<File|null>} Chosen file or null if cancelled
+   */
+  static async promptFile(title, accept = "") {
+    return new Promise(resolve => {
+      new Dialog({
+        title,
+        content: `<div class="form-group"><input type="file" name="file" accept="${accept}" style="width:100%"></div>`,
+        buttons: {
+          ok: {
+            label: "OK",
+            callback: html => resolve(html.find('[name="file"]')[0]?.files?.[0] || null)
+          },
+          cancel: {
+            label: "Cancel",
+            callback: () => resolve(null)
+          }
+        },
+        default: "ok",
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
+
   /**
    * Show a notification message
    * @param {string} message - Message to show
@@ -102,6 +102,27 @@ export class StorageManager {
       default: {}
     });
 
+    // User-defined workflows (not visible in config); other clients pick up changes live
+    game.settings.register("sw5e-helper-new", "userWorkflows", {
+      name: "User Workflows",
+      hint: "Storage for workflows defined in this world",
+      scope: "world",
+      config: false,
+      type: Object,
+      default: {},
+      onChange: () => globalThis.sw5eHelperModule?.coordinator?.registerUserWorkflows()
+    });
+
+    // Workflow execution journals (not visible in config)
+    game.settings.register("sw5e-helper-new", "executionJournals", {
+      name: "Execution Journals",
+      hint: "Storage for workflow execution journals",
+      scope: "world",
+      config: false,
+      type: Object,
+      default: {}
+    });
+
     // Migration version (not visible in config)
     game.settings.register("sw5e-helper-new", "migrationVersion", {
       name: "Migration Version",
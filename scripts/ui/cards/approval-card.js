@@ -0,0 +1,64 @@
+// scripts/ui/cards/approval-card.js
+/**
+ * Renderer for GM approval cards: pending per-target effects with editable
+ * amounts, an application mode and approve/reject buttons.
+ */
+export class ApprovalCardRenderer {
+  constructor(state) { this.state = state || {}; }
+
+  render() {
+    const h = [];
+    const msgId = this.state.messageId || "";
+    const effects = Array.isArray(this.state.effects) ? this.state.effects : [];
+    const resolved = this.state.resolved;
+    const disabled = resolved ? " disabled" : "";
+    const mode = resolved?.mode || this.state.mode || "full";
+    h.push(`<div class="sw5e-helper-card sw5e-helper-approval-card" data-message-id="${msgId}">`);
+    h.push(`<div class="card-header"><div class="weapon-title"><span class="name">${this._e(this.state.title || "Approval Required")}</span></div></div>`);
+    if (this.state.prompt) h.push(`<div class="pause-prompt">${this._e(this.state.prompt)}</div>`);
+    h.push(`<table class="approval-effects"><thead><tr><th>Target</th><th>Damage</th><th>Traits</th></tr></thead><tbody>`);
+    for (const effect of effects) {
+      const amount = resolved?.amounts?.[effect.targetId] ?? effect.amount;
+      h.push(`<tr data-target-ref="${this._e(effect.targetId)}">`);
+      h.push(`<td class="target-name">${this._e(effect.name || effect.targetId)}</td>`);
+      h.push(`<td><input type="number" class="approval-amount" min="0" step="1" data-target-ref="${this._e(effect.targetId)}" value="${this._e(amount)}"${disabled}/>${this._types(effect.types)}</td>`);
+      h.push(`<td class="traits">${this._traits(effect)}</td>`);
+      h.push(`</tr>`);
+    }
+    if (!effects.length) h.push(`<tr><td colspan="3">No pending effects</td></tr>`);
+    h.push(`</tbody></table>`);
+    h.push(`<div class="approval-mode"><label>Mode <select name="mode"${disabled}>`);
+    for (const option of ["full", "half", "none"]) {
+      h.push(`<option value="${option}"${option === mode ? " selected" : ""}>${option[0].toUpperCase()}${option.slice(1)}</option>`);
+    }
+    h.push(`</select></label></div>`);
+    h.push(`<div class="pause-options">`);
+    h.push(`<button class="gm-btn approve-btn${resolved?.decision === "approve" ? " chosen" : ""}" data-action="approve-workflow"${disabled}>Approve</button>`);
+    h.push(`<button class="gm-btn reject-btn${resolved?.decision === "reject" ? " chosen" : ""}" data-action="reject-workflow"${disabled}>Reject</button>`);
+    h.push(`</div>`);
+    if (resolved) {
+      const user = game.users?.get(resolved.userId)?.name || "Unknown";
+      const label = resolved.decision === "approve" ? "Approved" : "Rejected";
+      const edited = resolved.edited?.length ? ` (${resolved.edited.length} edited)` : "";
+      h.push(`<div class="pause-resolved">${label}${edited} — ${this._e(user)}</div>`);
+    }
+    h.push(`</div>`);
+    return h.join("");
+  }
+
+  _types(types) {
+    const parts = Object.entries(types || {}).map(([type, value]) => `${this._e(value)} ${this._e(type)}`);
+    return parts.length ? ` <span class="damage-types">${parts.join(", ")}</span>` : "";
+  }
+
+  _traits(effect) {
+    const parts = [];
+    if (effect.resistances?.length) parts.push(`Resist: ${effect.resistances.map(t => this._e(t)).join(", ")}`);
+    if (effect.immunities?.length) parts.push(`Immune: ${effect.immunities.map(t => this._e(t)).join(", ")}`);
+    if (effect.vulnerabilities?.length) parts.push(`Vulnerable: ${effect.vulnerabilities.map(t => this._e(t)).join(", ")}`);
+    return parts.join("<br>") || "—";
+  }
+
+  _e(s){ return String(s).replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c])); }
+}
+export default ApprovalCardRenderer;
@@ -1,5 +1,7 @@
 // scripts/ui/cards/handlers.js
 import { AttackCardRenderer } from './card-renderer.js';
+import { IdempotencyLedger } from '../../core/state/ledger.js';
+import { WorkflowHooks } from '../../workflow/hooks.js';
 
 export class CardHandlers {
   static init() {
@@ -93,6 +95,25 @@ export class CardHandlers {
              case 'show-attack-formula':
                await this.handleShowAttackFormula(state);
                break;
+
+             case 'resume-workflow':
+               await this.handleResumeWorkflow(message, state, actionElement.dataset.option);
+               break;
+
+             case 'approve-workflow':
+             case 'reject-workflow':
+               await this.handleApproveWorkflow(message, state, root, action === 'approve-workflow' ? 'approve' : 'reject');
+               break;
+
+             case 'override-wait':
+               await this.handleOverrideWait(state);
+               break;
+
+             case 'inspect-journal': {
+               const { JournalInspector } = await import('../dialogs/JournalInspector.js');
+               await JournalInspector.open(state.workflowId);
+               break;
+             }
                
              case 'toggle-row':
                // This is handled by the existing toggle logic above
@@ -111,6 +132,111 @@ export class CardHandlers {
     });
   }
   
+  // Resume a paused workflow with the chosen option
+  static async handleResumeWorkflow(message, state, option) {
+    if (state.resolved) {
+      ui.notifications?.warn?.("This workflow has already been resumed");
+      return;
+    }
+
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    const resumeToken = message.getFlag('sw5e-helper-new', 'resumeToken');
+    if (!coordinator || !resumeToken) {
+      ui.notifications?.warn?.("Cannot resume workflow: coordinator or resume token missing");
+      return;
+    }
+
+    const resumeOption = Number(option);
+    const result = await coordinator.execute(state.workflow, {}, { resumeToken, resumeOption });
+
+    // Permission and token errors leave the card open for someone else
+    if (result.meta?.code === 'PERMISSION_ERROR' || result.meta?.code === 'RESUME_ERROR') {
+      ui.notifications?.warn?.(result.errors.join(', '));
+      return;
+    }
+
+    state.resolved = { option: resumeOption, userId: game.user?.id, ok: result.ok };
+    const { PauseCardRenderer } = await import('./pause-card.js');
+    await message.update({
+      content: new PauseCardRenderer(state).render(),
+      'flags.sw5e-helper-new.state': state
+    });
+
+    if (!result.ok) {
+      ui.notifications?.error?.(`Workflow failed: ${result.errors.join(', ')}`);
+    }
+  }
+
+  // Approve (with any edited amounts) or reject a workflow waiting on GM review
+  static async handleApproveWorkflow(message, state, root, decision) {
+    if (state.resolved) {
+      ui.notifications?.warn?.("This workflow has already been reviewed");
+      return;
+    }
+
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    const resumeToken = message.getFlag('sw5e-helper-new', 'resumeToken');
+    if (!coordinator || !resumeToken) {
+      ui.notifications?.warn?.("Cannot resume workflow: coordinator or resume token missing");
+      return;
+    }
+
+    const amounts = {};
+    root.querySelectorAll('input.approval-amount').forEach(input => {
+      amounts[input.dataset.targetRef] = input.value;
+    });
+    const mode = root.querySelector('select[name="mode"]')?.value;
+
+    const result = await coordinator.execute(state.workflow, {}, {
+      resumeToken,
+      resumeOption: decision,
+      edits: { amounts, mode }
+    });
+
+    // Permission and token errors leave the card open for another GM
+    if (result.meta?.code === 'PERMISSION_ERROR' || result.meta?.code === 'RESUME_ERROR') {
+      ui.notifications?.warn?.(result.errors.join(', '));
+      return;
+    }
+
+    // A migrated execution records the approval under the node's new id
+    const approval = result.meta?.approvals?.find(a => a.nodeId === state.nodeId) ?? result.meta?.approvals?.at(-1);
+    state.resolved = {
+      decision,
+      userId: game.user?.id,
+      mode: approval?.mode ?? mode,
+      amounts: approval?.amounts ?? amounts,
+      edited: approval?.edited ?? [],
+      ok: result.ok
+    };
+    const { ApprovalCardRenderer } = await import('./approval-card.js');
+    await message.update({
+      content: new ApprovalCardRenderer(state).render(),
+      'flags.sw5e-helper-new.state': state
+    });
+
+    if (!result.ok) {
+      ui.notifications?.error?.(`Workflow failed: ${result.errors.join(', ')}`);
+    }
+  }
+
+  // Stop waiting for player rolls; unanswered targets follow the node's onMissing policy
+  static async handleOverrideWait(state) {
+    if (state.resolved) return;
+    if (!game.user?.isGM) {
+      ui.notifications?.warn?.("Only a GM can stop waiting for rolls");
+      return;
+    }
+
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    if (!coordinator) {
+      ui.notifications?.warn?.("Cannot override wait: coordinator missing");
+      return;
+    }
+
+    coordinator.overrideWait(state.workflowId, state.nodeId);
+  }
+
   // Handle quick damage application
   static async handleQuickDamage(state, targetRef) {
     console.log("SW5E Helper: Handling quick damage for target:", targetRef);
@@ -288,22 +414,34 @@ export class CardHandlers {
       const { applyDamageToToken } = await import('../../core/actors/damage.js');
       
       let successCount = 0;
-      let totalTargets = 0;
+      let skippedCount = 0;
       
       // Apply full damage to all targets that have calculated damage
+      const amounts = {};
       for (const target of state.targets) {
         const damageAmount = target.damage?.total || 0;
-        if (damageAmount > 0) {
-          totalTargets++;
-          const targetRef = `${target.sceneId}:${target.tokenId}`;
-          try {
+        if (damageAmount > 0) amounts[`${target.sceneId}:${target.tokenId}`] = damageAmount;
+      }
+
+      const pre = await this.preApplyDamage(state, amounts, 'full');
+      if (!pre) return;
+
+      const totalTargets = pre.targetIds.length;
+      for (const targetRef of pre.targetIds) {
+        const damageAmount = this.getModeAmount(pre.config.amounts?.[targetRef], pre.config.mode);
+        try {
+          const key = IdempotencyLedger.key('apply', state.messageId, targetRef, 'full');
+          const { result, cached } = await IdempotencyLedger.run(key, async () => {
             const applied = await applyDamageToToken(targetRef, damageAmount);
-            if (applied > 0) {
-              successCount++;
-            }
-          } catch (error) {
-            console.warn(`Failed to apply damage to ${target.name || target.tokenId}:`, error);
+            return { ok: applied > 0, applied };
+          });
+          if (cached) {
+            skippedCount++;
+          } else if (result.ok) {
+            successCount++;
           }
+        } catch (error) {
+          console.warn(`Failed to apply damage to ${targetRef}:`, error);
         }
       }
       
@@ -311,6 +449,8 @@ export class CardHandlers {
         ui.notifications?.warn?.("No targets have calculated damage to apply");
       } else if (successCount === totalTargets) {
         ui.notifications?.info?.(`Full damage applied successfully to all ${successCount} targets`);
+      } else if (successCount + skippedCount === totalTargets) {
+        ui.notifications?.info?.(`Full damage applied to ${successCount} targets (${skippedCount} already applied)`);
       } else {
         ui.notifications?.warn?.(`Applied damage to ${successCount}/${totalTargets} targets`);
       }
@@ -323,6 +463,16 @@ export class CardHandlers {
   
   // Handle applying damage to a specific target
   static async handleApplyDamage(state, targetRef, mode) {
+    // One apply per message, target and mode within the idempotency window;
+    // failed or vetoed applies are not recorded, so they can be retried
+    const key = IdempotencyLedger.key('apply', state.messageId, targetRef, mode);
+    const { cached } = await IdempotencyLedger.run(key, () => this.applyRowDamage(state, targetRef, mode));
+    if (cached) {
+      ui.notifications?.info?.("Damage was already applied to this target");
+    }
+  }
+
+  static async applyRowDamage(state, targetRef, mode) {
     console.log("SW5E Helper: Handling apply damage:", mode, "for target:", targetRef);
     
     try {
@@ -335,14 +485,14 @@ export class CardHandlers {
       
       if (!actor || !item) {
         ui.notifications?.warn?.("Could not find actor or item for damage application");
-        return;
+        return { ok: false };
       }
       
       // Resolve the specific target
       const target = CardHandlers.resolveTargetRef(targetRef);
       if (!target) {
         ui.notifications?.warn?.("Could not resolve target reference");
-        return;
+        return { ok: false };
       }
       
       // Import the damage application function
@@ -363,7 +513,7 @@ export class CardHandlers {
       
       if (!stateTarget) {
         ui.notifications?.warn?.("Could not find target in state");
-        return;
+        return { ok: false };
       }
       
       // Get the damage amount from the state target's calculated damage
@@ -371,35 +521,66 @@ export class CardHandlers {
       
       if (damageAmount <= 0) {
         ui.notifications?.warn?.("No damage calculated for this target");
-        return;
+        return { ok: false };
       }
       
+      const pre = await this.preApplyDamage(state, { [`${target.sceneId}:${target.tokenId}`]: damageAmount }, mode);
+      if (!pre) return { ok: false };
+
       // Apply damage based on mode
-      let finalAmount = damageAmount;
-      if (mode === 'half') {
-        finalAmount = Math.floor(damageAmount / 2);
-      } else if (mode === 'none') {
-        finalAmount = 0;
-      }
-      
-      if (finalAmount > 0) {
-        const targetRef = `${target.sceneId}:${target.tokenId}`;
-        const applied = await applyDamageToToken(targetRef, finalAmount);
-        if (applied > 0) {
-          ui.notifications?.info?.(`${mode} damage (${finalAmount}) applied successfully to ${target.name || target.tokenId}`);
+      let ok = true;
+      for (const targetRef of pre.targetIds) {
+        const finalMode = pre.config.mode;
+        const finalAmount = this.getModeAmount(pre.config.amounts?.[targetRef], finalMode);
+
+        if (finalAmount > 0) {
+          const applied = await applyDamageToToken(targetRef, finalAmount);
+          if (applied > 0) {
+            ui.notifications?.info?.(`${finalMode} damage (${finalAmount}) applied successfully to ${target.name || target.tokenId}`);
+          } else {
+            ok = false;
+            ui.notifications?.warn?.("Failed to apply damage to target");
+          }
         } else {
-          ui.notifications?.warn?.("Failed to apply damage to target");
+          ui.notifications?.info?.(`No damage applied (${finalMode} mode)`);
         }
-      } else {
-        ui.notifications?.info?.(`No damage applied (${mode} mode)`);
       }
+      return { ok };
       
     } catch (error) {
       console.error("SW5E Helper: Error applying damage:", error);
       ui.notifications?.error?.(`Damage application failed: ${error.message}`);
+      return { ok: false };
     }
   }
   
+  // Run the sw5eHelper.preApplyDamage hook for a card apply; null when vetoed
+  static async preApplyDamage(state, amounts, mode) {
+    const targetIds = Object.keys(amounts);
+    const config = { amounts, mode };
+    const pre = {
+      context: { actorId: state.actorId, itemId: state.itemId, messageId: state.messageId, targetIds, config },
+      config: foundry.utils.deepClone(config),
+      targetIds: [...targetIds],
+      reason: null
+    };
+
+    const veto = await WorkflowHooks.callPreHook("sw5eHelper.preApplyDamage", pre);
+    if (!veto.ok) {
+      ui.notifications?.warn?.(`Damage application vetoed: ${veto.reason}`);
+      return null;
+    }
+    return pre;
+  }
+
+  // Damage left after the apply mode (full, half or none)
+  static getModeAmount(amount, mode) {
+    const damage = Number(amount) || 0;
+    if (mode === 'half') return Math.floor(damage / 2);
+    if (mode === 'none') return 0;
+    return damage;
+  }
+
   // Handle row damage modification
   static async handleRowModDamage(state, targetRef) {
     console.log("SW5E Helper: Handling row damage modification for target:", targetRef);
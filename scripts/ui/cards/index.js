@@ -3,11 +3,23 @@
  */
 import { CardRenderer } from './renderer.js';
 import { CardHandlers } from './handlers.js';
+import { PauseCardRenderer } from './pause-card.js';
+import { ApprovalCardRenderer } from './approval-card.js';
+import { WaitCardRenderer } from './wait-card.js';
+import { JournalCardRenderer } from './journal-card.js';
 
 export { CardRenderer } from './renderer.js';
 export { CardHandlers } from './handlers.js';
+export { PauseCardRenderer } from './pause-card.js';
+export { ApprovalCardRenderer } from './approval-card.js';
+export { WaitCardRenderer } from './wait-card.js';
+export { JournalCardRenderer } from './journal-card.js';
 
 export default {
   CardRenderer,
-  CardHandlers
+  CardHandlers,
+  PauseCardRenderer,
+  ApprovalCardRenderer,
+  WaitCardRenderer,
+  JournalCardRenderer
 };
\ No newline at end of file
@@ -0,0 +1,42 @@
+// scripts/ui/cards/journal-card.js
+/**
+ * Renderer for workflow replay cards: the recorded outcome of a finished run.
+ */
+export class JournalCardRenderer {
+  constructor(journal) { this.journal = journal || {}; }
+
+  render() {
+    const j = this.journal;
+    const entries = Array.isArray(j.entries) ? j.entries : [];
+    const user = game.users?.get(j.userId)?.name || "Unknown";
+    const status = { completed: "✓ Completed", failed: "✗ Failed", paused: "⏸ Paused" }[j.status] || this._e(j.status || "Running");
+    const h = [];
+    h.push(`<div class="sw5e-helper-card sw5e-helper-journal-card" data-workflow-id="${this._e(j.workflowId || "")}">`);
+    h.push(`<div class="card-header"><div class="weapon-title"><span class="name">Replay: ${this._e(j.workflow || "Workflow")}</span></div></div>`);
+    h.push(`<div class="journal-summary"><span class="status ${this._e(j.status || "")}">${status}</span> <span class="meta">${this._e(user)} · ${this._time(j.started)}</span></div>`);
+    h.push(`<ol class="journal-steps">`);
+    for (const e of entries) {
+      if (e.type === "exit") h.push(this._step(e));
+      else if (e.type === "compensate") h.push(`<li class="compensate">↶ ${this._e(e.nodeId)} compensated${e.ok ? "" : " (failed)"}</li>`);
+      else if (e.type === "pause") h.push(`<li class="pause">⏸ Paused at ${this._e(e.nodeId)}</li>`);
+    }
+    h.push(`</ol>`);
+    if (j.errors?.length) h.push(`<div class="journal-errors">${j.errors.map(e => this._e(e)).join("<br>")}</div>`);
+    h.push(`<div class="card-controls"><a class="action-btn" data-action="inspect-journal">Open Timeline</a></div>`);
+    h.push(`</div>`);
+    return h.join("");
+  }
+
+  _step(e) {
+    const label = e.action ? `${e.nodeId} (${e.action})` : e.nodeId;
+    const mark = e.ok ? "✓" : "✗";
+    const rolls = (e.rolls || []).map(r => `<span class="roll">${this._e(r.formula ?? "")} = <strong>${this._e(r.total ?? "—")}</strong></span>`).join(" ");
+    const errors = e.ok ? "" : `<div class="step-errors">${(e.errors || []).map(x => this._e(x)).join("<br>")}</div>`;
+    return `<li class="${e.ok ? "ok" : "failed"}">${mark} ${this._e(label)}${e.cached ? " <em>(cached)</em>" : ""} ${rolls}${errors}</li>`;
+  }
+
+  _time(ts) { return ts ? new Date(ts).toLocaleString() : "—"; }
+
+  _e(s){ return String(s).replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c])); }
+}
+export default JournalCardRenderer;
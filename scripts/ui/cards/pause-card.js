@@ -0,0 +1,33 @@
+// scripts/ui/cards/pause-card.js
+/**
+ * Renderer for paused-workflow cards: a prompt plus one button per resume option.
+ */
+export class PauseCardRenderer {
+  constructor(state) { this.state = state || {}; }
+
+  render() {
+    const h = [];
+    const msgId = this.state.messageId || "";
+    const options = Array.isArray(this.state.options) ? this.state.options : [];
+    const resolved = this.state.resolved;
+    h.push(`<div class="sw5e-helper-card sw5e-helper-pause-card" data-message-id="${msgId}">`);
+    h.push(`<div class="card-header"><div class="weapon-title"><span class="name">${this._e(this.state.title || "Workflow Paused")}</span></div></div>`);
+    if (this.state.prompt) h.push(`<div class="pause-prompt">${this._e(this.state.prompt)}</div>`);
+    h.push(`<div class="pause-options">`);
+    options.forEach((option, index) => {
+      const chosen = resolved?.option === index ? " chosen" : "";
+      const disabled = resolved ? " disabled" : "";
+      h.push(`<button class="gm-btn resume-btn${chosen}" data-action="resume-workflow" data-option="${index}"${disabled}>${this._e(option.label)}</button>`);
+    });
+    h.push(`</div>`);
+    if (resolved) {
+      const user = game.users?.get(resolved.userId)?.name || "Unknown";
+      h.push(`<div class="pause-resolved">${this._e(options[resolved.option]?.label || "Resumed")} — ${this._e(user)}</div>`);
+    }
+    h.push(`</div>`);
+    return h.join("");
+  }
+
+  _e(s){ return String(s).replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c])); }
+}
+export default PauseCardRenderer;
@@ -0,0 +1,41 @@
+// scripts/ui/cards/wait-card.js
+/**
+ * Renderer for waiting-on-players cards: who is rolling for which target, and a
+ * GM button to stop waiting.
+ */
+export class WaitCardRenderer {
+  constructor(state) { this.state = state || {}; }
+
+  render() {
+    const h = [];
+    const msgId = this.state.messageId || "";
+    const rows = Array.isArray(this.state.rows) ? this.state.rows : [];
+    h.push(`<div class="sw5e-helper-card sw5e-helper-wait-card" data-message-id="${msgId}">`);
+    h.push(`<div class="card-header"><div class="weapon-title"><span class="name">${this._e(this.state.title || "Waiting for Rolls")}</span></div></div>`);
+    if (this.state.prompt) h.push(`<div class="pause-prompt">${this._e(this.state.prompt)}</div>`);
+    h.push(`<ul class="wait-rows">`);
+    for (const row of rows) {
+      h.push(`<li class="${this._e(row.status)}" data-target-ref="${this._e(row.targetId)}">${this._e(row.name || row.targetId)} — ${this._e(row.userName || "GM")}: ${this._status(row)}</li>`);
+    }
+    h.push(`</ul>`);
+    if (this.state.resolved) {
+      h.push(`<div class="pause-resolved">${this._e(this.state.resolved)}</div>`);
+    } else {
+      h.push(`<div class="pause-options"><button class="gm-btn resume-btn" data-action="override-wait">Roll Remaining Now</button></div>`);
+    }
+    h.push(`</div>`);
+    return h.join("");
+  }
+
+  _status(row) {
+    switch (row.status) {
+      case "done": return `<strong>${this._e(row.total ?? "✓")}</strong>${row.passed === undefined ? "" : row.passed ? " ✓" : " ✗"}`;
+      case "error": return `✗ ${this._e(row.error || "failed")}`;
+      case "skipped": return "skipped";
+      default: return "waiting…";
+    }
+  }
+
+  _e(s){ return String(s).replace(/[&<>"]/g, c => ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;'}[c])); }
+}
+export default WaitCardRenderer;
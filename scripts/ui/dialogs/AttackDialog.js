@@ -243,9 +243,11 @@ export class AttackDialog extends Application {
     });
   }
 
-  static async prompt(context) {
+  static async prompt(context, { signal } = {}) {
     const dialog = new AttackDialog(context);
     dialog.render(true);
+    // A workflow timeout or cancel closes the dialog as if dismissed
+    signal?.addEventListener("abort", () => dialog.close(), { once: true });
     return dialog.wait();
   }
 }
\ No newline at end of file
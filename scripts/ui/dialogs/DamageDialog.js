@@ -256,9 +256,11 @@ export class DamageDialog extends FormApplication {
     });
   }
 
-  static async prompt(options) {
+  static async prompt(options, { signal } = {}) {
     const dialog = new DamageDialog(options);
     dialog.render(true);
+    // A workflow timeout or cancel closes the dialog as if dismissed
+    signal?.addEventListener("abort", () => dialog.close(), { once: true });
     return dialog.wait();
   }
 }
\ No newline at end of file
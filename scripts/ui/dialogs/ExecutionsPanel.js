@@ -0,0 +1,154 @@
+/**
+ * ExecutionsPanel.js - GM view of running and paused workflow executions
+ */
+import { moduleBasePath } from "../../config.js";
+import { StateManager } from "../../core/state/manager.js";
+
+/** Coordinator hooks that change what the panel shows */
+const REFRESH_HOOKS = [
+  "sw5e-helper.workflow.preStep",
+  "sw5e-helper.workflow.paused",
+  "sw5e-helper.workflow.resumed",
+  "sw5e-helper.workflow.completed",
+  "sw5e-helper.workflow.failed"
+];
+
+/**
+ * Format a duration as its largest units, e.g. "3m 12s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatDuration(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours}h ${minutes % 60}m`;
+}
+
+export class ExecutionsPanel extends Application {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "sw5e-helper-executions",
+      template: `${moduleBasePath()}/templates/dialogs/executions-panel.hbs`,
+      width: 640,
+      height: 480,
+      title: "Workflow Executions",
+      classes: ["sw5e-helper", "sw5e-helper-executions"],
+      resizable: true
+    });
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.refresh = foundry.utils.debounce(() => this.render(false), 100);
+    this.hookIds = [];
+  }
+
+  get coordinator() {
+    return globalThis.sw5eHelperModule?.coordinator;
+  }
+
+  async getData() {
+    const data = await super.getData();
+    const now = Date.now();
+    const userName = (userId) => game.users?.get(userId)?.name ?? userId ?? "";
+
+    const running = (this.coordinator?.listExecutions() ?? []).map(e => ({
+      ...e,
+      user: userName(e.userId),
+      age: formatDuration(now - e.startTime)
+    }));
+
+    const paused = (this.coordinator?.listPausedExecutions() ?? []).map(p => ({
+      ...p,
+      user: userName(p.userId),
+      age: formatDuration(now - p.pausedAt),
+      expiresIn: p.expired ? "" : formatDuration(p.expires - now)
+    }));
+
+    return foundry.utils.mergeObject(data, { running, paused });
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("[data-action]").on("click", ev => this.onAction(ev));
+  }
+
+  /**
+   * Handle a panel button
+   * @param {Event} ev - Click event
+   */
+  async onAction(ev) {
+    ev.preventDefault();
+    const { action, workflowId, token, workflow } = ev.currentTarget.dataset;
+    const coordinator = this.coordinator;
+    if (!coordinator) return;
+
+    try {
+      switch (action) {
+        case "cancel":
+          coordinator.cancelExecution(workflowId);
+          break;
+
+        case "resume": {
+          // Resumes at the pause node's default `next`; approvals are approved as proposed
+          const result = await coordinator.execute(workflow, {}, { resumeToken: token });
+          if (!result.ok && !result.meta?.paused) {
+            ui.notifications?.error?.(`Workflow failed: ${result.errors.join(", ")}`);
+          }
+          break;
+        }
+
+        case "purge":
+          await coordinator.purgeResumeToken(token);
+          break;
+
+        case "cleanup": {
+          const removed = await StateManager.cleanupExpiredTokens();
+          ui.notifications?.info?.(`Removed ${removed} expired resume token(s)`);
+          break;
+        }
+
+        case "inspect": {
+          const { JournalInspector } = await import("./JournalInspector.js");
+          await JournalInspector.open(workflowId);
+          break;
+        }
+      }
+    } catch (error) {
+      ui.notifications?.error?.(error.message);
+    }
+
+    this.render(false);
+  }
+
+  async _render(force, options) {
+    if (!this.hookIds.length) {
+      this.hookIds = REFRESH_HOOKS.map(hook => [hook, Hooks.on(hook, () => this.refresh())]);
+    }
+    return super._render(force, options);
+  }
+
+  async close(options) {
+    for (const [hook, id] of this.hookIds) Hooks.off(hook, id);
+    this.hookIds = [];
+    return super.close(options);
+  }
+
+  /**
+   * Open the executions panel (GM only)
+   * @returns {ExecutionsPanel|null} Rendered panel
+   */
+  static open() {
+    if (!game.user?.isGM) {
+      ui.notifications?.warn?.("Only a GM can manage workflow executions");
+      return null;
+    }
+    const existing = Object.values(ui.windows ?? {}).find(app => app instanceof ExecutionsPanel);
+    return (existing ?? new ExecutionsPanel()).render(true);
+  }
+}
+
+export default ExecutionsPanel;
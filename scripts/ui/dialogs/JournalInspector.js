@@ -0,0 +1,92 @@
+/**
+ * JournalInspector.js - Timeline view of a workflow execution journal
+ */
+import { moduleBasePath } from "../../config.js";
+
+export class JournalInspector extends Application {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      template: `${moduleBasePath()}/templates/dialogs/journal-inspector.hbs`,
+      width: 520,
+      height: 600,
+      title: "Workflow Timeline",
+      classes: ["sw5e-helper", "sw5e-helper-journal"],
+      resizable: true
+    });
+  }
+
+  /**
+   * @param {object} journal - Serialized execution journal
+   */
+  constructor(journal, options = {}) {
+    super(options);
+    this.journal = journal;
+  }
+
+  get title() {
+    return `Workflow Timeline: ${this.journal?.workflow ?? ""}`;
+  }
+
+  async getData() {
+    const data = await super.getData();
+    const j = this.journal ?? {};
+    const start = j.started ?? 0;
+
+    return foundry.utils.mergeObject(data, {
+      workflowId: j.workflowId,
+      workflow: j.workflow,
+      status: j.status,
+      user: game.users?.get(j.userId)?.name ?? j.userId ?? "",
+      started: j.started ? new Date(j.started).toLocaleString() : "",
+      duration: j.finished ? j.finished - start : null,
+      resumedFrom: j.resumedFrom,
+      errors: j.errors ?? [],
+      entries: (j.entries ?? []).map(e => this.describeEntry(e, start))
+    });
+  }
+
+  /**
+   * Build the display row for a journal entry
+   * @param {object} entry - Journal entry
+   * @param {number} start - Journal start time
+   * @returns {object} Template data
+   */
+  describeEntry(entry, start) {
+    const { type, at, ...details } = entry;
+    const node = entry.action ? `${entry.nodeId} (${entry.action})` : entry.nodeId;
+    const labels = {
+      start: `Start at ${entry.nodeId ?? "?"}`,
+      enter: `Enter ${node}`,
+      exit: `Exit ${node}`,
+      pause: `Paused at ${entry.nodeId}`,
+      compensate: `Compensate ${node}`,
+      end: `End: ${entry.status}`
+    };
+
+    return {
+      type,
+      offset: at - start,
+      label: labels[type] ?? type,
+      failed: entry.ok === false,
+      rolls: (entry.rolls ?? []).map(r => ({ formula: r.formula, total: r.total })),
+      details: type === "enter" ? "" : JSON.stringify(details, null, 2)
+    };
+  }
+
+  /**
+   * Open an inspector for a workflow execution
+   * @param {string} workflowId - Execution ID
+   * @returns {Promise<JournalInspector|null>} Rendered inspector
+   */
+  static async open(workflowId) {
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    const journal = await coordinator?.getJournal(workflowId);
+    if (!journal) {
+      ui.notifications?.warn?.(`No journal found for workflow ${workflowId}`);
+      return null;
+    }
+    return new JournalInspector(journal).render(true);
+  }
+}
+
+export default JournalInspector;
@@ -0,0 +1,551 @@
+/**
+ * WorkflowEditor.js - Visual editor for world-stored workflow graphs
+ */
+import { moduleBasePath } from "../../config.js";
+import { StateManager } from "../../core/state/manager.js";
+
+/** Node box size on the canvas, in px (matches styles/dialogs.css) */
+const NODE_WIDTH = 150;
+const NODE_HEIGHT = 56;
+
+/** Grid spacing for nodes placed automatically */
+const COLUMN_SPACING = 190;
+const ROW_SPACING = 110;
+
+/** Edges that can be drag-connected, by node type */
+const NODE_EDGES = {
+  action: ["next", "onError"],
+  conditional: ["onTrue", "onFalse", "onError"],
+  parallel: ["next", "onError"],
+  pause: ["next"],
+  loop: ["next", "onError"],
+  end: []
+};
+
+/** Every edge a node can carry, for renames and deletes */
+const EDGE_KEYS = ["next", "onError", "onTrue", "onFalse", "onCancel", "onApprove", "onReject"];
+
+/** JSON-edited node fields */
+const JSON_FIELDS = ["config", "branches", "body", "resumeOptions"];
+
+export class WorkflowEditor extends Application {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "sw5e-helper-workflow-editor",
+      template: `${moduleBasePath()}/templates/dialogs/workflow-editor.hbs`,
+      width: 960,
+      height: 640,
+      title: "Workflow Editor",
+      classes: ["sw5e-helper", "sw5e-helper-workflow-editor"],
+      resizable: true
+    });
+  }
+
+  /**
+   * @param {object} graph - Workflow graph to edit (copied)
+   */
+  constructor(graph, options = {}) {
+    super(options);
+    this.load(graph);
+  }
+
+  get coordinator() {
+    return globalThis.sw5eHelperModule?.coordinator;
+  }
+
+  /**
+   * Start editing a graph
+   * @param {object} graph - Workflow graph (copied)
+   */
+  load(graph) {
+    this.graph = foundry.utils.deepClone(graph);
+    this.graph.nodes ??= {};
+    this.graph.metadata = { ...this.graph.metadata, layout: { ...this.graph.metadata?.layout } };
+    this.selected = this.graph.start ?? Object.keys(this.graph.nodes)[0] ?? null;
+    this.autoLayout();
+  }
+
+  /** @returns {object} Node positions by ID */
+  get layout() {
+    return this.graph.metadata.layout;
+  }
+
+  /**
+   * Place nodes that have no position, a row per step from the start node
+   */
+  autoLayout() {
+    const ids = Object.keys(this.graph.nodes);
+    const depth = {};
+    const queue = this.graph.start in this.graph.nodes ? [this.graph.start] : [];
+    if (queue.length) depth[this.graph.start] = 0;
+
+    while (queue.length) {
+      const id = queue.shift();
+      for (const target of this.getTargets(this.graph.nodes[id])) {
+        if (target in this.graph.nodes && depth[target] === undefined) {
+          depth[target] = depth[id] + 1;
+          queue.push(target);
+        }
+      }
+    }
+
+    const maxDepth = Math.max(-1, ...Object.values(depth));
+    const columns = {};
+    for (const id of ids) {
+      if (this.layout[id]) continue;
+      const row = depth[id] ?? maxDepth + 1;
+      const column = columns[row] = (columns[row] ?? -1) + 1;
+      this.layout[id] = { x: 20 + column * COLUMN_SPACING, y: 20 + row * ROW_SPACING };
+    }
+  }
+
+  /**
+   * Node IDs a node links to
+   * @param {object} node - Node definition
+   * @returns {string[]} Target IDs
+   */
+  getTargets(node) {
+    const targets = EDGE_KEYS.map(key => node?.[key]);
+    for (const option of node?.resumeOptions ?? []) {
+      targets.push(typeof option === "string" ? option : option?.next);
+    }
+    return targets.filter(Boolean);
+  }
+
+  /**
+   * SVG path for an edge
+   * @param {string} from - Source node ID
+   * @param {number} port - Port index on the source
+   * @param {number} ports - Port count on the source
+   * @param {string} to - Target node ID
+   * @returns {string} Path data
+   */
+  edgePath(from, port, ports, to) {
+    const a = this.layout[from];
+    const b = this.layout[to];
+    const sx = a.x + NODE_WIDTH * (port + 1) / (ports + 1);
+    const sy = a.y + NODE_HEIGHT;
+    const tx = b.x + NODE_WIDTH / 2;
+    const ty = b.y;
+    const bend = Math.max(40, Math.abs(ty - sy) / 2);
+    return `M ${sx} ${sy} C ${sx} ${sy + bend}, ${tx} ${ty - bend}, ${tx} ${ty}`;
+  }
+
+  /**
+   * Drawable edges
+   * @returns {object[]} `{ id, from, to, edge, port, ports, d }`
+   */
+  getEdges() {
+    const edges = [];
+    for (const [id, node] of Object.entries(this.graph.nodes)) {
+      const keys = NODE_EDGES[node.type] ?? ["next", "onError"];
+      keys.forEach((edge, port) => {
+        const to = node[edge];
+        if (!to || !this.graph.nodes[to]) return;
+        edges.push({ id: `${id}:${edge}`, from: id, to, edge, port, ports: keys.length, d: this.edgePath(id, port, keys.length, to) });
+      });
+    }
+    return edges;
+  }
+
+  async getData() {
+    const data = await super.getData();
+    const coordinator = this.coordinator;
+    const graph = this.graph;
+
+    let analysis;
+    try {
+      analysis = coordinator.analyzeWorkflow(graph);
+    } catch (error) {
+      analysis = { ok: false, errors: [{ message: error.message, nodeId: null }], warnings: [] };
+    }
+    const flagged = (list, id) => list.some(d => d.nodeId === id && d.graph === graph.name);
+
+    const nodeIds = Object.keys(graph.nodes);
+    const nodes = nodeIds.map(id => {
+      const node = graph.nodes[id];
+      const ports = NODE_EDGES[node.type] ?? ["next", "onError"];
+      return {
+        id,
+        type: node.type,
+        label: node.action ?? node.condition ?? node.message ?? "",
+        x: this.layout[id].x,
+        y: this.layout[id].y,
+        start: id === graph.start,
+        selected: id === this.selected,
+        error: flagged(analysis.errors, id),
+        warning: flagged(analysis.warnings, id),
+        ports: ports.map((edge, index) => ({ edge, left: NODE_WIDTH * (index + 1) / (ports.length + 1) }))
+      };
+    });
+
+    const positions = Object.values(this.layout);
+    const node = this.selected ? graph.nodes[this.selected] : null;
+
+    return foundry.utils.mergeObject(data, {
+      graph: { name: graph.name, version: graph.version ?? "", start: graph.start, description: graph.description ?? "" },
+      nodeIds,
+      nodes,
+      edges: this.getEdges(),
+      width: Math.max(...positions.map(p => p.x), 0) + NODE_WIDTH + 40,
+      height: Math.max(...positions.map(p => p.y), 0) + NODE_HEIGHT + 60,
+      palette: Object.keys(NODE_EDGES),
+      actions: coordinator.listActions(),
+      conditions: coordinator.listConditions(),
+      stored: StateManager.listUserWorkflows().map(entry => entry.name),
+      selected: node ? this.describeNode(this.selected, node) : null,
+      errors: analysis.errors,
+      warnings: analysis.warnings,
+      ok: analysis.ok
+    });
+  }
+
+  /**
+   * Form data for the selected node
+   * @param {string} id - Node ID
+   * @param {object} node - Node definition
+   * @returns {object} Template data
+   */
+  describeNode(id, node) {
+    const json = Object.fromEntries(JSON_FIELDS.map(field => [
+      field,
+      node[field] === undefined ? "" : JSON.stringify(node[field], null, 2)
+    ]));
+
+    return {
+      id,
+      node,
+      json,
+      isStart: id === this.graph.start,
+      edges: (NODE_EDGES[node.type] ?? ["next", "onError"]).map(edge => ({ edge, value: node[edge] ?? "" }))
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    html.find("[data-action]").on("click", ev => this.onAction(ev));
+    html.find("[data-graph-field]").on("change", ev => this.onGraphField(ev));
+    html.find("[data-node-field]").on("change", ev => this.onNodeField(ev));
+    html.find("[data-edge-field]").on("change", ev => this.setEdge(this.selected, ev.currentTarget.dataset.edgeField, ev.currentTarget.value));
+    html.find('select[name="load"]').on("change", ev => this.onLoad(ev));
+
+    const canvas = html.find(".editor-canvas")[0];
+    html.find(".editor-node").on("pointerdown", ev => this.onNodePointerDown(ev, canvas));
+    html.find(".editor-port").on("pointerdown", ev => this.onPortPointerDown(ev, canvas));
+  }
+
+  /**
+   * Handle a toolbar or palette button
+   * @param {Event} ev - Click event
+   */
+  async onAction(ev) {
+    ev.preventDefault();
+    const { action, type } = ev.currentTarget.dataset;
+
+    switch (action) {
+      case "add":
+        this.addNode(type);
+        break;
+
+      case "delete":
+        this.deleteNode(this.selected);
+        break;
+
+      case "set-start":
+        this.graph.start = this.selected;
+        break;
+
+      case "new":
+        this.load(WorkflowEditor.blankGraph());
+        break;
+
+      case "save":
+        await this.save();
+        break;
+    }
+
+    this.render(false);
+  }
+
+  /**
+   * Add a node from the palette below the selected node
+   * @param {string} type - Node type
+   */
+  addNode(type) {
+    let index = 1;
+    while (this.graph.nodes[`${type}${index}`]) index++;
+    const id = `${type}${index}`;
+
+    const action = this.coordinator.listActions()[0] ?? "";
+    const templates = {
+      action: { type, action },
+      conditional: { type, condition: this.coordinator.listConditions()[0] ?? "" },
+      parallel: { type, join: "all", branches: [{ name: "branch1", steps: [{ type: "action", action }] }] },
+      pause: { type, message: "" },
+      loop: { type, over: "targetIds", perTarget: true, body: { start: "step", nodes: { step: { type: "action", action, next: "done" }, done: { type: "end" } } } },
+      end: { type }
+    };
+
+    this.graph.nodes[id] = templates[type];
+    const anchor = this.layout[this.selected] ?? { x: 20, y: 20 - ROW_SPACING };
+    this.layout[id] = { x: anchor.x, y: anchor.y + ROW_SPACING };
+    if (!this.graph.start) this.graph.start = id;
+    this.selected = id;
+  }
+
+  /**
+   * Delete a node and every edge into it
+   * @param {string} id - Node ID
+   */
+  deleteNode(id) {
+    if (!id || !this.graph.nodes[id]) return;
+
+    delete this.graph.nodes[id];
+    delete this.layout[id];
+    this.replaceReferences(id, null);
+    if (this.graph.start === id) this.graph.start = Object.keys(this.graph.nodes)[0] ?? null;
+    this.selected = this.graph.start;
+  }
+
+  /**
+   * Point every edge (and the start) at a node to another ID, or drop them
+   * @param {string} from - Old node ID
+   * @param {string|null} to - New node ID, or null to remove the edges
+   */
+  replaceReferences(from, to) {
+    for (const node of Object.values(this.graph.nodes)) {
+      for (const key of EDGE_KEYS) {
+        if (node[key] !== from) continue;
+        if (to) node[key] = to;
+        else delete node[key];
+      }
+      if (node.resumeOptions) {
+        node.resumeOptions = node.resumeOptions
+          .map(option => {
+            if (typeof option === "string") return option === from ? to : option;
+            return option?.next === from ? (to ? { ...option, next: to } : null) : option;
+          })
+          .filter(Boolean);
+      }
+    }
+    if (this.graph.start === from && to) this.graph.start = to;
+  }
+
+  /**
+   * Set or clear one of a node's edges
+   * @param {string} id - Source node ID
+   * @param {string} edge - Edge key
+   * @param {string} target - Target node ID ("" clears)
+   */
+  setEdge(id, edge, target) {
+    const node = this.graph.nodes[id];
+    if (!node || !EDGE_KEYS.includes(edge)) return;
+
+    if (target && target !== id) node[edge] = target;
+    else delete node[edge];
+    this.render(false);
+  }
+
+  /**
+   * Update a graph-level field
+   * @param {Event} ev - Change event
+   */
+  onGraphField(ev) {
+    const { graphField } = ev.currentTarget.dataset;
+    const value = ev.currentTarget.value.trim();
+    if (value) this.graph[graphField] = value;
+    else if (graphField !== "name") delete this.graph[graphField];
+    this.render(false);
+  }
+
+  /**
+   * Update a field of the selected node
+   * Fields named in JSON_FIELDS are parsed; a parse error keeps the old value.
+   * @param {Event} ev - Change event
+   */
+  onNodeField(ev) {
+    const id = this.selected;
+    const node = this.graph.nodes[id];
+    if (!node) return;
+
+    const input = ev.currentTarget;
+    const field = input.dataset.nodeField;
+    let value = input.type === "checkbox" ? input.checked : input.value.trim();
+
+    if (field === "id") {
+      if (value && value !== id && !this.graph.nodes[value]) this.renameNode(id, value);
+      this.render(false);
+      return;
+    }
+
+    if (JSON_FIELDS.includes(field) && value !== "") {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        ui.notifications?.error?.(`${field}: ${error.message}`);
+        return;
+      }
+    }
+    if (input.type === "number" && value !== "") value = Number(value);
+
+    if (value === "" || value === false) delete node[field];
+    else node[field] = value;
+    this.render(false);
+  }
+
+  /**
+   * Rename a node, keeping its edges, position and the selection
+   * @param {string} from - Old ID
+   * @param {string} to - New ID
+   */
+  renameNode(from, to) {
+    this.graph.nodes = Object.fromEntries(Object.entries(this.graph.nodes).map(([id, node]) => [id === from ? to : id, node]));
+    this.layout[to] = this.layout[from];
+    delete this.layout[from];
+    this.replaceReferences(from, to);
+    this.selected = to;
+  }
+
+  /**
+   * Load a world workflow chosen from the toolbar
+   * @param {Event} ev - Change event
+   */
+  onLoad(ev) {
+    const graph = StateManager.getUserWorkflow(ev.currentTarget.value)?.graph;
+    if (graph) this.load(graph);
+    this.render(false);
+  }
+
+  /**
+   * Select a node and drag it around the canvas
+   * @param {PointerEvent} ev - Pointer event on a node
+   * @param {HTMLElement} canvas - Canvas element
+   */
+  onNodePointerDown(ev, canvas) {
+    if (ev.target.closest(".editor-port")) return;
+    ev.preventDefault();
+
+    const element = ev.currentTarget;
+    const id = element.dataset.nodeId;
+    const position = this.layout[id];
+    const origin = { x: ev.clientX, y: ev.clientY, left: position.x, top: position.y };
+    let moved = false;
+
+    const onMove = (move) => {
+      moved = true;
+      position.x = Math.max(0, origin.left + move.clientX - origin.x);
+      position.y = Math.max(0, origin.top + move.clientY - origin.y);
+      element.style.left = `${position.x}px`;
+      element.style.top = `${position.y}px`;
+      this.redrawEdges(canvas, id);
+    };
+    const onUp = () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      if (!moved || this.selected !== id) {
+        this.selected = id;
+        this.render(false);
+      }
+    };
+
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+  }
+
+  /**
+   * Drag from a node's port and drop on another node to connect them
+   * Dropping anywhere else clears the edge.
+   * @param {PointerEvent} ev - Pointer event on a port
+   * @param {HTMLElement} canvas - Canvas element
+   */
+  onPortPointerDown(ev, canvas) {
+    ev.preventDefault();
+    ev.stopPropagation();
+
+    const { nodeId, edge } = ev.currentTarget.dataset;
+    const svg = canvas.querySelector("svg");
+    const line = document.createElementNS("http://www.w3.org/2000/svg", "path");
+    line.classList.add("edge", "dragging");
+    svg.append(line);
+
+    const bounds = canvas.getBoundingClientRect();
+    const start = ev.currentTarget.getBoundingClientRect();
+    const sx = start.left + start.width / 2 - bounds.left + canvas.scrollLeft;
+    const sy = start.top + start.height / 2 - bounds.top + canvas.scrollTop;
+
+    const onMove = (move) => {
+      const x = move.clientX - bounds.left + canvas.scrollLeft;
+      const y = move.clientY - bounds.top + canvas.scrollTop;
+      line.setAttribute("d", `M ${sx} ${sy} L ${x} ${y}`);
+    };
+    const onUp = (up) => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      line.remove();
+      const target = document.elementFromPoint(up.clientX, up.clientY)?.closest(".editor-node");
+      this.setEdge(nodeId, edge, target && canvas.contains(target) ? target.dataset.nodeId : "");
+    };
+
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+  }
+
+  /**
+   * Redraw the edges touching a node being dragged
+   * @param {HTMLElement} canvas - Canvas element
+   * @param {string} id - Node ID
+   */
+  redrawEdges(canvas, id) {
+    for (const edge of this.getEdges()) {
+      if (edge.from !== id && edge.to !== id) continue;
+      canvas.querySelector(`path[data-edge-id="${CSS.escape(edge.id)}"]`)?.setAttribute("d", edge.d);
+    }
+  }
+
+  /**
+   * Save the graph to the world
+   * The coordinator validates it first; errors leave the world unchanged.
+   */
+  async save() {
+    try {
+      const report = await this.coordinator.saveUserWorkflow(this.graph);
+      ui.notifications?.info?.(`Saved workflow ${this.graph.name}${report.warnings.length ? ` with ${report.warnings.length} warning(s)` : ""}`);
+    } catch (error) {
+      ui.notifications?.error?.(`Workflow not saved: ${error.message}`);
+    }
+  }
+
+  /**
+   * Graph for a new workflow
+   * @returns {object} Workflow graph
+   */
+  static blankGraph() {
+    return { name: "newWorkflow", version: "1.0.0", start: "end", nodes: { end: { type: "end" } } };
+  }
+
+  /**
+   * Open the editor (GM only)
+   * @param {string} [name] - World or registered workflow to load (a blank graph when omitted)
+   * @returns {WorkflowEditor|null} Rendered editor
+   */
+  static open(name) {
+    if (!game.user?.isGM) {
+      ui.notifications?.warn?.("Only a GM can edit workflows");
+      return null;
+    }
+
+    const coordinator = globalThis.sw5eHelperModule?.coordinator;
+    const graph = name
+      ? StateManager.getUserWorkflow(name)?.graph ?? coordinator?.getWorkflow(name)
+      : WorkflowEditor.blankGraph();
+    if (!graph) {
+      ui.notifications?.warn?.(`Unknown workflow: ${name}`);
+      return null;
+    }
+
+    return new WorkflowEditor(graph).render(true);
+  }
+}
+
+export default WorkflowEditor;
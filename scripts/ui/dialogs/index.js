@@ -4,14 +4,23 @@
 import { AttackDialog } from './AttackDialog.js';
 //import { DamageDialog, openDamageDialog } from './DamageDialog.js';
 import { DamageDialog } from './DamageDialog.js';
+import { JournalInspector } from './JournalInspector.js';
+import { ExecutionsPanel } from './ExecutionsPanel.js';
+import { WorkflowEditor } from './WorkflowEditor.js';
 
 export { AttackDialog } from './AttackDialog.js';
 //export { DamageDialog, openDamageDialog } from './DamageDialog.js';
 export { DamageDialog } from './DamageDialog.js';
+export { JournalInspector } from './JournalInspector.js';
+export { ExecutionsPanel } from './ExecutionsPanel.js';
+export { WorkflowEditor } from './WorkflowEditor.js';
 
 export default {
   AttackDialog,
-  DamageDialog
+  DamageDialog,
+  JournalInspector,
+  ExecutionsPanel,
+  WorkflowEditor
   //openDamageDialog
 };
 
@@ -3,6 +3,9 @@
  * Handles damage application to actors with full workflow integration
  */
 
+import { ActorResolver } from '../../core/actors/resolver.js';
+import { WorkflowHooks } from '../hooks.js';
+
 export class ApplyAction {
   /** @type {string} Action name identifier */
   static name = "apply";
@@ -20,7 +23,16 @@ export class ApplyAction {
       errors.push("No targets provided for apply action");
     }
     
-    if (context.config?.damage === undefined || context.config?.damage === null) {
+    // Per-target amounts (e.g. from an approval node) stand in for a flat damage value
+    const amounts = context.config?.amounts;
+    if (amounts) {
+      const invalid = Object.values(amounts).some(amount => typeof amount !== 'number' || amount < 0);
+      if (invalid) errors.push("Damage amounts must be non-negative numbers");
+      const missing = (context.targetIds || []).filter(targetId => amounts[targetId] === undefined);
+      if (missing.length && context.config.damage === undefined) {
+        errors.push(`No damage amount for ${missing.length} targets`);
+      }
+    } else if (context.config?.damage === undefined || context.config?.damage === null) {
       errors.push("No damage data provided for apply action");
     } else if (typeof context.config.damage !== 'number' || context.config.damage < 0) {
       errors.push("Damage must be a non-negative number");
@@ -84,12 +96,33 @@ export class ApplyAction {
 
   /**
    * Execute damage application to all targets
+   * The awaited `sw5eHelper.preApplyDamage` hook runs first; a veto returns a
+   * failed result with code "VETOED".
    * @param {object} context - Execution context
    * @returns {Promise<object>} Apply result
    */
   static async execute(context = {}) {
-    const { targetIds, config } = context;
-    const { damage, mode = "full", types = {} } = config;
+    // Listeners may adjust the amounts, mode or targets, or veto the damage
+    const pre = {
+      context,
+      config: foundry.utils.deepClone(context.config ?? {}),
+      targetIds: [...(context.targetIds ?? [])],
+      reason: null
+    };
+    const veto = await WorkflowHooks.callPreHook("sw5eHelper.preApplyDamage", pre);
+    if (!veto.ok) {
+      return {
+        ok: false,
+        type: 'apply',
+        errors: [veto.reason],
+        warnings: [],
+        meta: { code: 'VETOED', vetoedBy: veto.hook },
+        effects: []
+      };
+    }
+
+    const { targetIds, config } = pre;
+    const { damage, amounts, mode = "full", types = {} } = config;
 
     const result = {
       ok: true,
@@ -109,7 +142,7 @@ export class ApplyAction {
     // Apply damage to each target
     for (const targetId of targetIds) {
       try {
-        const applyResult = await this.applySingleTarget(targetId, damage, mode, types);
+        const applyResult = await this.applySingleTarget(targetId, amounts?.[targetId] ?? damage, mode, types);
         
         result.data.applied.set(targetId, applyResult);
         result.data.summary.totalDamage += applyResult.applied;
@@ -200,26 +233,12 @@ export class ApplyAction {
   }
 
   /**
-   * Get actor from target ID (supports multiple formats)
+   * Get actor from target ID (actor ID, "sceneId:tokenId" or token ID in the current scene)
    * @param {string} targetId - Target identifier
    * @returns {Actor|null} Actor instance
    */
   static getActorFromTargetId(targetId) {
-    // Direct actor ID
-    let actor = game.actors?.get(targetId);
-    if (actor) return actor;
-    
-    // Scene:Token format
-    if (targetId.includes(':')) {
-      const [sceneId, tokenId] = targetId.split(':');
-      const scene = game.scenes?.get(sceneId);
-      const token = scene?.tokens?.get(tokenId);
-      return token?.actor || null;
-    }
-    
-    // Token ID in current scene
-    const token = canvas.scene?.tokens?.get(targetId);
-    return token?.actor || null;
+    return ActorResolver.getTargetActor(targetId);
   }
 
   /**
@@ -257,12 +276,14 @@ export class ApplyAction {
   static idempotencyKey(context) {
     const parts = [
       'apply',
+      context.messageId || '',
       context.targetIds?.join(',') || '',
       String(context.config?.damage || 0),
+      JSON.stringify(context.config?.amounts || {}),
       context.config?.mode || 'full'
     ];
     
-    return btoa(parts.join('|')).replace(/[^a-zA-Z0-9]/g, '').substring(0, 32);
+    return btoa(parts.join('|')).replace(/[^a-zA-Z0-9]/g, '');
   }
 
   /**
@@ -6,7 +6,11 @@
 import { DiceRoller } from '../../core/dice/roller.js';
 import { CheckEvaluator } from '../../core/dice/evaluator.js';
 import { StateManager } from '../../core/state/manager.js';
+import { TargetFreezer } from '../../core/state/freezer.js';
+import { ActorResolver } from '../../core/actors/resolver.js';
 import { AttackCardRenderer } from '../../ui/cards/card-renderer.js';
+import { WorkflowHooks } from '../hooks.js';
+import { WorkflowChat } from '../chat.js';
 import { isDebug } from '../../config.js';
 
 // Utility functions
@@ -93,9 +97,25 @@ export class AttackAction {
     }
   }
 
+  /**
+   * Fill in actor, item and targets for ID-based workflow contexts
+   * Dialog-driven callers pass live objects; graph nodes pass `actorId`,
+   * `itemId` and either frozen `targets` or `targetIds` refs.
+   */
+  static resolveContext(context = {}) {
+    const actor = context.actor ?? ActorResolver.getContextActor(context);
+    const item = context.item ?? ActorResolver.getItem(actor, context.itemId);
+    const targets = context.targets ?? (context.targetIds || [])
+      .map(ref => TargetFreezer.resolveSceneAndToken(ref).token)
+      .filter(Boolean)
+      .map(token => TargetFreezer.freezeToken(token));
+    return { ...context, actor, item, targets };
+  }
+
   static async execute(context = {}) {
     const result = createResult();
     try {
+      context = this.resolveContext(context);
       const validation = this.validate(context);
       if (!validation.ok) {
         result.errors.push(...validation.errors);
@@ -109,11 +129,30 @@ export class AttackAction {
         return result;
       }
 
-      const { actor, item, config, targets } = context;
+      const { actor, item } = context;
+
+      // Listeners may adjust the config, the targets or their AC, or veto the attack
+      const pre = {
+        actor,
+        item,
+        context,
+        config: foundry.utils.deepClone(context.config),
+        targets: [...context.targets],
+        ac: Object.fromEntries(context.targets.map(t => [this.getTargetTokenId(t), this.getTargetAC(t)])),
+        reason: null
+      };
+      const veto = await WorkflowHooks.callPreHook("sw5eHelper.preAttackRoll", pre);
+      if (!veto.ok) {
+        result.errors.push(veto.reason);
+        result.meta = { code: "VETOED", vetoedBy: veto.hook };
+        return result;
+      }
+
+      const { config, targets, ac } = pre;
       log("execute()", { actor: actor.name, item: item.name, config, targetCount: targets.length });
 
       const formula = this.buildEnhancedAttackFormula(actor, item, config);
-      const attackResult = await this.executeAttackRolls({ actor, item, config, targets, formula });
+      const attackResult = await this.executeAttackRolls({ actor, item, config, targets, formula, ac });
 
       console.log("SW5E Helper: Attack targets before mapping:", targets);
       const state = StateManager.createAttackState({
@@ -137,7 +176,7 @@ export class AttackAction {
             name: t.name,
             img: t.document?.texture?.src,
             actorId: t.actor?.id,
-            ac: t.actor?.system?.attributes?.ac?.value
+            ac: ac[this.getTargetTokenId(t)] ?? t.actor?.system?.attributes?.ac?.value
           };
         })
       });
@@ -200,7 +239,7 @@ export class AttackAction {
       context.targetIds?.join(',') || '',
       JSON.stringify(context.config || {})
     ];
-    return btoa(parts.join('|')).replace(/[^a-zA-Z0-9]/g, '').substring(0, 32);
+    return btoa(parts.join('|')).replace(/[^a-zA-Z0-9]/g, '');
   }
 
   static async executeLegacy(options = {}) {
@@ -223,8 +262,13 @@ export class AttackAction {
     };
   }
 
+  /**
+   * Roll the attack and evaluate it against each target
+   * @param {object} options - Actor, item, config, targets and formula, plus
+   *   optional `ac` overrides by token ID
+   */
   static async executeAttackRolls(options = {}) {
-    const { actor, item, config, targets, formula } = options;
+    const { actor, item, config, targets, formula, ac = {} } = options;
 
     const results = {
       formula,
@@ -243,14 +287,14 @@ export class AttackAction {
       for (const target of targets) {
         const roll = await DiceRoller.roll(formula, rollData, { showDice: true });
         results.rolls.push(roll);
-        const evaluation = this.evaluateAttackVsTarget(roll, target);
+        const evaluation = this.evaluateAttackVsTarget(roll, target, ac[this.getTargetTokenId(target)]);
         results.targets.push(evaluation);
       }
     } else {
       const roll = await DiceRoller.roll(formula, rollData, { showDice: true });
       results.rolls.push(roll);
       for (const target of targets) {
-        const evaluation = this.evaluateAttackVsTarget(roll, target);
+        const evaluation = this.evaluateAttackVsTarget(roll, target, ac[this.getTargetTokenId(target)]);
         results.targets.push(evaluation);
       }
     }
@@ -280,12 +324,11 @@ export class AttackAction {
     return `${abilityKey.toUpperCase()} ${signed(abilityMod)} + PROF ${signed(profBonus)} + ITEM ${signed(itemBonus)}`;
   }
 
-  static evaluateAttackVsTarget(roll, target) {
-    const ac = this.getTargetAC(target);
+  static evaluateAttackVsTarget(roll, target, ac = this.getTargetAC(target)) {
     const evaluation = CheckEvaluator.evaluateAttack(roll, ac);
     return {
-      sceneId: (target.scene?.id ?? canvas.scene?.id) ?? null, // added for state mapping
-      tokenId: target.document?.id ?? target.id ?? target._id ?? target.tokenId,
+      sceneId: (target.scene?.id ?? target.sceneId ?? canvas.scene?.id) ?? null, // added for state mapping
+      tokenId: this.getTargetTokenId(target),
       name: target.name || "Unknown Target",
       ac,
       total: evaluation.total,
@@ -355,6 +398,13 @@ export class AttackAction {
     return formula;
   }
 
+  /**
+   * Token ID of a live or frozen target
+   */
+  static getTargetTokenId(target) {
+    return target.document?.id ?? target.id ?? target._id ?? target.tokenId;
+  }
+
   static getTargetAC(target) {
     const actor = target._actor || game.actors?.get?.(target.actorId);
     return actor?.system?.attributes?.ac?.value ?? 10;
@@ -368,8 +418,7 @@ export class AttackAction {
       try {
         const actor = game.actors?.get(state.actorId);
         const rollData = actor?.getRollData?.() ?? {};
-        const roll = new Roll(saveDC, rollData);
-        await roll.evaluate({ async: true });
+        const roll = await DiceRoller.roll(saveDC, rollData, { showDice: false });
         saveDC = roll.total;
       } catch {
         saveDC = Number(saveDC) || this.calculateDefaultDC(state.actorId, saveAbility);
@@ -397,7 +446,7 @@ export class AttackAction {
     const { actor, state } = options;
 
     // Create the message first
-    const msg = await ChatMessage.create({
+    const msg = await WorkflowChat.create({
       content: "Loading...", // Temporary content
       speaker: ChatMessage.getSpeaker({ actor }), // use the provided actor
       type: CONST.CHAT_MESSAGE_TYPES.OTHER
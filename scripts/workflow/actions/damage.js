@@ -6,8 +6,11 @@
 import { DiceRoller } from '../../core/dice/roller.js';
 import { FormulaUtils } from '../../core/dice/formula.js';
 import { StateManager } from '../../core/state/manager.js';
+import { ActorResolver } from '../../core/actors/resolver.js';
 import { DamageDialog } from '../../ui/dialogs/DamageDialog.js';
 import { CardRenderer } from '../../ui/cards/renderer.js';
+import { WorkflowHooks } from '../hooks.js';
+import { WorkflowChat } from '../chat.js';
 
 export class DamageAction {
   /** @type {string} Action name identifier */
@@ -95,15 +98,18 @@ export class DamageAction {
     
     if (!actor || !item) return;
 
+    const pre = await this.preCardRoll(actor, item, state, targets, state.options || {});
+    if (!pre) return;
+
     const result = await this.executeRoll({
       actor,
       item,
-      targets,
-      config: state.options || {},
+      targets: pre.targets,
+      config: pre.config,
       separate: !!state.options?.separate
     });
 
-    this.applyResultsToTargets(targets, result);
+    this.applyResultsToTargets(pre.targets, result);
     
     if (result.rolls?.length) {
       await this.appendRolls(message, result.rolls);
@@ -118,9 +124,9 @@ export class DamageAction {
    * @returns {Promise<object>} Damage result
    */
   static async execute(context = {}) {
-    const { actorId, itemId, config = {}, targetIds = [] } = context;
+    const { itemId, config = {}, targetIds = [] } = context;
     
-    const actor = game.actors?.get(actorId);
+    const actor = ActorResolver.getContextActor(context);
     const item = actor?.items?.get(itemId);
     
     if (!actor || !item) {
@@ -139,15 +145,67 @@ export class DamageAction {
       return `${canvas.scene?.id}:${id}`; // Convert token ID to scene:token format
     });
 
+    // Listeners may adjust the config or targets, or veto the roll
+    const pre = {
+      actor,
+      item,
+      context,
+      config: foundry.utils.deepClone(config),
+      targetRefs,
+      reason: null
+    };
+    const veto = await WorkflowHooks.callPreHook("sw5eHelper.preDamageRoll", pre);
+    if (!veto.ok) {
+      return {
+        ok: false,
+        type: 'damage',
+        errors: [veto.reason],
+        warnings: [],
+        meta: { code: 'VETOED', vetoedBy: veto.hook }
+      };
+    }
+
     // Use the existing executeManual method
     return this.executeManual({
       actor,
       item,
-      config,
-      targetRefs
+      config: pre.config,
+      targetRefs: pre.targetRefs
     });
   }
 
+  /**
+   * Run the `sw5eHelper.preDamageRoll` hook for a roll started from a card
+   * Listeners see the same payload as for workflow rolls and may drop
+   * targets, adjust the config or veto.
+   * @param {Actor} actor - Rolling actor
+   * @param {Item} item - Rolled item
+   * @param {object} state - Card state
+   * @param {Array} targets - Card targets
+   * @param {object} config - Roll configuration
+   * @returns {Promise<{config: object, targets: Array}|null>} Adjusted roll, or null when vetoed
+   */
+  static async preCardRoll(actor, item, state, targets, config) {
+    const targetRefs = targets.map(target => this.getTargetRef(target));
+    const pre = {
+      actor,
+      item,
+      context: { actorId: state.actorId, itemId: state.itemId, messageId: state.messageId, targetIds: targetRefs, config },
+      config: foundry.utils.deepClone(config),
+      targetRefs: [...targetRefs],
+      reason: null
+    };
+
+    const veto = await WorkflowHooks.callPreHook("sw5eHelper.preDamageRoll", pre);
+    if (!veto.ok) {
+      ui.notifications?.warn?.(`Damage roll vetoed: ${veto.reason}`);
+      return null;
+    }
+
+    const kept = new Set(pre.targetRefs);
+    return { config: pre.config, targets: targets.filter(target => kept.has(this.getTargetRef(target))) };
+  }
+
   /**
    * Open damage dialog for targets
    * @param {object} state - Card state
@@ -205,6 +263,11 @@ export class DamageAction {
     const actor = game.actors?.get(state.actorId);
     const item = actor?.items?.get(state.itemId);
 
+    const pre = await this.preCardRoll(actor, item, state, targets, result);
+    if (!pre) return;
+    targets = pre.targets;
+    result = pre.config;
+
     // Build crit map from target status
     const critMap = {};
     for (const target of targets) {
@@ -595,7 +658,7 @@ export class DamageAction {
         })
       : [`<div>${item.name}: <strong>${result.singleTotal}</strong></div>`];
 
-    return ChatMessage.create({
+    return WorkflowChat.create({
       speaker: ChatMessage.getSpeaker({ actor }),
       content: `<div class="sw5e-helper-manual-damage">
         <div><em>${item.name}</em> — Damage</div>
@@ -659,7 +722,7 @@ export class DamageAction {
       JSON.stringify(context.config || {})
     ];
     
-    return btoa(parts.join('|')).replace(/[^a-zA-Z0-9]/g, '').substring(0, 32);
+    return btoa(parts.join('|')).replace(/[^a-zA-Z0-9]/g, '');
   }
 
   /**
@@ -668,10 +731,7 @@ export class DamageAction {
    * @returns {Actor|null} Actor instance
    */
   static getActorFromTargetRef(targetRef) {
-    const [sceneId, tokenId] = targetRef.split(':');
-    const scene = game.scenes?.get(sceneId);
-    const token = scene?.tokens?.get(tokenId);
-    return token?.actor || null;
+    return ActorResolver.getTargetActor(targetRef);
   }
 
   /**
@@ -5,6 +5,8 @@
 
 import { DiceRoller } from '../../core/dice/roller.js';
 import { CheckEvaluator } from '../../core/dice/evaluator.js';
+import { ActorResolver } from '../../core/actors/resolver.js';
+import { WorkflowHooks } from '../hooks.js';
 
 export class SaveAction {
   /** @type {string} Action name identifier */
@@ -91,11 +93,32 @@ export class SaveAction {
 
   /**
    * Execute saving throws for all targets
+   * The awaited `sw5eHelper.preSaveRoll` hook runs first; a veto returns a
+   * failed result with code "VETOED".
    * @param {object} context - Execution context
    * @returns {Promise<object>} Save results
    */
   static async execute(context = {}) {
-    const { targetIds, config } = context;
+    // Listeners may adjust the config (e.g. the DC) or targets, or veto the saves
+    const pre = {
+      context,
+      config: foundry.utils.deepClone(context.config ?? {}),
+      targetIds: [...(context.targetIds ?? [])],
+      reason: null
+    };
+    const veto = await WorkflowHooks.callPreHook("sw5eHelper.preSaveRoll", pre);
+    if (!veto.ok) {
+      return {
+        ok: false,
+        type: 'save',
+        errors: [veto.reason],
+        warnings: [],
+        meta: { code: 'VETOED', vetoedBy: veto.hook },
+        rolls: []
+      };
+    }
+
+    const { targetIds, config } = pre;
     const { ability, dc, allowHalfDamage = true } = config;
 
     const result = {
@@ -207,26 +230,12 @@ export class SaveAction {
   }
 
   /**
-   * Get actor from target ID (supports multiple formats)
+   * Get actor from target ID (actor ID, "sceneId:tokenId" or token ID in the current scene)
    * @param {string} targetId - Target identifier
    * @returns {Actor|null} Actor instance
    */
   static getActorFromTargetId(targetId) {
-    // Direct actor ID
-    let actor = game.actors?.get(targetId);
-    if (actor) return actor;
-    
-    // Scene:Token format
-    if (targetId.includes(':')) {
-      const [sceneId, tokenId] = targetId.split(':');
-      const scene = game.scenes?.get(sceneId);
-      const token = scene?.tokens?.get(tokenId);
-      return token?.actor || null;
-    }
-    
-    // Token ID in current scene
-    const token = canvas.scene?.tokens?.get(targetId);
-    return token?.actor || null;
+    return ActorResolver.getTargetActor(targetId);
   }
 
   /**
@@ -255,7 +264,7 @@ export class SaveAction {
       String(context.config?.dc || 0)
     ];
     
-    return btoa(parts.join('|')).replace(/[^a-zA-Z0-9]/g, '').substring(0, 32);
+    return btoa(parts.join('|')).replace(/[^a-zA-Z0-9]/g, '');
   }
 
   /**
@@ -0,0 +1,481 @@
+/**
+ * Workflow Graph Analyzer
+ * Static checks for workflow graphs, run by `defineWorkflow` and available to
+ * module authors through the API. Errors make a graph unusable; warnings flag
+ * things that may still work at runtime (e.g. actions registered later).
+ */
+
+import { ConditionExpression } from './expressions.js';
+
+/** Node types the coordinator can execute */
+const NODE_TYPES = ['action', 'input', 'parallel', 'conditional', 'loop', 'subworkflow', 'pause', 'approval', 'waitFor', 'end'];
+
+/** Supported per-node error policies */
+const ERROR_POLICIES = ['continue', 'compensate-and-stop', 'stop'];
+
+/** Supported parallel join policies */
+const JOIN_POLICIES = ['all', 'any', 'first-success'];
+
+/** Supported waitFor policies for targets that never responded */
+const MISSING_POLICIES = ['roll', 'skip', 'fail'];
+
+/**
+ * @typedef {Object} Diagnostic
+ * @property {string} severity - "error" or "warning"
+ * @property {string} code - Stable diagnostic code (e.g. UNKNOWN_TARGET)
+ * @property {string} message - Human-readable description
+ * @property {string} graph - Graph name (nested graphs use "parent.node.branch")
+ * @property {string|null} nodeId - Offending node, if any
+ */
+
+/**
+ * @typedef {Object} AnalysisReport
+ * @property {boolean} ok - True when there are no errors
+ * @property {Diagnostic[]} errors - Problems that prevent execution
+ * @property {Diagnostic[]} warnings - Likely mistakes
+ */
+
+export class WorkflowAnalyzer {
+  /**
+   * Analyze a workflow graph
+   * @param {WorkflowCoordinator} coordinator - Coordinator (registered actions, conditions, branch building)
+   * @param {Object} graph - Workflow graph
+   * @returns {AnalysisReport} Diagnostics
+   */
+  static analyze(coordinator, graph) {
+    const report = { ok: true, errors: [], warnings: [] };
+    this.analyzeGraph(coordinator, graph, report, { root: true, workflow: graph?.name, targetFilters: graph?.targetFilters });
+    report.ok = report.errors.length === 0;
+    return report;
+  }
+
+  /**
+   * Analyze one graph level, recursing into branches and loop bodies
+   * @param {WorkflowCoordinator} coordinator - Coordinator
+   * @param {Object} graph - Graph at this level
+   * @param {AnalysisReport} report - Report being built
+   * @param {Object} scope - `root` is set for the top-level graph only; `workflow` and
+   *   `targetFilters` come from the root graph
+   */
+  static analyzeGraph(coordinator, graph, report, scope) {
+    const name = graph?.name || '(unnamed)';
+    const add = (severity, code, message, nodeId = null) => {
+      report[severity === 'error' ? 'errors' : 'warnings'].push({ severity, code, message, graph: name, nodeId });
+    };
+
+    if (!graph?.name) {
+      add('error', 'MISSING_NAME', 'Workflow name is required');
+    }
+
+    if (!graph?.nodes || typeof graph.nodes !== 'object') {
+      add('error', 'MISSING_NODES', 'Workflow nodes object is required');
+      return;
+    }
+
+    if (!graph.start || !graph.nodes[graph.start]) {
+      add('error', 'INVALID_START', 'Valid start node is required');
+    }
+
+    for (const [nodeId, node] of Object.entries(graph.nodes)) {
+      this.analyzeNode(coordinator, graph, nodeId, node, add, report, scope);
+    }
+
+    if (graph.start && graph.nodes[graph.start]) {
+      const adjacency = this.getAdjacency(coordinator, graph);
+      this.analyzeReachability(graph, adjacency, add);
+      this.analyzeCycles(graph, adjacency, add);
+    }
+
+    if (scope.root && !Object.values(graph.nodes).some(node => node?.type === 'end')) {
+      add('warning', 'NO_END', `Workflow ${name} has no end node`);
+    }
+
+    if (scope.root && graph.migrations !== undefined) {
+      this.analyzeMigrations(graph, add);
+    }
+  }
+
+  /**
+   * Check a graph's node-id migration maps
+   * `migrations` maps an earlier version to `{ oldNodeId: newNodeId | null }`;
+   * every new id must be a node of this graph.
+   * @param {Object} graph - Root graph
+   * @param {Function} add - Diagnostic sink
+   */
+  static analyzeMigrations(graph, add) {
+    if (!graph.migrations || typeof graph.migrations !== 'object') {
+      add('error', 'INVALID_MIGRATIONS', 'Workflow migrations must map versions to node id maps');
+      return;
+    }
+
+    if (graph.version === undefined) {
+      add('warning', 'UNVERSIONED_MIGRATIONS', 'Workflow has migrations but no version');
+    }
+
+    for (const [version, map] of Object.entries(graph.migrations)) {
+      if (String(version) === String(graph.version)) {
+        add('warning', 'SELF_MIGRATION', `Migration from version ${version} targets its own version`);
+      }
+      if (!map || typeof map !== 'object') {
+        add('error', 'INVALID_MIGRATIONS', `Migration from version ${version} must be a node id map`);
+        continue;
+      }
+      for (const [from, to] of Object.entries(map)) {
+        if (to !== null && !graph.nodes[to]) {
+          add('error', 'UNKNOWN_MIGRATION_TARGET', `Migration from version ${version} maps ${from} to unknown node: ${to}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check a single node
+   * @param {WorkflowCoordinator} coordinator - Coordinator
+   * @param {Object} graph - Owning graph
+   * @param {string} nodeId - Node identifier
+   * @param {Object} node - Node definition
+   * @param {Function} add - Diagnostic sink
+   * @param {AnalysisReport} report - Report (for nested graphs)
+   * @param {Object} scope - Analysis scope
+   */
+  static analyzeNode(coordinator, graph, nodeId, node, add, report, scope) {
+    if (!node?.type) {
+      add('error', 'MISSING_TYPE', `Node ${nodeId} missing type`, nodeId);
+      return;
+    }
+
+    if (!NODE_TYPES.includes(node.type)) {
+      add('error', 'UNKNOWN_TYPE', `Node ${nodeId} has unknown type: ${node.type}`, nodeId);
+    }
+
+    for (const [edge, target] of this.getEdges(coordinator, node)) {
+      if (!graph.nodes[target]) {
+        add('error', 'UNKNOWN_TARGET', `Node ${nodeId} references unknown ${edge} node: ${target}`, nodeId);
+      }
+    }
+
+    if (node.errorPolicy && !ERROR_POLICIES.includes(node.errorPolicy)) {
+      add('error', 'UNKNOWN_ERROR_POLICY', `Node ${nodeId} has unknown error policy: ${node.errorPolicy}`, nodeId);
+    }
+
+    if (node.input !== undefined && (!node.input || typeof node.input !== 'object' || Array.isArray(node.input))) {
+      add('error', 'INVALID_INPUT', `Node ${nodeId} input must be an object`, nodeId);
+    }
+
+    if (node.output !== undefined && (typeof node.output !== 'string' || !node.output)) {
+      add('error', 'INVALID_OUTPUT', `Node ${nodeId} output must be a results key`, nodeId);
+    }
+
+    if (node.retry) {
+      const { attempts, backoffMs, retryOn } = node.retry;
+      if (!Number.isInteger(attempts) || attempts < 1) {
+        add('error', 'INVALID_RETRY', `Node ${nodeId} retry.attempts must be a positive integer`, nodeId);
+      }
+      if (backoffMs !== undefined && !(backoffMs >= 0)) {
+        add('error', 'INVALID_RETRY', `Node ${nodeId} retry.backoffMs must be a non-negative number`, nodeId);
+      }
+      if (retryOn !== undefined && (!Array.isArray(retryOn) || retryOn.some(code => typeof code !== 'string'))) {
+        add('error', 'INVALID_RETRY', `Node ${nodeId} retry.retryOn must be a list of error codes`, nodeId);
+      }
+      if (node.type !== 'action') {
+        add('warning', 'RETRY_IGNORED', `Node ${nodeId} has a retry policy, but only action nodes are retried`, nodeId);
+      }
+    }
+
+    const filter = node.config?.targetFilter;
+    if (filter && !coordinator.getTargetFilter(filter, { targetFilters: scope.targetFilters })) {
+      add('warning', 'UNKNOWN_TARGET_FILTER', `Node ${nodeId} uses unregistered target filter: ${filter}`, nodeId);
+    }
+
+    switch (node.type) {
+      case 'action':
+        if (!node.action) {
+          add('error', 'MISSING_ACTION', `Action node ${nodeId} missing action name`, nodeId);
+        } else if (!coordinator.getAction(node.action)) {
+          add('warning', 'UNKNOWN_ACTION', `Node ${nodeId} uses unregistered action: ${node.action}`, nodeId);
+        }
+        break;
+
+      case 'conditional':
+        if (!node.condition) {
+          add('error', 'MISSING_CONDITION', `Conditional node ${nodeId} missing condition`, nodeId);
+        } else {
+          this.analyzeCondition(coordinator, nodeId, node.condition, [], add);
+        }
+        if (!node.onTrue && !node.onFalse) {
+          add('warning', 'NO_BRANCHES', `Conditional node ${nodeId} has neither onTrue nor onFalse`, nodeId);
+        }
+        break;
+
+      case 'input':
+        if (!node.dialog) {
+          add('error', 'MISSING_DIALOG', `Input node ${nodeId} missing dialog name`, nodeId);
+        } else if (!coordinator.getDialog(node.dialog)) {
+          add('warning', 'UNKNOWN_DIALOG', `Node ${nodeId} uses unregistered dialog: ${node.dialog}`, nodeId);
+        }
+        break;
+
+      case 'waitFor': {
+        const request = node.request || 'save';
+        if (!coordinator.getResponder(request)) {
+          add('warning', 'UNKNOWN_RESPONDER', `Node ${nodeId} uses unregistered responder: ${request}`, nodeId);
+        }
+        if (node.onMissing && !MISSING_POLICIES.includes(node.onMissing)) {
+          add('error', 'UNKNOWN_MISSING_POLICY', `WaitFor node ${nodeId} has unknown onMissing policy: ${node.onMissing}`, nodeId);
+        }
+        break;
+      }
+
+      case 'pause':
+        if (!scope.root) {
+          add('error', 'NESTED_PAUSE', `Pause node ${nodeId} is inside a loop body or parallel branch, where it can't wait for a resume`, nodeId);
+        }
+        break;
+
+      case 'approval':
+        if (!scope.root) {
+          add('error', 'NESTED_APPROVAL', `Approval node ${nodeId} is inside a loop body or parallel branch, where it can't wait for a decision`, nodeId);
+        }
+        break;
+
+      case 'subworkflow': {
+        const child = node.workflow ? coordinator.getWorkflow(node.workflow) : null;
+        if (!node.workflow) {
+          add('error', 'MISSING_WORKFLOW', `Sub-workflow node ${nodeId} missing workflow name`, nodeId);
+        } else if (node.workflow === scope.workflow) {
+          add('error', 'RECURSIVE_SUBWORKFLOW', `Sub-workflow node ${nodeId} calls its own workflow: ${node.workflow}`, nodeId);
+        } else if (!child) {
+          add('warning', 'UNKNOWN_WORKFLOW', `Node ${nodeId} uses unregistered workflow: ${node.workflow}`, nodeId);
+        } else if (Object.values(child.nodes || {}).some(n => n?.type === 'pause' || n?.type === 'approval')) {
+          add('warning', 'SUBWORKFLOW_PAUSE', `Node ${nodeId} calls ${node.workflow}, whose pause and approval nodes fail inside a sub-workflow`, nodeId);
+        }
+        break;
+      }
+
+      case 'parallel': {
+        if (node.join && !JOIN_POLICIES.includes(node.join)) {
+          add('error', 'UNKNOWN_JOIN', `Parallel node ${nodeId} has unknown join policy: ${node.join}`, nodeId);
+        }
+
+        const names = new Set();
+        (node.branches || []).forEach((branch, index) => {
+          const branchName = coordinator.getBranchName(branch, index);
+          if (names.has(branchName)) {
+            add('error', 'DUPLICATE_BRANCH', `Parallel node ${nodeId} has duplicate branch name: ${branchName}`, nodeId);
+          }
+          names.add(branchName);
+
+          const branchGraph = coordinator.buildBranchGraph(graph, nodeId, branch, index);
+          if (!branchGraph.start) {
+            add('error', 'EMPTY_BRANCH', `Parallel node ${nodeId} branch ${branchName} has no steps`, nodeId);
+            return;
+          }
+          this.analyzeGraph(coordinator, branchGraph, report, { ...scope, root: false });
+        });
+
+        if (!node.branches?.length) {
+          add('warning', 'NO_BRANCHES', `Parallel node ${nodeId} has no branches`, nodeId);
+        }
+        break;
+      }
+
+      case 'loop': {
+        const as = node.as || 'item';
+        if (!node.over && node.count === undefined) {
+          add('error', 'LOOP_SOURCE', `Loop node ${nodeId} requires 'over' or 'count'`, nodeId);
+        }
+        if (typeof node.where === 'string') {
+          this.analyzeCondition(coordinator, nodeId, node.where, ['item', as], add);
+        }
+        if (!node.body?.nodes || !node.body?.start) {
+          add('error', 'LOOP_BODY', `Loop node ${nodeId} requires a body with nodes and start`, nodeId);
+        } else {
+          this.analyzeGraph(coordinator, { name: `${graph.name}.${nodeId}`, ...node.body }, report, { ...scope, root: false });
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Check that a condition parses and only names registered conditions
+   * @param {WorkflowCoordinator} coordinator - Coordinator
+   * @param {string} nodeId - Node identifier
+   * @param {string} condition - Condition name or expression
+   * @param {string[]} locals - Identifiers bound in this scope (loop `where` item)
+   * @param {Function} add - Diagnostic sink
+   */
+  static analyzeCondition(coordinator, nodeId, condition, locals, add) {
+    if (coordinator.getCondition(condition)) return;
+
+    let ast;
+    try {
+      ast = coordinator.compileCondition(condition);
+    } catch (error) {
+      add('error', 'INVALID_CONDITION', `Node ${nodeId} has invalid condition: ${error.message}`, nodeId);
+      return;
+    }
+
+    for (const name of ConditionExpression.getIdentifiers(ast)) {
+      if (!locals.includes(name) && !coordinator.getCondition(name)) {
+        add('warning', 'UNKNOWN_CONDITION', `Node ${nodeId} references unregistered condition: ${name}`, nodeId);
+      }
+    }
+  }
+
+  /**
+   * Warn about nodes that cannot be reached from the start node
+   * @param {Object} graph - Graph to check
+   * @param {Map<string, string[]>} adjacency - Graph adjacency
+   * @param {Function} add - Diagnostic sink
+   */
+  static analyzeReachability(graph, adjacency, add) {
+    const seen = new Set([graph.start]);
+    const queue = [graph.start];
+
+    while (queue.length) {
+      for (const target of adjacency.get(queue.shift()) || []) {
+        if (!seen.has(target)) {
+          seen.add(target);
+          queue.push(target);
+        }
+      }
+    }
+
+    for (const nodeId of Object.keys(graph.nodes)) {
+      if (!seen.has(nodeId)) {
+        add('warning', 'UNREACHABLE', `Node ${nodeId} is unreachable from ${graph.start}`, nodeId);
+      }
+    }
+  }
+
+  /**
+   * Find cycles; a cycle with no edge leading out of it can never finish
+   * @param {Object} graph - Graph to check
+   * @param {Map<string, string[]>} adjacency - Graph adjacency
+   * @param {Function} add - Diagnostic sink
+   */
+  static analyzeCycles(graph, adjacency, add) {
+
+    for (const component of this.getStronglyConnected(adjacency)) {
+      const [first] = component;
+      const isCycle = component.length > 1 || (adjacency.get(first) || []).includes(first);
+      if (!isCycle) continue;
+
+      const members = new Set(component);
+      const hasExit = component.some(nodeId =>
+        (adjacency.get(nodeId) || []).some(target => !members.has(target)) ||
+        this.canFallThrough(graph.nodes[nodeId])
+      );
+      const path = component.join(' → ');
+
+      if (hasExit) {
+        add('warning', 'CYCLE', `Cycle ${path} relies on conditions or maxSteps to terminate`, first);
+      } else {
+        add('error', 'UNBOUNDED_CYCLE', `Cycle ${path} has no exit and will run until maxSteps`, first);
+      }
+    }
+  }
+
+  /**
+   * Whether a node can end the graph by having no follow-up node
+   * @param {Object} node - Node definition
+   * @returns {boolean} True if some outcome leads nowhere
+   */
+  static canFallThrough(node) {
+    if (node.type === 'end') return true;
+    if (node.type === 'conditional') return !node.onTrue || !node.onFalse;
+    if (node.type === 'input') return !node.next || !node.onCancel;
+    if (node.type === 'approval') return !(node.onApprove || node.next) || !node.onReject;
+    return !node.next;
+  }
+
+  /**
+   * Outgoing edges of a node as [kind, target] pairs
+   * @param {WorkflowCoordinator} coordinator - Coordinator
+   * @param {Object} node - Node definition
+   * @returns {Array<[string, string]>} Edges
+   */
+  static getEdges(coordinator, node) {
+    const edges = [['next', node.next], ['onError', node.onError]];
+    if (node.type === 'conditional') {
+      edges.push(['onTrue', node.onTrue], ['onFalse', node.onFalse]);
+    }
+    if (node.type === 'input') {
+      edges.push(['onCancel', node.onCancel]);
+    }
+    if (node.type === 'approval') {
+      edges.push(['onApprove', node.onApprove], ['onReject', node.onReject]);
+    }
+    if (node.type === 'pause') {
+      for (const option of coordinator.getResumeOptions(node)) {
+        edges.push(['resume option', option.next]);
+      }
+    }
+    return edges.filter(([, target]) => target);
+  }
+
+  /**
+   * Build the node adjacency map for a graph
+   * @param {WorkflowCoordinator} coordinator - Coordinator
+   * @param {Object} graph - Graph
+   * @returns {Map<string, string[]>} Targets by node ID
+   */
+  static getAdjacency(coordinator, graph) {
+    const adjacency = new Map();
+    for (const [nodeId, node] of Object.entries(graph.nodes)) {
+      const targets = node?.type ? this.getEdges(coordinator, node).map(([, target]) => target) : [];
+      adjacency.set(nodeId, [...new Set(targets.filter(target => graph.nodes[target]))]);
+    }
+    return adjacency;
+  }
+
+  /**
+   * Tarjan's strongly connected components
+   * @param {Map<string, string[]>} adjacency - Graph adjacency
+   * @returns {string[][]} Components
+   */
+  static getStronglyConnected(adjacency) {
+    let index = 0;
+    const indices = new Map();
+    const lowlinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    const connect = (nodeId) => {
+      indices.set(nodeId, index);
+      lowlinks.set(nodeId, index);
+      index++;
+      stack.push(nodeId);
+      onStack.add(nodeId);
+
+      for (const target of adjacency.get(nodeId) || []) {
+        if (!indices.has(target)) {
+          connect(target);
+          lowlinks.set(nodeId, Math.min(lowlinks.get(nodeId), lowlinks.get(target)));
+        } else if (onStack.has(target)) {
+          lowlinks.set(nodeId, Math.min(lowlinks.get(nodeId), indices.get(target)));
+        }
+      }
+
+      if (lowlinks.get(nodeId) === indices.get(nodeId)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== nodeId);
+        components.push(component.reverse());
+      }
+    };
+
+    for (const nodeId of adjacency.keys()) {
+      if (!indices.has(nodeId)) connect(nodeId);
+    }
+    return components;
+  }
+}
+
+export default WorkflowAnalyzer;
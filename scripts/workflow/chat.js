@@ -0,0 +1,26 @@
+/**
+ * Workflow Chat
+ * Chat messages posted by workflow actions and the coordinator go through
+ * here, so a simulation can capture them without touching anyone else's chat.
+ */
+
+export class WorkflowChat {
+  /**
+   * Stand-in message store for the length of a workflow simulation, or null
+   * `sink.createMessage(data)` returns the message to use in place of a real one.
+   * @type {{createMessage: (data: Object) => Object}|null}
+   */
+  static sink = null;
+
+  /**
+   * Create a chat message, or capture it while a simulation runs
+   * @param {Object} data - Message data
+   * @returns {Promise<ChatMessage|Object>} Created (or captured) message
+   */
+  static async create(data) {
+    if (this.sink) return this.sink.createMessage(data);
+    return ChatMessage.create(data);
+  }
+}
+
+export default WorkflowChat;
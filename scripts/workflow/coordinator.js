@@ -7,6 +7,22 @@
  */
 
 import { StateManager } from '../core/state/manager.js';
+import { IdempotencyLedger } from '../core/state/ledger.js';
+import { PermissionChecker } from '../core/actors/permissions.js';
+import { ActorResolver } from '../core/actors/resolver.js';
+import { SW5EAdapter } from '../integrations/sw5e-adapter.js';
+import { PauseCardRenderer } from '../ui/cards/pause-card.js';
+import { ApprovalCardRenderer } from '../ui/cards/approval-card.js';
+import { WaitCardRenderer } from '../ui/cards/wait-card.js';
+import { JournalCardRenderer } from '../ui/cards/journal-card.js';
+import { ConditionExpression } from './expressions.js';
+import { ExecutionJournal } from './journal.js';
+import { WorkflowTrace, MetricsStore, DocumentWriteCounter } from './tracing.js';
+import { WorkflowAnalyzer } from './analyzer.js';
+import { PlayerRelay } from './relay.js';
+import { WorkflowSimulation } from './simulation.js';
+import { WorkflowHooks } from './hooks.js';
+import { WorkflowChat } from './chat.js';
 import { getConfig, isDebug } from '../config.js';
 
 /**
@@ -14,6 +30,8 @@ import { getConfig, isDebug } from '../config.js';
  * @property {string} name - Workflow identifier
  * @property {Object} nodes - Graph nodes by ID
  * @property {string} start - Starting node ID
+ * @property {string} [version] - Definition version, stamped into resume tokens
+ * @property {Object<string, Object<string, string|null>>} [migrations] - Node id maps by earlier version, for resuming executions paused under it (null marks a removed node)
  * @property {Object} metadata - Optional workflow metadata
  */
 
@@ -50,7 +68,11 @@ import { getConfig, isDebug } from '../config.js';
  * @property {AbortSignal} [signal] - Cancellation signal
  * @property {string} [logLevel] - Override log level
  * @property {string} [resumeToken] - Resume from pause point
+ * @property {number|string} [resumeOption] - Pause option to resume with (index, label or target node), or "approve"/"reject" for approval nodes
+ * @property {Object} [edits] - Approval edits: `{ amounts: { [targetId]: number }, mode }`
  * @property {boolean} [dryRun] - Validate only, don't execute
+ * @property {boolean|Object} [simulate] - Run in full against scripted or seeded dice and actor copies, writing nothing; see `WorkflowSimulation` for options
+ * @property {number} [timeout] - Whole-run timeout in ms (overrides graph `config.timeout`)
  */
 
 /**
@@ -85,31 +107,92 @@ class ResumeError extends WorkflowError {
   }
 }
 
+class TimeoutError extends WorkflowError {
+  constructor(message) {
+    super(message, 'TIMEOUT');
+    this.name = 'TimeoutError';
+  }
+}
+
+class VetoError extends WorkflowError {
+  constructor(message, hook) {
+    super(message, 'VETOED');
+    this.name = 'VetoError';
+    this.hook = hook;
+  }
+}
+
+/** Failure codes that are not retried unless a retry policy lists them in `retryOn` */
+const NON_RETRYABLE_CODES = ['VALIDATION_ERROR', 'PERMISSION_ERROR', 'ABORTED', 'VETOED'];
+
+/** `format` tag of workflow export files */
+const WORKFLOW_FILE_FORMAT = 'sw5e-helper-workflow';
+
+/** Context keys a sub-workflow inherits from its parent unless `inherit: false` */
+const SUBWORKFLOW_INHERITED_KEYS = ['actorId', 'itemId', 'targetIds', 'messageId', 'userId', 'config', 'flags'];
+
 /**
  * Advanced Workflow Coordinator
  * Orchestrates complex multi-step workflows with graph execution
  */
 export class WorkflowCoordinator {
   constructor() {
-    /** @type {Map<string, WorkflowGraph>} */
+    /** @type {Map<string, WorkflowGraph>} Current definition of each workflow */
     this.workflows = new Map();
+
+    /** @type {Map<string, Map<string, WorkflowGraph>>} Every registered version of each workflow */
+    this.workflowVersions = new Map();
+
+    /** @type {Set<string>} Names of the built-in workflows, which user workflows may not replace */
+    this.builtinWorkflows = new Set();
+
+    /** @type {Set<string>} Names of the registered workflows that came from the world */
+    this.userWorkflows = new Set();
     
     /** @type {Map<string, Object>} */
     this.actions = new Map();
     
     /** @type {Map<string, Function>} */
     this.conditions = new Map();
+
+    /** @type {Map<string, Function>} Named target selectors for node `config.targetFilter` */
+    this.targetFilters = new Map();
+
+    /** @type {Map<string, Object>} Input providers for `input` nodes */
+    this.dialogs = new Map();
+
+    /** @type {Map<string, Object>} Relay responders: rolls for `waitFor` nodes, GM-side bookkeeping */
+    this.responders = new Map();
+
+    /** @type {Map<string, AbortController>} Pending `waitFor` nodes by "workflowId:nodeId" */
+    this.waits = new Map();
+
+    /** @type {Set<string>} Resume tokens being spent on this client */
+    this.consumingTokens = new Set();
+
+    /** @type {Map<string, Object>} Parsed condition expressions by source */
+    this.compiledConditions = new Map();
     
     /** @type {Map<string, Object>} */
     this.activeExecutions = new Map();
+
+    /** @type {Map<string, WorkflowTrace>} Recently finished traces by execution ID, oldest first */
+    this.traces = new Map();
     
     this.config = {
       maxSteps: getConfig('coordinator.maxSteps', 50),
       defaultTimeout: getConfig('coordinator.defaultTimeout', 30000),
       resumeTokenTTL: getConfig('coordinator.resumeTokenTTL', 24 * 60 * 60 * 1000),
       maxParallelBranches: getConfig('coordinator.maxParallelBranches', 10),
+      maxLoopIterations: getConfig('coordinator.maxLoopIterations', 50),
+      idempotencyWindow: getConfig('coordinator.idempotencyWindow', 5000),
+      waitForTimeout: getConfig('coordinator.waitForTimeout', 120000),
+      traceRetention: getConfig('coordinator.traceRetention', 20),
       logLevel: getConfig('debug.logLevel', 'info')
     };
+
+    /** @type {MetricsStore} Rolling action and workflow durations */
+    this.metrics = new MetricsStore(getConfig('coordinator.metricsSampleSize', 200));
     
     this.init();
   }
@@ -119,6 +202,7 @@ export class WorkflowCoordinator {
    */
   async init() {
     this.log('info', 'Initializing WorkflowCoordinator');
+    DocumentWriteCounter.install();
     
     // Import and register default actions
     try {
@@ -134,8 +218,30 @@ export class WorkflowCoordinator {
       this.log('error', 'Failed to register default actions', { error: error.message });
     }
 
-    // Register built-in workflows
-    this.registerBuiltinWorkflows();
+    // Import and register dialog input providers
+    try {
+      const { AttackInput, DamageInput } = await import('./inputs/index.js');
+
+      this.registerDialog('attack', AttackInput);
+      this.registerDialog('damage', DamageInput);
+    } catch (error) {
+      this.log('error', 'Failed to register dialog inputs', { error: error.message });
+    }
+
+    // Import and register roll responders, then answer requests from other clients
+    try {
+      const { SaveResponder, ResumeTokenResponder } = await import('./responders/index.js');
+
+      this.registerResponder('save', SaveResponder);
+      this.registerResponder('resumeToken', ResumeTokenResponder);
+      PlayerRelay.init(this);
+    } catch (error) {
+      this.log('error', 'Failed to register responders', { error: error.message });
+    }
+
+    // Register built-in workflows, then the ones stored in the world
+    await this.registerBuiltinWorkflows();
+    this.registerUserWorkflows();
     
     this.log('info', 'WorkflowCoordinator initialized');
   }
@@ -148,20 +254,26 @@ export class WorkflowCoordinator {
       // Import workflow graphs and conditions
       const graphs = await import('./graphs/index.js');
       
+      // Register all condition functions
+      for (const [name, condition] of Object.entries(graphs.conditions)) {
+        this.registerCondition(name, condition);
+      }
+
+      // Register built-in target filters
+      for (const [name, filter] of Object.entries(graphs.targetFilters)) {
+        this.registerTargetFilter(name, filter);
+      }
+
       // Register all workflows from the registry
       for (const entry of graphs.workflowRegistry) {
         this.defineWorkflow(entry.name, entry.workflow);
+        this.builtinWorkflows.add(entry.name);
         this.log('debug', `Registered workflow: ${entry.displayName}`, { 
           name: entry.name, 
           category: entry.category 
         });
       }
 
-      // Register all condition functions
-      for (const [name, condition] of Object.entries(graphs.conditions)) {
-        this.registerCondition(name, condition);
-      }
-
       this.log('info', 'Built-in workflows registered', { 
         workflowCount: graphs.workflowRegistry.length,
         conditionCount: Object.keys(graphs.conditions).length
@@ -182,6 +294,145 @@ export class WorkflowCoordinator {
     }
   }
 
+  /**
+   * Register the workflows stored in the world
+   * A stored graph that fails validation or reuses a built-in name is skipped
+   * with an error logged, so one bad import can't stop the rest loading.
+   * Workflows deleted from the world since the last call are unregistered.
+   */
+  registerUserWorkflows() {
+    const stored = StateManager.listUserWorkflows();
+
+    for (const name of this.userWorkflows) {
+      if (!stored.some(entry => entry.name === name)) this.unregisterWorkflow(name);
+    }
+    this.userWorkflows.clear();
+
+    for (const entry of stored) {
+      try {
+        if (this.builtinWorkflows.has(entry.name)) {
+          throw new ValidationError(`${entry.name} is a built-in workflow`);
+        }
+        this.defineWorkflow(entry.name, entry.graph);
+        this.userWorkflows.add(entry.name);
+      } catch (error) {
+        this.log('error', 'Failed to register user workflow', { name: entry.name, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Save a workflow to the world (GM only)
+   * The graph is validated and registered first, so an invalid graph is never
+   * stored. Graphs must be plain JSON: conditions as names or expressions, not
+   * functions.
+   * @param {WorkflowGraph} graph - Workflow graph
+   * @returns {Promise<AnalysisReport>} Analyzer report (warnings only; errors throw)
+   */
+  async saveUserWorkflow(graph) {
+    if (!PermissionChecker.isGM()) {
+      throw new PermissionError('Only a GM may save workflows to the world');
+    }
+    if (!graph?.name) {
+      throw new ValidationError('Workflow name is required');
+    }
+    if (this.builtinWorkflows.has(graph.name)) {
+      throw new ValidationError(`${graph.name} is a built-in workflow`);
+    }
+
+    const definition = this.toPortableGraph(graph);
+    const report = this.defineWorkflow(definition.name, definition);
+    this.userWorkflows.add(definition.name);
+    await StateManager.storeUserWorkflow(definition);
+    return report;
+  }
+
+  /**
+   * Delete a workflow from the world and unregister it (GM only)
+   * @param {string} name - Workflow name
+   * @returns {Promise<boolean>} True if the workflow was stored
+   */
+  async deleteUserWorkflow(name) {
+    if (!PermissionChecker.isGM()) {
+      throw new PermissionError('Only a GM may delete workflows from the world');
+    }
+
+    const removed = await StateManager.removeUserWorkflow(name);
+    if (removed) {
+      this.unregisterWorkflow(name);
+      this.userWorkflows.delete(name);
+    }
+    return removed;
+  }
+
+  /**
+   * Export a registered workflow as JSON
+   * @param {string} name - Workflow name
+   * @returns {string} Export document: `{ format, exported, workflow }`
+   */
+  exportWorkflow(name) {
+    const graph = this.getWorkflow(name);
+    if (!graph) {
+      throw new WorkflowError(`Unknown workflow: ${name}`);
+    }
+
+    return JSON.stringify({
+      format: WORKFLOW_FILE_FORMAT,
+      exported: new Date().toISOString(),
+      workflow: this.toPortableGraph(graph)
+    }, null, 2);
+  }
+
+  /**
+   * Import a workflow export and save it to the world (GM only)
+   * @param {string} json - Export document from `exportWorkflow`
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.overwrite] - Replace a stored workflow with the same name
+   * @returns {Promise<AnalysisReport>} Analyzer report (warnings only; errors throw)
+   */
+  async importWorkflow(json, { overwrite = false } = {}) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new ValidationError(`Workflow file is not valid JSON: ${error.message}`);
+    }
+
+    if (data?.format !== WORKFLOW_FILE_FORMAT || !data.workflow) {
+      throw new ValidationError('File is not a workflow export');
+    }
+    if (!overwrite && StateManager.getUserWorkflow(data.workflow.name)) {
+      throw new ValidationError(`Workflow ${data.workflow.name} already exists; import with overwrite to replace it`);
+    }
+
+    return this.saveUserWorkflow(data.workflow);
+  }
+
+  /**
+   * Copy a graph as plain JSON
+   * @param {WorkflowGraph} graph - Workflow graph
+   * @returns {WorkflowGraph} JSON-safe copy
+   */
+  toPortableGraph(graph) {
+    const json = JSON.stringify(graph, (key, value) => {
+      if (typeof value === 'function') {
+        throw new ValidationError(`Workflow ${graph.name} contains a function at "${key}" and can't be stored as JSON`);
+      }
+      return value;
+    });
+    return JSON.parse(json);
+  }
+
+  /**
+   * Remove a workflow and all its versions
+   * @param {string} name - Workflow name
+   */
+  unregisterWorkflow(name) {
+    this.workflows.delete(name);
+    this.workflowVersions.delete(name);
+    this.log('info', 'Workflow unregistered', { name });
+  }
+
   /**
    * Register an action with the coordinator
    * @param {string} name - Action name
@@ -205,6 +456,52 @@ export class WorkflowCoordinator {
     this.log('debug', 'Action registered', { name });
   }
 
+  /**
+   * Register an input provider for `input` nodes
+   * @param {string} name - Dialog name
+   * @param {Object} provider - Provider with `prompt(context, { signal })`
+   */
+  registerDialog(name, provider) {
+    if (typeof provider?.prompt !== 'function') {
+      throw new Error(`Dialog ${name} missing prompt method`);
+    }
+
+    this.dialogs.set(name, provider);
+    this.log('debug', 'Dialog registered', { name });
+  }
+
+  /**
+   * Get registered input provider
+   * @param {string} name - Dialog name
+   * @returns {Object|null} Input provider
+   */
+  getDialog(name) {
+    return this.dialogs.get(name) || null;
+  }
+
+  /**
+   * Register a roll responder for `waitFor` nodes
+   * @param {string} name - Responder name (referenced by `node.request`)
+   * @param {Object} responder - Object with `respond(request)`, run on the rolling user's client
+   */
+  registerResponder(name, responder) {
+    if (typeof responder?.respond !== 'function') {
+      throw new Error(`Responder ${name} missing respond method`);
+    }
+
+    this.responders.set(name, responder);
+    this.log('debug', 'Responder registered', { name });
+  }
+
+  /**
+   * Get registered roll responder
+   * @param {string} name - Responder name
+   * @returns {Object|null} Responder
+   */
+  getResponder(name) {
+    return this.responders.get(name) || null;
+  }
+
   /**
    * Register a condition function with the coordinator
    * @param {string} name - Condition name
@@ -228,6 +525,40 @@ export class WorkflowCoordinator {
     return this.conditions.get(name) || null;
   }
 
+  /**
+   * List all registered conditions
+   * @returns {string[]} Condition names
+   */
+  listConditions() {
+    return Array.from(this.conditions.keys());
+  }
+
+  /**
+   * Register a target filter with the coordinator
+   * Filters receive the workflow context and return target IDs or target
+   * result objects (e.g. attack evaluations), which are normalized to IDs.
+   * @param {string} name - Filter name
+   * @param {Function} filter - Target selection function
+   */
+  registerTargetFilter(name, filter) {
+    if (typeof filter !== 'function') {
+      throw new Error(`Target filter ${name} must be a function`);
+    }
+
+    this.targetFilters.set(name, filter);
+    this.log('debug', 'Target filter registered', { name });
+  }
+
+  /**
+   * Get a target filter, preferring one declared on the workflow graph
+   * @param {string} name - Filter name
+   * @param {WorkflowGraph} [workflow] - Workflow whose `targetFilters` take precedence
+   * @returns {Function|null} Target filter
+   */
+  getTargetFilter(name, workflow) {
+    return workflow?.targetFilters?.[name] || this.targetFilters.get(name) || null;
+  }
+
   /**
    * Get registered action
    * @param {string} name - Action name
@@ -249,20 +580,101 @@ export class WorkflowCoordinator {
    * Define a workflow
    * @param {string} name - Workflow name
    * @param {WorkflowGraph} graph - Workflow graph definition
+   * @returns {AnalysisReport} Analyzer report (warnings only; errors throw)
    */
   defineWorkflow(name, graph) {
-    this.validateWorkflowGraph(graph);
-    this.workflows.set(name, { ...graph, name });
-    this.log('info', 'Workflow defined', { name, nodeCount: Object.keys(graph.nodes).length });
+    const report = this.validateWorkflowGraph(graph);
+    const definition = { ...graph, name };
+    this.workflows.set(name, definition);
+
+    // Earlier versions stay registered so executions paused under them can resume
+    if (!this.workflowVersions.has(name)) this.workflowVersions.set(name, new Map());
+    this.workflowVersions.get(name).set(String(graph.version ?? ''), definition);
+
+    this.log('info', 'Workflow defined', { name, version: graph.version, nodeCount: Object.keys(graph.nodes).length, warnings: report.warnings.length });
+    return report;
   }
 
   /**
    * Get workflow definition
    * @param {string} name - Workflow name
+   * @param {string} [version] - Registered version (defaults to the current definition)
    * @returns {WorkflowGraph|null} Workflow graph
    */
-  getWorkflow(name) {
-    return this.workflows.get(name) || null;
+  getWorkflow(name, version) {
+    if (version === undefined || version === null) {
+      return this.workflows.get(name) || null;
+    }
+    return this.workflowVersions.get(name)?.get(String(version)) || null;
+  }
+
+  /**
+   * List the registered versions of a workflow, oldest first
+   * @param {string} name - Workflow name
+   * @returns {string[]} Versions ("" for an unversioned definition)
+   */
+  listWorkflowVersions(name) {
+    return Array.from(this.workflowVersions.get(name)?.keys() ?? []);
+  }
+
+  /**
+   * Unregister an earlier version of a workflow
+   * Executions paused under it can then only resume through a migration in
+   * the current definition.
+   * @param {string} name - Workflow name
+   * @param {string} version - Version to remove
+   * @returns {boolean} True if the version was registered
+   */
+  removeWorkflowVersion(name, version) {
+    const key = String(version ?? '');
+    if (String(this.workflows.get(name)?.version ?? '') === key) {
+      throw new ValidationError(`Cannot remove the current version of workflow ${name}`);
+    }
+    return this.workflowVersions.get(name)?.delete(key) ?? false;
+  }
+
+  /**
+   * Pick the definition and node a paused execution resumes on
+   * A token from the current version resumes as is. A token from an earlier
+   * version is carried over by the current definition's `migrations` map for
+   * that version (unmapped node ids are kept), or else resumes on the earlier
+   * definition if it is still registered. Tokens from before versioning are
+   * treated as current.
+   * @param {string} name - Workflow name
+   * @param {Object} resumeData - Validated token data (`version`, `nodeId`)
+   * @returns {{workflow: WorkflowGraph, nodeId: string, migratedFrom: string|null}} Resume target
+   */
+  resolveResumeDefinition(name, resumeData) {
+    const current = this.getWorkflow(name);
+    const { version, nodeId } = resumeData;
+    let workflow = current;
+    let target = nodeId;
+    let migratedFrom = null;
+
+    if (version !== undefined && String(version) !== String(current.version ?? '')) {
+      const migration = current.migrations?.[version];
+      if (migration) {
+        target = Object.prototype.hasOwnProperty.call(migration, nodeId) ? migration[nodeId] : nodeId;
+        migratedFrom = String(version);
+        if (target === null) {
+          throw new ResumeError(`Node ${nodeId} was removed from workflow ${name} in version ${current.version}`);
+        }
+      } else {
+        workflow = this.getWorkflow(name, version);
+        if (!workflow) {
+          throw new ResumeError(`Workflow ${name} was paused at version ${version}, which is no longer registered and has no migration to version ${current.version}`);
+        }
+      }
+    }
+
+    if (!workflow.nodes[target]) {
+      throw new ResumeError(`Paused node ${target} no longer exists in workflow ${name}`);
+    }
+
+    if (migratedFrom) {
+      this.log('info', 'Migrating paused execution', { workflow: name, from: migratedFrom, to: current.version, nodeId, target });
+    }
+    return { workflow, nodeId: target, migratedFrom };
   }
 
   /**
@@ -283,7 +695,10 @@ export class WorkflowCoordinator {
   async execute(name, context = {}, options = {}) {
     const startTime = Date.now();
     const workflowId = this.generateWorkflowId();
-    const { signal, logLevel, resumeToken, dryRun = false } = options;
+    const { signal, logLevel, resumeToken, dryRun = false, simulate = false } = options;
+    let timeoutId = null;
+    let execution = null;
+    let simulation = null;
 
     // Override log level if provided
     const originalLogLevel = this.config.logLevel;
@@ -294,29 +709,80 @@ export class WorkflowCoordinator {
         workflow: name, 
         workflowId, 
         dryRun,
+        simulate: !!simulate,
         resumeToken: !!resumeToken 
       });
 
       // Get workflow definition
-      const workflow = this.getWorkflow(name);
+      let workflow = this.getWorkflow(name);
       if (!workflow) {
         throw new WorkflowError(`Unknown workflow: ${name}`);
       }
 
+      // A simulation takes over dice, actor lookups and chat on this client
+      if (WorkflowSimulation.active) {
+        throw new WorkflowError('A workflow simulation is running on this client', 'SIMULATION_ACTIVE');
+      }
+      if (simulate && dryRun) {
+        throw new ValidationError('dryRun and simulate cannot be combined');
+      }
+      if (simulate && this.activeExecutions.size) {
+        throw new WorkflowError('Cannot simulate while other workflows are running', 'SIMULATION_ACTIVE');
+      }
+
       // Handle resume
       let ctx = context;
       let currentNodeId = workflow.start;
+      let resumedFrom = null;
+      let migratedFrom = null;
+      let approval = null;
       
       if (resumeToken) {
         const resumeData = await this.validateResumeToken(resumeToken);
-        ctx = { ...resumeData.context, ...context }; // Allow context override
-        currentNodeId = resumeData.nodeId;
+        if (resumeData.workflowName !== name) {
+          throw new ResumeError(`Resume token belongs to workflow ${resumeData.workflowName}`);
+        }
+
+        // Resume on the definition the execution paused under, or migrate it to the current one
+        const target = this.resolveResumeDefinition(name, resumeData);
+        workflow = target.workflow;
+        migratedFrom = target.migratedFrom;
+
+        // The run continues on the context stored with the token; the caller's
+        // context is ignored so a resume can't alter results, config or targets.
+        // Decisions come in through `resumeOption` and `edits`.
+        if (context && Object.keys(context).length) {
+          this.log('warn', 'Ignoring context passed with a resume token', { workflowId, keys: Object.keys(context) });
+        }
+        ctx = resumeData.context;
+        currentNodeId = target.nodeId;
+        resumedFrom = resumeData.context.workflowId || null;
+
+        // Continue past the pause node rather than pausing again
+        const pauseNode = workflow.nodes[target.nodeId];
+        if (pauseNode?.type === 'pause') {
+          this.checkResumePermission(pauseNode, resumeData.context);
+          currentNodeId = this.getResumeTarget(pauseNode, options.resumeOption);
+        } else if (pauseNode?.type === 'approval') {
+          if (!PermissionChecker.isGM()) {
+            throw new PermissionError('Only a GM may approve or reject this workflow');
+          }
+          approval = this.resolveApproval(pauseNode, target.nodeId, ctx, options.resumeOption, options.edits);
+          currentNodeId = this.getApprovalTarget(pauseNode, approval);
+        }
+
+        // Tokens are single-use; dry runs and simulations leave them in place
+        if (!dryRun && !simulate) {
+          await this.consumeResumeToken(resumeToken);
+        }
         this.log('info', 'Resuming workflow', { workflowId, nodeId: currentNodeId });
         
         Hooks.callAll('sw5e-helper.workflow.resumed', {
           workflow: name,
           context: ctx,
-          fromStep: currentNodeId
+          fromStep: currentNodeId,
+          version: workflow.version,
+          migratedFrom
         });
       }
 
@@ -330,26 +796,83 @@ export class WorkflowCoordinator {
       };
 
       // Track active execution
-      const execution = {
+      const controller = new AbortController();
+      execution = {
         workflowId,
         workflow: name,
         context: ctx,
         startTime,
         currentNode: currentNodeId,
-        aborted: false
+        aborted: false,
+        controller,
+        signal: controller.signal,
+        nodeTimeout: workflow.config?.nodeTimeout,
+        callStack: [name],
+        journal: new ExecutionJournal({ workflowId, workflow: name, context: ctx, resumedFrom }),
+        trace: new WorkflowTrace({ workflowId, workflow: name, resumedFrom })
       };
+      execution.span = execution.trace.start(`workflow:${name}`, {
+        workflow: name,
+        version: workflow.version,
+        resumed: !!resumeToken,
+        dryRun,
+        simulated: !!simulate
+      });
       this.activeExecutions.set(workflowId, execution);
+      execution.journal.record('start', {
+        nodeId: currentNodeId,
+        version: workflow.version,
+        migratedFrom,
+        resumeOption: options.resumeOption,
+        dryRun,
+        simulated: !!simulate,
+        context: this.serializeContext(ctx)
+      });
+      if (approval) {
+        execution.journal.record('approval', approval);
+        Hooks.callAll('sw5e-helper.workflow.approval', {
+          workflow: name,
+          context: ctx,
+          approval
+        });
+      }
 
       // Set up cancellation
       if (signal) {
-        signal.addEventListener('abort', () => {
-          execution.aborted = true;
+        const onAbort = () => {
+          this.abortExecution(execution, signal.reason);
           this.log('warn', 'Workflow execution aborted', { workflowId });
-        });
+        };
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      // Whole-run timeout
+      const workflowTimeout = options.timeout ?? workflow.config?.timeout;
+      if (workflowTimeout > 0) {
+        timeoutId = setTimeout(() => {
+          this.abortExecution(execution, new TimeoutError(`Workflow ${name} timed out after ${workflowTimeout}ms`));
+          this.log('warn', 'Workflow execution timed out', { workflowId, timeout: workflowTimeout });
+        }, workflowTimeout);
+      }
+
+      if (simulate) {
+        simulation = new WorkflowSimulation(simulate === true ? {} : simulate);
+        simulation.install();
+        execution.simulation = simulation;
       }
 
       // Execute workflow graph
       const result = await this.executeGraph(workflow, ctx, currentNodeId, execution, dryRun);
+      if (!result.data) {
+        result.data = { results: ctx.results };
+      }
+      if (ctx.approvals?.length) {
+        result.meta.approvals = ctx.approvals;
+      }
+      if (simulation) {
+        result.meta.simulation = simulation.report();
+      }
       
       // Emit completion event
       if (result.ok) {
@@ -361,7 +884,8 @@ export class WorkflowCoordinator {
         Hooks.callAll('sw5e-helper.workflow.completed', {
           workflow: name,
           context: ctx,
-          results: result
+          results: result,
+          simulated: !!simulation
         });
       } else {
         this.log('error', 'Workflow execution failed', { 
@@ -374,10 +898,13 @@ export class WorkflowCoordinator {
           workflow: name,
           context: ctx,
           error: result.errors,
-          results: result
+          results: result,
+          simulated: !!simulation
         });
       }
 
+      await this.closeJournal(execution, result, dryRun || !!simulation);
+      this.closeTrace(execution, result, !dryRun && !simulation);
       return result;
 
     } catch (error) {
@@ -387,15 +914,23 @@ export class WorkflowCoordinator {
         stack: error.stack 
       });
 
-      return {
+      const result = {
         ok: false,
         type: 'workflow',
         errors: [error.message],
         warnings: [],
-        meta: { workflowId, duration: Date.now() - startTime }
+        meta: { workflowId, duration: Date.now() - startTime, code: error.code || 'WORKFLOW_ERROR' }
       };
+      if (simulation) result.meta.simulation = simulation.report();
+      if (execution) {
+        await this.closeJournal(execution, result, dryRun || !!simulation);
+        this.closeTrace(execution, result, !dryRun && !simulation);
+      }
+      return result;
     } finally {
       // Cleanup
+      simulation?.restore();
+      clearTimeout(timeoutId);
       this.activeExecutions.delete(workflowId);
       if (logLevel) this.config.logLevel = originalLogLevel;
     }
@@ -408,27 +943,35 @@ export class WorkflowCoordinator {
    * @param {string} startNodeId - Starting node ID
    * @param {Object} execution - Execution state
    * @param {boolean} dryRun - Validation only mode
+   * @param {Array} [executedSteps] - Receives completed steps for compensation
    * @returns {Promise<Result>} Execution result
    */
-  async executeGraph(workflow, context, startNodeId, execution, dryRun = false) {
+  async executeGraph(workflow, context, startNodeId, execution, dryRun = false, executedSteps = []) {
     const result = {
       ok: true,
       type: 'workflow',
       errors: [],
       warnings: [],
-      meta: { workflowId: context.workflowId, steps: [] },
+      meta: { workflowId: context.workflowId, steps: [], failures: [] },
       rolls: context.rolls || []
     };
 
-    const executedSteps = [];
     let currentNodeId = startNodeId;
     let stepCount = 0;
 
     while (currentNodeId && stepCount < this.config.maxSteps) {
       // Check for abort
       if (execution.aborted) {
+        const reason = execution.signal?.reason;
         result.ok = false;
-        result.errors.push('Workflow execution was aborted');
+        if (reason instanceof TimeoutError) {
+          result.meta.timedOut = true;
+          result.errors.push(reason.message);
+        } else if (reason?.code === 'ABORTED') {
+          result.errors.push(reason.message);
+        } else {
+          result.errors.push('Workflow execution was aborted');
+        }
         break;
       }
 
@@ -438,6 +981,7 @@ export class WorkflowCoordinator {
         result.errors.push(`Unknown node: ${currentNodeId}`);
         break;
       }
+      execution.currentNode = currentNodeId;
 
       this.log('debug', 'Executing node', { 
         workflowId: context.workflowId, 
@@ -447,12 +991,50 @@ export class WorkflowCoordinator {
 
       try {
         // Execute node based on type
-        const stepResult = await this.executeNode(workflow, node, currentNodeId, context, dryRun);
+        this.journal(context, 'enter', { graph: workflow.name, nodeId: currentNodeId, nodeType: node.type, action: node.action });
+        const stepResult = await this.executeNode(workflow, node, currentNodeId, context, dryRun, execution);
+        this.journal(context, 'exit', {
+          graph: workflow.name,
+          nodeId: currentNodeId,
+          nodeType: node.type,
+          action: node.action,
+          ok: stepResult.ok,
+          resultType: stepResult.type,
+          data: stepResult.data,
+          errors: stepResult.errors,
+          warnings: stepResult.warnings,
+          rolls: node.type === 'action' || node.type === 'waitFor' ? stepResult.rolls : undefined, // composite nodes repeat their children's rolls
+          duration: stepResult.meta?.duration,
+          cached: stepResult.meta?.cached
+        });
         
         // Handle step result
+        if (stepResult.pause && (execution.parent || context.loop || context.branch)) {
+          // Only the top-level run can hand out a resume token; a nested pause would
+          // leave the loop or sibling branches running past it
+          const where = execution.parent ? 'sub-workflow' : context.loop ? 'loop body' : 'parallel branch';
+          const kind = node.type === 'approval' ? 'Approval' : 'Pause';
+          throw new WorkflowError(`${kind} nodes are not supported inside ${where} ${workflow.name}`);
+        }
+
+        if (stepResult.pause && execution.simulation) {
+          // Simulations decide pauses up front instead of waiting on a person
+          currentNodeId = this.resolveSimulatedPause(workflow, node, currentNodeId, context, stepResult, execution.simulation);
+          stepCount++;
+          continue;
+        }
+
         if (stepResult.pause) {
           // Workflow paused - generate resume token
-          const resumeToken = await this.generateResumeToken(workflow.name, currentNodeId, context);
+          if (node.type === 'approval') {
+            // Keep the proposal with the token so an unedited approval applies it as-is
+            context.results[this.getOutputKey(node, currentNodeId)] = stepResult.data;
+          }
+          const resumeToken = await this.generateResumeToken(workflow, currentNodeId, context);
+          const messageId = dryRun ? null : node.type === 'approval'
+            ? await this.postApprovalCard(workflow, node, currentNodeId, context, resumeToken, stepResult.data)
+            : await this.postPauseCard(workflow, node, currentNodeId, context, resumeToken);
+          this.journal(context, 'pause', { graph: workflow.name, nodeId: currentNodeId, messageId });
           
           this.log('info', 'Workflow paused', { workflowId: context.workflowId, nodeId: currentNodeId });
           
@@ -465,7 +1047,7 @@ export class WorkflowCoordinator {
           return {
             ok: true,
             type: 'workflow-paused',
-            data: { resumeToken },
+            data: { resumeToken, messageId },
             errors: [],
             warnings: result.warnings,
             meta: { ...result.meta, paused: true, resumeToken }
@@ -473,14 +1055,26 @@ export class WorkflowCoordinator {
         }
 
         if (!stepResult.ok) {
-          result.ok = false;
-          result.errors.push(...stepResult.errors);
-          
-          // Execute compensation for completed steps
-          if (executedSteps.length > 0) {
-            await this.compensateSteps(executedSteps, context);
+          // A loop or parallel node that fails partway still returns the steps its
+          // finished iterations or branches completed, so they are rolled back too
+          if (stepResult.compensation?.length) {
+            executedSteps.push({
+              nodeId: currentNodeId,
+              action: node.action,
+              result: stepResult,
+              context: { ...context },
+              steps: stepResult.compensation
+            });
           }
-          break;
+
+          currentNodeId = await this.handleNodeFailure(workflow, node, currentNodeId, {
+            errors: stepResult.errors,
+            code: stepResult.meta?.code,
+            attempts: stepResult.meta?.attempts
+          }, context, executedSteps, result);
+
+          stepCount++;
+          continue;
         }
 
         // Track successful step for compensation
@@ -488,12 +1082,23 @@ export class WorkflowCoordinator {
           nodeId: currentNodeId,
           action: node.action,
           result: stepResult,
-          context: { ...context }
+          context: { ...context },
+          steps: stepResult.compensation
         });
 
         // Update context with step results
-        if (node.action) {
-          context.results[node.action] = stepResult;
+        const outputKey = this.getOutputKey(node, currentNodeId);
+        if (node.type === 'action' || node.type === 'waitFor') {
+          context.results[outputKey] = stepResult;
+        } else if (node.type === 'loop') {
+          context.results[outputKey] = stepResult.data;
+        } else if (node.type === 'subworkflow') {
+          const { compensation, ...childResult } = stepResult;
+          context.results[outputKey] = childResult;
+        } else if (node.type === 'input') {
+          context.results[outputKey] = stepResult.data;
+          this.applyInput(context, stepResult.data);
+          if (stepResult.meta.cancelled) result.meta.cancelled = true;
         }
 
         // Add rolls to accumulator
@@ -513,14 +1118,10 @@ export class WorkflowCoordinator {
         currentNodeId = this.getNextNode(node, stepResult, context);
 
       } catch (error) {
-        result.ok = false;
-        result.errors.push(`Step ${currentNodeId} failed: ${error.message}`);
-        
-        // Execute compensation
-        if (executedSteps.length > 0) {
-          await this.compensateSteps(executedSteps, context);
-        }
-        break;
+        currentNodeId = await this.handleNodeFailure(workflow, node, currentNodeId, {
+          errors: [`Step ${currentNodeId} failed: ${error.message}`],
+          code: error.code
+        }, context, executedSteps, result);
       }
 
       stepCount++;
@@ -535,50 +1136,275 @@ export class WorkflowCoordinator {
   }
 
   /**
-   * Execute a single workflow node
+   * Apply a node's error policy after it fails
+   * Policies: "continue" follows `onError` (or `next`) without compensating,
+   * "compensate-and-stop" rolls back completed steps and ends the run, and
+   * "stop" ends the run as-is. Nodes with an `onError` edge default to
+   * "continue"; everything else falls back to the workflow's
+   * `config.errorPolicy` or "compensate-and-stop".
    * @param {WorkflowGraph} workflow - Workflow definition
-   * @param {Object} node - Node definition
-   * @param {string} nodeId - Node identifier
+   * @param {Object} node - Failed node
+   * @param {string} nodeId - Failed node identifier
+   * @param {{errors: string[], code?: string, attempts?: number}} failure - Failure details
    * @param {Context} context - Execution context
-   * @param {boolean} dryRun - Validation only mode
-   * @returns {Promise<Result>} Node execution result
+   * @param {Array} executedSteps - Steps eligible for compensation
+   * @param {Result} result - Graph result being built
+   * @returns {Promise<string|null>} Node to continue with, or null to stop
    */
-  async executeNode(workflow, node, nodeId, context, dryRun) {
-    const startTime = Date.now();
+  async handleNodeFailure(workflow, node, nodeId, failure, context, executedSteps, result) {
+    const policy = this.getErrorPolicy(workflow, node);
+    const errors = failure.errors?.length ? failure.errors : [`Step ${nodeId} failed`];
 
-    Hooks.callAll('sw5e-helper.workflow.preStep', {
+    result.meta.failures.push({
+      nodeId,
+      type: node.type,
+      action: node.action,
+      code: failure.code || 'STEP_FAILED',
+      errors,
+      policy,
+      ...(failure.attempts ? { attempts: failure.attempts } : {})
+    });
+
+    this.log('warn', 'Workflow step failed', {
+      workflowId: context.workflowId,
+      nodeId,
+      policy,
+      errors
+    });
+
+    Hooks.callAll('sw5e-helper.workflow.stepFailed', {
       workflow: workflow.name,
       step: nodeId,
-      context
+      context,
+      errors,
+      policy
     });
 
-    let result;
+    if (policy === 'continue') {
+      const nextNodeId = node.onError || (node.type === 'conditional' ? null : node.next) || null;
+      result.warnings.push(...errors.map(e => `${nodeId}: ${e}`));
+      return nextNodeId;
+    }
 
-    try {
-      switch (node.type) {
-        case 'action':
-          result = await this.executeActionNode(node, context, dryRun);
-          break;
-        
-        case 'parallel':
-          result = await this.executeParallelNode(node, context, dryRun);
-          break;
-        
-        case 'conditional':
-          result = await this.executeConditionalNode(node, context);
-          break;
-        
-        case 'loop':
-          result = await this.executeLoopNode(workflow, node, context, dryRun);
-          break;
-        
-        case 'pause':
-          result = { ok: true, type: 'pause', pause: true, errors: [], warnings: [], meta: {} };
-          break;
-        
-        case 'end':
-          result = { ok: true, type: 'end', errors: [], warnings: [], meta: {} };
-          break;
+    result.ok = false;
+    result.errors.push(...errors);
+
+    if (policy === 'compensate-and-stop' && executedSteps.length > 0) {
+      await this.compensateSteps(executedSteps, context);
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the error policy for a node
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Node definition
+   * @returns {string} Error policy
+   */
+  getErrorPolicy(workflow, node) {
+    if (node.errorPolicy) return node.errorPolicy;
+    if (node.onError) return 'continue';
+    return workflow.config?.errorPolicy || 'compensate-and-stop';
+  }
+
+  /**
+   * Abort a running execution
+   * @param {Object} execution - Execution state
+   * @param {*} [reason] - Abort reason, e.g. a TimeoutError
+   */
+  abortExecution(execution, reason) {
+    execution.aborted = true;
+    if (!execution.controller?.signal.aborted) {
+      execution.controller?.abort(reason);
+    }
+  }
+
+  /**
+   * Cancel an execution running on this client
+   * Fires the execution's AbortSignal, so the run stops before its next node
+   * and pending dialogs, waits and backoffs are interrupted. GMs may cancel
+   * any execution, other users only their own.
+   * @param {string} workflowId - Execution ID
+   * @returns {boolean} True if a running execution was cancelled
+   */
+  cancelExecution(workflowId) {
+    const execution = this.activeExecutions.get(workflowId);
+    if (!execution) return false;
+
+    const userId = PermissionChecker.getUserId();
+    if (!PermissionChecker.isGM() && execution.context?.userId !== userId) {
+      throw new PermissionError('You may not cancel this workflow');
+    }
+
+    this.abortExecution(execution, new WorkflowError('Workflow execution was cancelled', 'ABORTED'));
+    this.log('warn', 'Workflow execution cancelled', { workflowId, userId });
+    return true;
+  }
+
+  /**
+   * Summaries of the executions running on this client
+   * @returns {Array<{workflowId: string, workflow: string, currentNode: string, userId: string, startTime: number, aborted: boolean, simulated: boolean}>} Running executions
+   */
+  listExecutions() {
+    return Array.from(this.activeExecutions.values()).map(execution => ({
+      workflowId: execution.workflowId,
+      workflow: execution.workflow,
+      currentNode: execution.currentNode,
+      userId: execution.context?.userId,
+      startTime: execution.startTime,
+      aborted: !!execution.aborted,
+      simulated: !!execution.simulation
+    }));
+  }
+
+  /**
+   * Paused executions with a stored resume token, newest first
+   * @returns {Array<Object>} Paused executions: token, workflow, node, initiator, pause time and expiry
+   */
+  listPausedExecutions() {
+    const now = Date.now();
+    return StateManager.listResumeTokens().map(data => ({
+      token: data.token,
+      workflow: data.workflowName,
+      version: data.version ?? null,
+      nodeId: data.nodeId,
+      nodeType: (this.getWorkflow(data.workflowName, data.version) ?? this.getWorkflow(data.workflowName))?.nodes?.[data.nodeId]?.type ?? null,
+      workflowId: data.context?.workflowId ?? null,
+      userId: data.context?.userId ?? null,
+      pausedAt: data.timestamp,
+      expires: data.expires,
+      expired: data.expires <= now
+    }));
+  }
+
+  /**
+   * Discard a paused execution's resume token (GM only)
+   * @param {string} token - Resume token
+   * @returns {Promise<boolean>} True if the token was stored
+   */
+  async purgeResumeToken(token) {
+    if (!PermissionChecker.isGM()) {
+      throw new PermissionError('Only a GM may purge paused workflows');
+    }
+
+    const removed = await StateManager.removeResumeToken(token);
+    if (removed) this.log('info', 'Resume token purged', { userId: PermissionChecker.getUserId() });
+    return removed;
+  }
+
+  /**
+   * Race a task against a timeout and the execution's abort signal
+   * The task is handed its own AbortSignal, which fires when either wins.
+   * @param {Function} task - Receives an AbortSignal, returns a promise
+   * @param {number} timeout - Timeout in ms; 0 or less disables it
+   * @param {AbortSignal} [parentSignal] - Execution abort signal
+   * @param {string} message - Timeout error message
+   * @returns {Promise<*>} Task result
+   */
+  async runWithTimeout(task, timeout, parentSignal, message) {
+    const controller = new AbortController();
+    let timeoutId = null;
+    let onAbort = null;
+
+    const guard = new Promise((_, reject) => {
+      if (timeout > 0) {
+        timeoutId = setTimeout(() => {
+          // Reject first: work that settles on abort must not win the race
+          const error = new TimeoutError(message);
+          reject(error);
+          controller.abort(error);
+        }, timeout);
+      }
+
+      if (parentSignal) {
+        onAbort = () => {
+          const reason = parentSignal.reason instanceof WorkflowError
+            ? parentSignal.reason
+            : new WorkflowError('Workflow execution was aborted', 'ABORTED');
+          reject(reason);
+          controller.abort(reason);
+        };
+        if (parentSignal.aborted) onAbort();
+        else parentSignal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    try {
+      return await Promise.race([task(controller.signal), guard]);
+    } finally {
+      clearTimeout(timeoutId);
+      if (onAbort) parentSignal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Execute a single workflow node
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Node definition
+   * @param {string} nodeId - Node identifier
+   * @param {Context} context - Execution context
+   * @param {boolean} dryRun - Validation only mode
+   * @param {Object} [execution] - Execution state
+   * @returns {Promise<Result>} Node execution result
+   */
+  async executeNode(workflow, node, nodeId, context, dryRun, execution = {}) {
+    const startTime = Date.now();
+
+    // Nodes run inside this one (branches, loop bodies, sub-workflows) nest under its span
+    const { trace, span: parentSpan } = execution;
+    const span = trace?.start(`node:${nodeId}`, { graph: workflow.name, nodeId, type: node.type, action: node.action }, parentSpan);
+    if (span) execution.span = span;
+
+    Hooks.callAll('sw5e-helper.workflow.preStep', {
+      workflow: workflow.name,
+      step: nodeId,
+      context
+    });
+
+    let result;
+
+    try {
+      switch (node.type) {
+        case 'action':
+          result = await this.executeActionWithRetry(workflow, node, nodeId, context, dryRun, execution);
+          break;
+        
+        case 'parallel':
+          result = await this.executeParallelNode(workflow, node, nodeId, context, dryRun, execution);
+          break;
+        
+        case 'conditional':
+          result = await this.executeConditionalNode(node, context);
+          break;
+        
+        case 'loop':
+          result = await this.executeLoopNode(workflow, node, nodeId, context, dryRun, execution);
+          break;
+
+        case 'subworkflow':
+          result = await this.executeSubworkflowNode(workflow, node, nodeId, context, dryRun, execution);
+          break;
+
+        case 'input':
+          result = await this.executeInputNode(workflow, node, nodeId, context, dryRun, execution);
+          break;
+
+        case 'waitFor':
+          result = await this.executeWaitForNode(workflow, node, nodeId, context, dryRun, execution);
+          break;
+        
+        case 'pause':
+          result = { ok: true, type: 'pause', pause: true, errors: [], warnings: [], meta: {} };
+          break;
+
+        case 'approval':
+          result = this.executeApprovalNode(workflow, node, context);
+          break;
+        
+        case 'end':
+          result = { ok: true, type: 'end', errors: [], warnings: [], meta: {} };
+          break;
         
         default:
           throw new WorkflowError(`Unknown node type: ${node.type}`);
@@ -599,21 +1425,43 @@ export class WorkflowCoordinator {
         type: node.type,
         errors: [error.message],
         warnings: [],
-        meta: { duration: Date.now() - startTime }
+        meta: { duration: Date.now() - startTime, code: error.code || 'WORKFLOW_ERROR' }
       };
     }
 
+    if (span) {
+      execution.span = parentSpan;
+      trace.end(span, {
+        ok: result.ok,
+        code: result.meta.code,
+        rolls: result.rolls?.length || 0,
+        attempts: result.meta.attempts,
+        cached: result.meta.cached
+      });
+    }
+    if (node.type === 'action' && !dryRun && !execution.simulation) {
+      this.metrics.record(`action:${node.action}`, result.meta.duration, result.ok);
+    }
+
     return result;
   }
 
   /**
    * Execute action node
+   * The action is raced against `node.timeout` (falling back to the graph's
+   * `config.nodeTimeout`, then `coordinator.defaultTimeout`; 0 disables it).
+   * Actions receive `{ signal }` as a second argument, which is aborted on
+   * timeout or when the execution is cancelled. Before it runs, the awaited
+   * `sw5e-helper.action.preExecute` hook may change a copy of its input or
+   * veto it, which fails the node with code "VETOED".
    * @param {Object} node - Action node definition
    * @param {Context} context - Execution context
    * @param {boolean} dryRun - Validation only mode
+   * @param {Object} [execution] - Execution state
+   * @param {Array} [scope] - Idempotency scope from `getIdempotencyScope()` (no dedupe without one)
    * @returns {Promise<Result>} Action result
    */
-  async executeActionNode(node, context, dryRun) {
+  async executeActionNode(node, context, dryRun, execution = {}, scope = null) {
     const action = this.getAction(node.action);
     if (!action) {
       throw new WorkflowError(`Unknown action: ${node.action}`);
@@ -650,32 +1498,224 @@ export class WorkflowCoordinator {
       };
     }
 
-    // Execute action
-    Hooks.callAll('sw5e-helper.action.preExecute', {
-      action: node.action,
-      context
-    });
+    // Execute action, or reuse a recent result with the same idempotency key
+    const key = node.idempotent === false || execution.simulation || !scope ? null : this.getIdempotencyKey(action, context, scope);
+    const { result, cached } = await IdempotencyLedger.run(key, async () => {
+      // Listeners may change this action's input, or veto it; the copy keeps
+      // their changes out of the shared context
+      const pre = {
+        action: node.action,
+        context: { ...context, config: foundry.utils.deepClone(context.config ?? {}), targetIds: context.targetIds && [...context.targetIds] },
+        reason: null
+      };
+      const veto = await WorkflowHooks.callPreHook('sw5e-helper.action.preExecute', pre);
+      if (!veto.ok) {
+        throw new VetoError(`Action ${node.action} vetoed: ${veto.reason}`, veto.hook);
+      }
+      const input = pre.context;
+
+      const timeout = node.timeout ?? execution.nodeTimeout ?? this.config.defaultTimeout;
+      const actionResult = await this.runWithTimeout(
+        (signal) => action.execute(input, { signal }),
+        timeout,
+        execution.signal,
+        `Action ${node.action} timed out after ${timeout}ms`
+      );
+
+      Hooks.callAll('sw5e-helper.action.postExecute', {
+        action: node.action,
+        context: input,
+        result: actionResult
+      });
 
-    const result = await action.execute(context);
+      return actionResult;
+    }, this.config.idempotencyWindow);
 
-    Hooks.callAll('sw5e-helper.action.postExecute', {
-      action: node.action,
-      context,
-      result
-    });
+    if (cached) {
+      this.log('info', 'Duplicate action skipped, returning cached result', {
+        action: node.action,
+        workflowId: context.workflowId
+      });
+      return { ...result, meta: { ...result.meta, cached: true, idempotencyKey: key } };
+    }
+
+    return result;
+  }
+
+  /**
+   * Execute an action node under its retry policy
+   * `node.retry` (or the graph's `config.retry`; `retry: false` opts out) is
+   * `{ attempts, backoffMs, retryOn }`: up to `attempts` tries in total,
+   * waiting `backoffMs`, then twice as long before each further try. Only
+   * failures whose code is in `retryOn` are retried; without it every code
+   * except validation, permission, abort and veto failures is. Actions that return
+   * `ok: false` without a code fail with "ACTION_FAILED". The result meta
+   * records `attempts`, plus `finalError` when every try failed.
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Action node definition
+   * @param {string} nodeId - Node identifier
+   * @param {Context} context - Execution context
+   * @param {boolean} dryRun - Validation only mode
+   * @param {Object} [execution] - Execution state
+   * @returns {Promise<Result>} Result of the last attempt
+   */
+  async executeActionWithRetry(workflow, node, nodeId, context, dryRun, execution = {}) {
+    const policy = this.getRetryPolicy(workflow, node);
+    const scope = this.getIdempotencyScope(workflow, nodeId, context);
+    if (!policy) {
+      return this.executeActionNode(node, this.resolveNodeInput(workflow, node, context), dryRun, execution, scope);
+    }
+
+    let attempt = 0;
+    let result;
+    while (true) {
+      attempt++;
+      try {
+        result = await this.executeActionNode(node, this.resolveNodeInput(workflow, node, context), dryRun, execution, scope);
+      } catch (error) {
+        result = {
+          ok: false,
+          type: node.type,
+          errors: [error.message],
+          warnings: [],
+          meta: { code: error.code || 'WORKFLOW_ERROR' }
+        };
+      }
+
+      const code = result.meta?.code || 'ACTION_FAILED';
+      const retryable = policy.retryOn ? policy.retryOn.includes(code) : !NON_RETRYABLE_CODES.includes(code);
+      if (result.ok || !retryable || attempt >= policy.attempts || execution.signal?.aborted) break;
+
+      const delay = policy.backoffMs * 2 ** (attempt - 1);
+      this.log('warn', 'Retrying node', {
+        workflowId: context.workflowId,
+        nodeId,
+        action: node.action,
+        attempt,
+        attempts: policy.attempts,
+        code,
+        error: result.errors?.join('; '),
+        delay
+      });
+
+      await this.sleep(delay, execution.signal);
+      if (execution.signal?.aborted) break;
+    }
+
+    result.meta = { ...result.meta, attempts: attempt };
+    if (!result.ok) {
+      result.meta.code = result.meta.code || 'ACTION_FAILED';
+      result.meta.finalError = { code: result.meta.code, message: result.errors?.join('; ') || `Step ${nodeId} failed` };
 
+      if (attempt > 1) {
+        this.log('error', 'Node failed after retries', {
+          workflowId: context.workflowId,
+          nodeId,
+          action: node.action,
+          attempts: attempt,
+          code: result.meta.code,
+          error: result.meta.finalError.message
+        });
+      }
+    }
     return result;
   }
 
+  /**
+   * Resolve a node's retry policy
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Node definition
+   * @returns {{attempts: number, backoffMs: number, retryOn: string[]|null}|null} Policy, or null for a single try
+   */
+  getRetryPolicy(workflow, node) {
+    const retry = node.retry ?? workflow.config?.retry;
+    if (!retry || !(retry.attempts > 1)) return null;
+
+    return {
+      attempts: Math.floor(retry.attempts),
+      backoffMs: Math.max(0, retry.backoffMs ?? 0),
+      retryOn: Array.isArray(retry.retryOn) ? retry.retryOn : null
+    };
+  }
+
+  /**
+   * Wait before a retry; resolves early if the execution is aborted
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Execution abort signal
+   * @returns {Promise<void>}
+   */
+  sleep(ms, signal) {
+    if (!(ms > 0) || signal?.aborted) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', done);
+        resolve();
+      };
+      const timeoutId = setTimeout(done, ms);
+      signal?.addEventListener('abort', done, { once: true });
+    });
+  }
+
+  /**
+   * Scope an action's idempotency key to its trigger and step
+   * The trigger is the originating chat card when there is one, so a double
+   * click on the card dedupes across the executions it starts; otherwise it is
+   * the execution itself. The graph, node and loop iteration keep legitimate
+   * repeats within a run apart (multiattack, loop iterations, two saves at the
+   * same DC).
+   * @param {WorkflowGraph} workflow - Graph the node belongs to
+   * @param {string} nodeId - Node identifier
+   * @param {Context} context - Execution context
+   * @returns {Array} Scope parts
+   */
+  getIdempotencyScope(workflow, nodeId, context) {
+    return [context.messageId || context.workflowId, workflow.name, nodeId, (context.loop?.path ?? []).join('.')];
+  }
+
+  /**
+   * Compute an action's idempotency key
+   * Keys are namespaced by action and scope; actions without
+   * `idempotencyKey()` are never deduped.
+   * @param {Object} action - Registered action
+   * @param {Context} context - Execution context
+   * @param {Array} scope - Scope from `getIdempotencyScope()`
+   * @returns {string|null} Ledger key
+   */
+  getIdempotencyKey(action, context, scope) {
+    if (!action.idempotencyKey) return null;
+
+    try {
+      const key = action.idempotencyKey(context);
+      return key ? IdempotencyLedger.key(action.name, ...scope, key) : null;
+    } catch (error) {
+      this.log('debug', 'Idempotency key unavailable', { action: action.name, error: error.message });
+      return null;
+    }
+  }
+
   /**
    * Execute parallel node - fan out to multiple branches
+   * Each branch is a mini-graph run on a copy of the parent's results, so it
+   * can read them but its writes stay in the branch; when it finishes,
+   * whatever it produced is stored under `ctx.results[branch.name]`. Steps
+   * completed by successful branches are returned as `compensation`, so a
+   * failing sibling or a later failure rolls them back too.
+   * `node.join` decides success: "all" (default), "any" or "first-success",
+   * which aborts the remaining branches, including actions in flight, as soon
+   * as one succeeds; a cancelled branch leaves no results behind.
+   * @param {WorkflowGraph} workflow - Workflow definition
    * @param {Object} node - Parallel node definition
+   * @param {string} nodeId - Node identifier
    * @param {Context} context - Execution context
    * @param {boolean} dryRun - Validation only mode
+   * @param {Object} execution - Execution state
    * @returns {Promise<Result>} Combined results
    */
-  async executeParallelNode(node, context, dryRun) {
+  async executeParallelNode(workflow, node, nodeId, context, dryRun, execution = {}) {
     const branches = node.branches || [];
+    const join = node.join || 'all';
     
     if (branches.length > this.config.maxParallelBranches) {
       throw new WorkflowError(`Too many parallel branches: ${branches.length}`);
@@ -683,35 +1723,64 @@ export class WorkflowCoordinator {
 
     this.log('debug', 'Executing parallel branches', { 
       count: branches.length, 
+      join,
       workflowId: context.workflowId 
     });
 
+    let winner = null;
+    const controllers = branches.map(() => new AbortController());
+
     // Execute all branches concurrently
     const promises = branches.map(async (branch, index) => {
-      try {
-        // For now, assume branches are simple action lists
-        const step = branch.steps?.[0];
-        if (step?.type === 'action') {
-          return await this.executeActionNode(step, context, dryRun);
+      const name = this.getBranchName(branch, index);
+      const graph = this.buildBranchGraph(workflow, nodeId, branch, index);
+      const branchContext = {
+        ...context,
+        branch: { nodeId, name, index },
+        results: { ...context.results }
+      };
+
+      // Parent abort and first-success cancellation both stop the branch,
+      // including an action already in flight
+      const controller = controllers[index];
+      const onAbort = () => controller.abort(execution.signal.reason);
+      if (execution.signal?.aborted) onAbort();
+      else execution.signal?.addEventListener('abort', onAbort, { once: true });
+
+      const branchExecution = {
+        signal: controller.signal,
+        nodeTimeout: execution.nodeTimeout,
+        callStack: execution.callStack,
+        parent: execution.parent,
+        simulation: execution.simulation,
+        trace: execution.trace,
+        span: execution.span,
+        get aborted() {
+          return !!execution.aborted || controller.signal.aborted;
         }
-        
-        return {
-          ok: true,
-          type: 'parallel-branch',
-          data: { branch: index },
-          errors: [],
-          warnings: [],
-          meta: {}
-        };
-      } catch (error) {
-        return {
-          ok: false,
-          type: 'parallel-branch',
-          errors: [error.message],
-          warnings: [],
-          meta: { branch: index }
-        };
+      };
+
+      const steps = [];
+      let branchResult;
+      try {
+        branchResult = await this.executeGraph(graph, branchContext, graph.start, branchExecution, dryRun, steps);
+      } finally {
+        execution.signal?.removeEventListener('abort', onAbort);
+        controllers[index] = null;
+      }
+
+      if (join === 'first-success' && branchResult.ok && winner === null) {
+        winner = index;
+        this.cancelLosingBranches(controllers, name);
       }
+
+      return {
+        name,
+        result: branchResult,
+        cancelled: !execution.aborted && controller.signal.aborted,
+        results: this.getBranchResults(context.results, branchContext.results),
+        steps
+      };
     });
 
     const results = await Promise.allSettled(promises);
@@ -720,23 +1789,37 @@ export class WorkflowCoordinator {
     const combined = {
       ok: true,
       type: 'parallel',
-      data: { branches: [] },
+      data: { join, branches: [], winner: null },
       errors: [],
       warnings: [],
       meta: { branchCount: branches.length },
-      rolls: []
+      rolls: [],
+      compensation: []
     };
 
+    const branchErrors = [];
+    let succeeded = 0;
+
     for (let i = 0; i < results.length; i++) {
       const settledResult = results[i];
       
       if (settledResult.status === 'fulfilled') {
-        const branchResult = settledResult.value;
-        combined.data.branches.push(branchResult);
+        const { name, result: branchResult, cancelled, results: branchResults, steps } = settledResult.value;
+
+        // A cancelled loser's partial results are dropped with it
+        if (!cancelled) context.results[name] = branchResults;
+        combined.data.branches.push({
+          name,
+          ok: branchResult.ok,
+          cancelled,
+          errors: branchResult.errors
+        });
         
-        if (!branchResult.ok) {
-          combined.ok = false;
-          combined.errors.push(...branchResult.errors);
+        if (branchResult.ok) {
+          succeeded++;
+          combined.compensation.push(...steps);
+        } else if (!cancelled) {
+          branchErrors.push(...branchResult.errors.map(e => `Branch ${name}: ${e}`));
         }
         
         combined.warnings.push(...branchResult.warnings);
@@ -745,70 +1828,884 @@ export class WorkflowCoordinator {
           combined.rolls.push(...branchResult.rolls);
         }
       } else {
-        combined.ok = false;
-        combined.errors.push(`Branch ${i} rejected: ${settledResult.reason}`);
+        branchErrors.push(`Branch ${i} rejected: ${settledResult.reason}`);
       }
     }
 
-    return combined;
+    if (winner !== null) {
+      combined.data.winner = this.getBranchName(branches[winner], winner);
+    }
+
+    switch (join) {
+      case 'any':
+      case 'first-success':
+        combined.ok = branches.length === 0 || succeeded > 0;
+        if (combined.ok) {
+          combined.warnings.push(...branchErrors);
+        } else {
+          combined.errors.push(...branchErrors);
+        }
+        break;
+
+      case 'all':
+      default:
+        combined.ok = branchErrors.length === 0;
+        combined.errors.push(...branchErrors);
+        break;
+    }
+
+    return combined;
+  }
+
+  /**
+   * Cancel the branches still running once a first-success branch has won
+   * Finished branches have already released their controller.
+   * @param {Array<AbortController|null>} controllers - Branch controllers by index
+   * @param {string} winner - Name of the winning branch
+   */
+  cancelLosingBranches(controllers, winner) {
+    for (const controller of controllers) {
+      controller?.abort(new WorkflowError(`Branch cancelled: ${winner} succeeded first`, 'ABORTED'));
+    }
+  }
+
+  /**
+   * Get the results slot name for a parallel branch
+   * @param {Object} branch - Branch definition
+   * @param {number} index - Branch index
+   * @returns {string} Branch name
+   */
+  getBranchName(branch, index) {
+    return branch.name || `branch${index}`;
+  }
+
+  /**
+   * Build an executable graph from a parallel branch definition
+   * Branches either declare `nodes`/`start` directly or a `steps` list, where
+   * each step falls through to the following one unless it sets `next`.
+   * @param {WorkflowGraph} workflow - Parent workflow
+   * @param {string} nodeId - Parallel node identifier
+   * @param {Object} branch - Branch definition
+   * @param {number} index - Branch index
+   * @returns {WorkflowGraph} Branch graph
+   */
+  buildBranchGraph(workflow, nodeId, branch, index) {
+    const name = `${workflow.name}.${nodeId}.${this.getBranchName(branch, index)}`;
+
+    if (branch.nodes) {
+      return { name, nodes: branch.nodes, start: branch.start };
+    }
+
+    const steps = branch.steps || [];
+    const ids = steps.map((step, i) => step.id || `step${i}`);
+    const nodes = {};
+
+    steps.forEach((step, i) => {
+      nodes[ids[i]] = step.type === 'conditional' || step.next
+        ? { ...step }
+        : { ...step, next: ids[i + 1] || null };
+    });
+
+    return { name, nodes, start: ids[0] };
+  }
+
+  /**
+   * Collect the results a branch added on top of the parent's results
+   * @param {Object} parentResults - Results before the fan-out
+   * @param {Object} branchResults - Branch results after execution
+   * @returns {Object} Results produced by the branch
+   */
+  getBranchResults(parentResults, branchResults) {
+    return Object.fromEntries(
+      Object.entries(branchResults).filter(([key, value]) => parentResults[key] !== value)
+    );
+  }
+
+  /**
+   * Execute conditional node - branch based on condition
+   * @param {Object} node - Conditional node definition
+   * @param {Context} context - Execution context
+   * @returns {Promise<Result>} Condition evaluation result
+   */
+  async executeConditionalNode(node, context) {
+    this.log('debug', 'Evaluating condition', { 
+      condition: node.condition, 
+      workflowId: context.workflowId 
+    });
+
+    try {
+      const conditionResult = this.evaluateCondition(node.condition, context);
+      
+      return {
+        ok: true,
+        type: 'conditional',
+        data: { 
+          condition: node.condition,
+          result: conditionResult,
+          nextNode: conditionResult ? node.onTrue : node.onFalse
+        },
+        errors: [],
+        warnings: [],
+        meta: {}
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        type: 'conditional',
+        errors: [`Condition evaluation failed: ${error.message}`],
+        warnings: [],
+        meta: {}
+      };
+    }
+  }
+
+  /**
+   * Execute loop node - run the body sub-graph once per item
+   * Items come from `node.over` (a context path such as "targetIds" or
+   * "results.attack.targets", optionally narrowed by `node.where` - either a
+   * property filter or a condition expression over `item`) or from
+   * `node.count`. Each iteration runs with its own context and a copy of the
+   * parent's results, so it can read them but iterations cannot overwrite
+   * them or each other; each iteration records only the results it added.
+   * Steps completed by successful iterations are returned as `compensation`,
+   * also when a later iteration fails the loop, so that failure or a later
+   * one rolls them back too. `ctx.loop` holds
+   * `{ nodeId, index, count, item, path }`, where `path` lists the iteration
+   * indexes of every enclosing loop.
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Loop node definition
+   * @param {string} nodeId - Node identifier
+   * @param {Context} context - Execution context
+   * @param {boolean} dryRun - Validation only mode
+   * @param {Object} execution - Execution state
+   * @returns {Promise<Result>} Loop execution result
+   */
+  async executeLoopNode(workflow, node, nodeId, context, dryRun, execution = {}) {
+    const items = this.resolveLoopItems(node, context);
+    const limit = node.maxIterations ?? this.config.maxLoopIterations;
+
+    if (items.length > limit) {
+      throw new WorkflowError(`Loop ${nodeId} exceeds iteration limit: ${items.length} > ${limit}`);
+    }
+
+    const body = {
+      name: `${workflow.name}.${nodeId}`,
+      nodes: node.body.nodes,
+      start: node.body.start
+    };
+    const itemKey = node.as || 'item';
+
+    this.log('debug', 'Executing loop', {
+      nodeId,
+      iterations: items.length,
+      workflowId: context.workflowId
+    });
+
+    const combined = {
+      ok: true,
+      type: 'loop',
+      data: { iterations: [], count: items.length },
+      errors: [],
+      warnings: [],
+      meta: {},
+      rolls: [],
+      compensation: []
+    };
+
+    for (let index = 0; index < items.length; index++) {
+      if (execution.aborted) {
+        combined.ok = false;
+        combined.errors.push(`Loop ${nodeId} aborted at iteration ${index}`);
+        break;
+      }
+
+      const item = items[index];
+      const iterationContext = {
+        ...context,
+        [itemKey]: item,
+        loop: { nodeId, index, count: items.length, item, path: [...(context.loop?.path ?? []), index] },
+        results: { ...context.results }
+      };
+
+      if (node.perTarget) {
+        iterationContext.targetIds = [this.getLoopTargetId(item)];
+      }
+
+      const steps = [];
+      const iterationResult = await this.executeGraph(body, iterationContext, body.start, execution, dryRun, steps);
+
+      combined.data.iterations.push({
+        index,
+        item,
+        ok: iterationResult.ok,
+        results: this.getBranchResults(context.results, iterationContext.results),
+        errors: iterationResult.errors
+      });
+      combined.warnings.push(...iterationResult.warnings);
+
+      if (iterationResult.rolls?.length) {
+        combined.rolls.push(...iterationResult.rolls);
+      }
+
+      if (iterationResult.ok) {
+        combined.compensation.push(...steps);
+      } else {
+        combined.errors.push(...iterationResult.errors.map(e => `Iteration ${index}: ${e}`));
+
+        if (!node.continueOnError) {
+          combined.ok = false;
+          break;
+        }
+        combined.warnings.push(`Loop ${nodeId} iteration ${index} failed`);
+      }
+    }
+
+    return combined;
+  }
+
+  /**
+   * Resolve the collection a loop node iterates over
+   * @param {Object} node - Loop node definition
+   * @param {Context} context - Execution context
+   * @returns {Array} Loop items
+   */
+  resolveLoopItems(node, context) {
+    if (node.over) {
+      const collection = this.resolveContextPath(context, node.over);
+      if (collection == null) return [];
+      if (collection instanceof Map) return Array.from(collection.values());
+      if (!Array.isArray(collection)) {
+        throw new WorkflowError(`Loop collection ${node.over} is not iterable`);
+      }
+
+      if (typeof node.where === 'string') {
+        const itemKey = node.as || 'item';
+        return collection.filter(item => this.evaluateCondition(node.where, context, { item, [itemKey]: item }));
+      }
+
+      return node.where
+        ? collection.filter(item => this.matchesLoopFilter(item, node.where))
+        : [...collection];
+    }
+
+    const count = Number(node.count ?? 0);
+    return Array.from({ length: Math.max(0, count) }, (_, i) => i);
+  }
+
+  /**
+   * Check a loop item against a property filter
+   * Array values match any listed value, e.g. { status: ["hit", "crit"] }
+   * @param {any} item - Loop item
+   * @param {Object} where - Property filter
+   * @returns {boolean} True if the item matches
+   */
+  matchesLoopFilter(item, where) {
+    return Object.entries(where).every(([key, expected]) => {
+      const value = item?.[key];
+      return Array.isArray(expected) ? expected.includes(value) : value === expected;
+    });
+  }
+
+  /**
+   * Get the target identifier for a loop item
+   * @param {string|Object} item - Target ID or target result object
+   * @returns {string} Target identifier
+   */
+  getLoopTargetId(item) {
+    if (typeof item === 'string') return item;
+    if (item?.sceneId && item?.tokenId) return `${item.sceneId}:${item.tokenId}`;
+    return item?.id ?? item?.tokenId ?? item?.targetId ?? String(item);
+  }
+
+  /**
+   * Execute input node - ask a registered input provider (usually a dialog)
+   * The provider resolves to a context patch, such as the actor, item, config
+   * and targets chosen in the attack dialog, which is merged into the workflow
+   * context; resolving to null means the user cancelled, and the workflow
+   * follows `onCancel` or ends. The wait is bounded like an action's:
+   * `node.timeout`, then the graph's `config.nodeTimeout`, then
+   * `coordinator.defaultTimeout`; on timeout the dialog is closed through its
+   * signal. Simulations open no dialog and use the node's scripted patch
+   * instead.
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Input node definition
+   * @param {string} nodeId - Node identifier
+   * @param {Context} context - Execution context
+   * @param {boolean} dryRun - Validation only mode
+   * @param {Object} [execution] - Execution state
+   * @returns {Promise<Result>} Input result
+   */
+  async executeInputNode(workflow, node, nodeId, context, dryRun, execution = {}) {
+    const dialog = this.getDialog(node.dialog);
+    if (!dialog) {
+      throw new WorkflowError(`Unknown dialog: ${node.dialog}`);
+    }
+
+    if (dryRun) {
+      return { ok: true, type: 'input', data: { dryRun: true }, errors: [], warnings: [], meta: { dialog: node.dialog } };
+    }
+
+    if (execution.simulation) {
+      const patch = execution.simulation.inputs[nodeId];
+      return {
+        ok: true,
+        type: 'input',
+        data: patch === undefined ? {} : patch,
+        errors: [],
+        warnings: patch === undefined ? [`No simulated input for ${nodeId}; continuing with the current context`] : [],
+        meta: { dialog: node.dialog, cancelled: patch === null, simulated: true }
+      };
+    }
+
+    const timeout = node.timeout ?? execution.nodeTimeout ?? this.config.defaultTimeout;
+    const value = await this.runWithTimeout(
+      (signal) => dialog.prompt(this.resolveNodeInput(workflow, node, context), { signal }),
+      timeout,
+      execution.signal,
+      `Dialog ${node.dialog} timed out after ${timeout}ms`
+    );
+
+    return {
+      ok: true,
+      type: 'input',
+      data: value || null,
+      errors: [],
+      warnings: [],
+      meta: { dialog: node.dialog, cancelled: !value }
+    };
+  }
+
+  /**
+   * Merge an input node's patch into the workflow context
+   * Execution bookkeeping (workflow ID, results, start time) cannot be overwritten.
+   * @param {Context} context - Execution context
+   * @param {Object|null} patch - Values chosen by the user
+   */
+  applyInput(context, patch) {
+    if (!patch || typeof patch !== 'object') return;
+
+    for (const [key, value] of Object.entries(patch)) {
+      if (['workflowId', 'results', 'timestamp'].includes(key) || value === undefined) continue;
+      context[key] = value;
+    }
+  }
+
+  /**
+   * Execute waitFor node - have each target's owner roll on their own client
+   * Every target is assigned to its active player owner, or to the active GM
+   * for NPCs and offline owners. Other users get the request over the module
+   * socket and run the `node.request` responder (default "save", which calls
+   * `SaveAction.executeSingleSave` with `config.ability`/`config.dc`); the
+   * current user's own targets are rolled here. The node waits until every
+   * response is in, `node.timeout` (default `coordinator.waitForTimeout`)
+   * passes, or a GM overrides the wait; unanswered targets are then handled by
+   * `node.onMissing`: "roll" (default) rolls them here, "skip" leaves them
+   * out and "fail" fails the node. Results are keyed by target ID under
+   * `data.results`, like a save action's. Simulations roll every target here.
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - WaitFor node definition
+   * @param {string} nodeId - Node identifier
+   * @param {Context} context - Execution context
+   * @param {boolean} dryRun - Validation only mode
+   * @param {Object} [execution] - Execution state
+   * @returns {Promise<Result>} Collected responses
+   */
+  async executeWaitForNode(workflow, node, nodeId, context, dryRun, execution = {}) {
+    const name = node.request || 'save';
+    const responder = this.getResponder(name);
+    if (!responder) {
+      throw new WorkflowError(`Unknown responder: ${name}`);
+    }
+
+    const input = this.resolveNodeInput(workflow, node, context);
+    const requests = (input.targetIds || []).map(targetId => {
+      const actor = ActorResolver.getTargetActor(targetId);
+      const user = PlayerRelay.getRoller(actor);
+      return { targetId, name: actor?.name || targetId, userId: user?.id || null, userName: user?.name || null, status: 'waiting' };
+    });
+    const args = (targetId) => ({ targetId, config: input.config || {} });
+    const isLocal = (request) => !!execution.simulation || !request.userId || request.userId === game.user?.id;
+
+    if (dryRun) {
+      return { ok: true, type: 'waitFor', data: { dryRun: true, requests }, errors: [], warnings: [], meta: { request: name } };
+    }
+
+    // Cancellation, the wait timeout and a GM override all stop waiting
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(execution.signal.reason instanceof WorkflowError
+      ? execution.signal.reason
+      : new WorkflowError('Workflow execution was aborted', 'ABORTED'));
+    if (execution.signal?.aborted) onAbort();
+    else execution.signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timeout = node.timeout ?? this.config.waitForTimeout;
+    const timeoutId = timeout > 0
+      ? setTimeout(() => controller.abort(new TimeoutError(`Timed out waiting for ${name} responses after ${timeout}ms`)), timeout)
+      : null;
+
+    const waitKey = `${context.workflowId}:${nodeId}`;
+    this.waits.set(waitKey, controller);
+
+    const remote = requests.filter(request => !isLocal(request));
+    const card = remote.length ? await this.postWaitCard(workflow, node, nodeId, context, requests) : null;
+
+    try {
+      const responses = remote.map(async request => {
+        const response = await PlayerRelay.request(request.userId, name, args(request.targetId), controller.signal);
+        if (response.aborted) return;
+        this.settleWaitRequest(request, response);
+        await this.updateWaitCard(card, requests);
+      });
+
+      for (const request of requests.filter(isLocal)) {
+        if (execution.signal?.aborted) break;
+        this.settleWaitRequest(request, await this.respondLocally(responder, args(request.targetId)));
+        await this.updateWaitCard(card, requests);
+      }
+
+      await Promise.all(responses);
+    } finally {
+      clearTimeout(timeoutId);
+      this.waits.delete(waitKey);
+      execution.signal?.removeEventListener('abort', onAbort);
+    }
+
+    if (execution.signal?.aborted) {
+      await this.updateWaitCard(card, requests, 'Workflow cancelled');
+      throw controller.signal.reason;
+    }
+
+    const reason = controller.signal.aborted ? controller.signal.reason : null;
+    const missing = requests.filter(request => request.status === 'waiting');
+    const onMissing = node.onMissing || 'roll';
+    const errors = [];
+
+    if (missing.length) {
+      this.log('info', 'Stopped waiting for responses', {
+        workflowId: context.workflowId,
+        nodeId,
+        reason: reason?.code,
+        missing: missing.map(request => request.targetId)
+      });
+
+      for (const request of missing) {
+        if (onMissing === 'roll') {
+          this.settleWaitRequest(request, await this.respondLocally(responder, args(request.targetId)));
+        } else if (onMissing === 'skip') {
+          request.status = 'skipped';
+        } else {
+          errors.push(`No ${name} response for ${request.name}`);
+        }
+      }
+    }
+
+    const resolved = reason?.code === 'OVERRIDE' ? 'Stopped waiting (GM override)'
+      : reason?.code === 'TIMEOUT' ? 'Stopped waiting (timed out)'
+      : 'All responses received';
+    await this.updateWaitCard(card, requests, resolved);
+
+    const results = new Map();
+    const rolls = [];
+    const warnings = [];
+    const summary = { passed: 0, failed: 0 };
+    for (const request of requests) {
+      if (request.status === 'error') warnings.push(`${name} failed for ${request.name}: ${request.error}`);
+      if (request.status !== 'done') continue;
+
+      results.set(request.targetId, request.result);
+      if (request.result?.roll) rolls.push(request.result.roll);
+      if (request.result?.passed === true) summary.passed++;
+      if (request.result?.passed === false) summary.failed++;
+    }
+
+    const meta = {
+      request: name,
+      remote: remote.length,
+      missing: missing.map(request => request.targetId),
+      rolledBy: Object.fromEntries(requests.filter(r => r.status === 'done').map(r => [r.targetId, r.rolledBy]))
+    };
+    if (reason?.code === 'TIMEOUT') meta.timedOut = true;
+    if (reason?.code === 'OVERRIDE') meta.overridden = true;
+    if (errors.length) meta.code = reason?.code || 'MISSING_RESPONSE';
+
+    return {
+      ok: errors.length === 0,
+      type: 'waitFor',
+      data: { ...(input.config || {}), results, summary },
+      errors,
+      warnings,
+      meta,
+      rolls
+    };
+  }
+
+  /**
+   * Run a responder on this client
+   * @param {Object} responder - Responder
+   * @param {Object} args - Responder arguments
+   * @returns {Promise<Object>} Response in relay form
+   */
+  async respondLocally(responder, args) {
+    try {
+      return { ok: true, result: await responder.respond(args), userId: game.user?.id };
+    } catch (error) {
+      return { ok: false, error: error.message, userId: game.user?.id };
+    }
+  }
+
+  /**
+   * Record a response on its wait request
+   * Rolls sent over the socket arrive as data and are rebuilt.
+   * @param {Object} request - Wait request (updated in place)
+   * @param {Object} response - `{ ok, result, error, userId }`
+   */
+  settleWaitRequest(request, response) {
+    if (!response.ok) {
+      request.status = 'error';
+      request.error = response.error;
+      return;
+    }
+
+    const result = { ...(response.result || {}) };
+    if (result.roll && !(result.roll instanceof Roll)) {
+      result.roll = Roll.fromData(result.roll);
+    }
+
+    request.status = 'done';
+    request.result = result;
+    request.total = result.total;
+    request.passed = result.passed;
+    request.rolledBy = response.userId || request.userId;
+    request.userName = game.users?.get(request.rolledBy)?.name ?? request.userName;
+  }
+
+  /**
+   * Stop waiting on pending `waitFor` nodes (GM only)
+   * Unanswered targets are then handled by each node's `onMissing` policy. A
+   * wait running on another client is reached through the socket relay.
+   * @param {string} workflowId - Execution ID
+   * @param {string} [nodeId] - Wait node, or every wait in the execution
+   * @returns {number} Waits stopped on this client
+   */
+  overrideWait(workflowId, nodeId) {
+    if (!PermissionChecker.isGM()) {
+      throw new PermissionError('Only a GM may override a wait');
+    }
+
+    const stopped = this.stopWaits(workflowId, nodeId);
+    if (!stopped) PlayerRelay.override(workflowId, nodeId);
+    return stopped;
+  }
+
+  /**
+   * Abort this client's pending waits for an execution
+   * @param {string} workflowId - Execution ID
+   * @param {string} [nodeId] - Wait node, or every wait in the execution
+   * @returns {number} Waits stopped
+   */
+  stopWaits(workflowId, nodeId) {
+    let stopped = 0;
+    for (const [key, controller] of this.waits) {
+      const [id, waitNodeId] = key.split(':');
+      if (id !== workflowId || (nodeId && waitNodeId !== nodeId)) continue;
+      controller.abort(new WorkflowError('Wait overridden by GM', 'OVERRIDE'));
+      stopped++;
+    }
+    return stopped;
+  }
+
+  /**
+   * Whisper a waiting card to the GMs and the initiating user
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - WaitFor node definition
+   * @param {string} nodeId - Node identifier
+   * @param {Context} context - Execution context
+   * @param {Object[]} requests - Wait requests
+   * @returns {Promise<ChatMessage|null>} Card message
+   */
+  async postWaitCard(workflow, node, nodeId, context, requests) {
+    try {
+      const actor = game.actors?.get(context.actorId);
+      const state = {
+        kind: 'workflow-wait',
+        workflow: workflow.name,
+        workflowId: context.workflowId,
+        nodeId,
+        title: workflow.description || workflow.name,
+        prompt: node.message || '',
+        rows: requests.map(({ result, ...row }) => row),
+        resolved: null
+      };
+      const whisper = [
+        ...ChatMessage.getWhisperRecipients('GM').map(user => user.id),
+        context.userId
+      ].filter(Boolean);
+
+      const msg = await WorkflowChat.create({
+        content: 'Loading...',
+        speaker: ChatMessage.getSpeaker({ actor }),
+        whisper: [...new Set(whisper)],
+        type: CONST.CHAT_MESSAGE_TYPES.OTHER
+      });
+
+      state.messageId = msg.id;
+      await msg.update({
+        content: new WaitCardRenderer(state).render(),
+        flags: { 'sw5e-helper-new': { state } }
+      });
+
+      return msg;
+    } catch (error) {
+      this.log('warn', 'Failed to post wait card', {
+        workflowId: context.workflowId,
+        nodeId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Re-render a waiting card with the current request status
+   * @param {ChatMessage|null} msg - Card message
+   * @param {Object[]} requests - Wait requests
+   * @param {string} [resolved] - Final status line; leaves the override button while unset
+   */
+  async updateWaitCard(msg, requests, resolved = null) {
+    if (!msg) return;
+
+    try {
+      const state = {
+        ...msg.getFlag('sw5e-helper-new', 'state'),
+        rows: requests.map(({ result, ...row }) => row),
+        resolved
+      };
+      await msg.update({
+        content: new WaitCardRenderer(state).render(),
+        'flags.sw5e-helper-new.state': state
+      });
+    } catch (error) {
+      this.log('warn', 'Failed to update wait card', { messageId: msg.id, error: error.message });
+    }
+  }
+
+  /**
+   * Execute sub-workflow node - run another registered workflow as one step
+   * The child gets a fresh results object and inherits the parent's actor,
+   * item, targets, message, user, config and flags (unless `inherit: false`);
+   * `node.input` maps child context keys to parent context paths, e.g.
+   * `{ targetIds: "results.attack.data.hitTargets" }` (non-string values are
+   * passed through as-is). Parent cancellation aborts the child, `node.timeout`
+   * (or the child's `config.timeout`) bounds it, and the child's completed
+   * steps are returned as `compensation` so a later parent failure rolls them
+   * back too.
+   * @param {WorkflowGraph} workflow - Parent workflow definition
+   * @param {Object} node - Sub-workflow node definition
+   * @param {string} nodeId - Node identifier
+   * @param {Context} context - Execution context
+   * @param {boolean} dryRun - Validation only mode
+   * @param {Object} execution - Execution state
+   * @returns {Promise<Result>} Child workflow result
+   */
+  async executeSubworkflowNode(workflow, node, nodeId, context, dryRun, execution = {}) {
+    const child = this.getWorkflow(node.workflow);
+    if (!child) {
+      throw new WorkflowError(`Unknown workflow: ${node.workflow}`);
+    }
+
+    const callStack = execution.callStack || [workflow.name];
+    if (callStack.includes(child.name)) {
+      throw new WorkflowError(`Recursive sub-workflow call: ${[...callStack, child.name].join(' → ')}`);
+    }
+
+    const childContext = {
+      ...this.getSubworkflowInput(workflow, node, context),
+      workflowId: context.workflowId,
+      userId: context.userId,
+      timestamp: context.timestamp,
+      parent: { workflow: workflow.name, nodeId },
+      results: {}
+    };
+
+    // Parent abort and the sub-workflow timeout both cancel the child
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(execution.signal.reason);
+    if (execution.signal?.aborted) onAbort();
+    else execution.signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timeout = node.timeout ?? child.config?.timeout;
+    const timeoutId = timeout > 0
+      ? setTimeout(() => controller.abort(new TimeoutError(`Sub-workflow ${child.name} timed out after ${timeout}ms`)), timeout)
+      : null;
+
+    const childExecution = {
+      signal: controller.signal,
+      nodeTimeout: child.config?.nodeTimeout ?? execution.nodeTimeout,
+      callStack: [...callStack, child.name],
+      parent: { workflow: workflow.name, nodeId },
+      simulation: execution.simulation,
+      trace: execution.trace,
+      span: execution.span,
+      get aborted() {
+        return !!execution.aborted || controller.signal.aborted;
+      }
+    };
+
+    this.log('debug', 'Executing sub-workflow', {
+      nodeId,
+      workflow: child.name,
+      workflowId: context.workflowId
+    });
+
+    const steps = [];
+    let childResult;
+    try {
+      childResult = await this.executeGraph(child, childContext, child.start, childExecution, dryRun, steps);
+    } finally {
+      clearTimeout(timeoutId);
+      execution.signal?.removeEventListener('abort', onAbort);
+    }
+
+    const meta = { workflow: child.name, steps: childResult.meta.steps, failures: childResult.meta.failures };
+    if (childResult.meta.timedOut) {
+      meta.timedOut = true;
+      meta.code = 'TIMEOUT';
+    }
+
+    return {
+      ok: childResult.ok,
+      type: 'subworkflow',
+      data: { workflow: child.name, results: childContext.results },
+      errors: childResult.errors,
+      warnings: childResult.warnings,
+      meta,
+      rolls: childResult.rolls,
+      compensation: childResult.ok ? steps : []
+    };
+  }
+
+  /**
+   * Build a sub-workflow's starting context from its node's input mapping
+   * @param {WorkflowGraph} workflow - Parent workflow definition
+   * @param {Object} node - Sub-workflow node definition
+   * @param {Context} context - Parent execution context
+   * @returns {Object} Child context (without results)
+   */
+  getSubworkflowInput(workflow, node, context) {
+    const resolved = this.resolveNodeInput(workflow, node, context);
+    const keys = new Set(Object.keys(node.input || {}).map(key => key.split('.')[0]));
+
+    if (node.inherit !== false) {
+      SUBWORKFLOW_INHERITED_KEYS.forEach(key => keys.add(key));
+    } else {
+      if (node.config) keys.add('config');
+      if (resolved.config?.targetFilter) keys.add('targetIds');
+    }
+
+    const input = {};
+    for (const key of keys) {
+      if (resolved[key] !== undefined) input[key] = resolved[key];
+    }
+    return input;
+  }
+
+  /**
+   * Build the context a node runs with
+   * `node.config` is merged over `ctx.config`; a `config.targetFilter` names a
+   * target filter that narrows `targetIds` using earlier results (e.g.
+   * "hitTargets"); then each `node.input` entry is assigned, where keys may be
+   * dotted ("config.dc") and string values are context paths
+   * ("results.save.data.dc") while other values are used as-is. The workflow
+   * context itself is left untouched.
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Node definition
+   * @param {Context} context - Execution context
+   * @returns {Context} Node context
+   */
+  resolveNodeInput(workflow, node, context) {
+    if (!node.config && !node.input) return context;
+
+    const input = { ...context };
+    if (node.config) {
+      input.config = { ...(context.config || {}), ...node.config };
+    }
+
+    const filterName = input.config?.targetFilter;
+    if (filterName) {
+      input.targetIds = this.selectTargets(workflow, filterName, context);
+    }
+
+    for (const [key, source] of Object.entries(node.input || {})) {
+      const value = typeof source === 'string' ? this.resolveContextPath(context, source) : source;
+      this.assignContextPath(input, key, value);
+    }
+
+    return input;
+  }
+
+  /**
+   * Run a named target filter and normalize its output to target IDs
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {string} name - Filter name
+   * @param {Context} context - Execution context
+   * @returns {string[]} Target IDs
+   * @throws {WorkflowError} If the filter is unknown
+   */
+  selectTargets(workflow, name, context) {
+    const filter = this.getTargetFilter(name, workflow);
+    if (!filter) {
+      throw new WorkflowError(`Unknown target filter: ${name}`);
+    }
+
+    const targets = filter(context) || [];
+    return Array.from(targets, target => this.getLoopTargetId(target));
   }
 
   /**
-   * Execute conditional node - branch based on condition
-   * @param {Object} node - Conditional node definition
-   * @param {Context} context - Execution context
-   * @returns {Promise<Result>} Condition evaluation result
+   * Get the `ctx.results` key a node's result is stored under
+   * Defaults to the action name for action nodes and the node ID otherwise;
+   * `node.output` overrides it.
+   * @param {Object} node - Node definition
+   * @param {string} nodeId - Node identifier
+   * @returns {string} Results key
    */
-  async executeConditionalNode(node, context) {
-    this.log('debug', 'Evaluating condition', { 
-      condition: node.condition, 
-      workflowId: context.workflowId 
-    });
-
-    try {
-      const conditionResult = this.evaluateCondition(node.condition, context);
-      
-      return {
-        ok: true,
-        type: 'conditional',
-        data: { 
-          condition: node.condition,
-          result: conditionResult,
-          nextNode: conditionResult ? node.onTrue : node.onFalse
-        },
-        errors: [],
-        warnings: [],
-        meta: {}
-      };
-    } catch (error) {
-      return {
-        ok: false,
-        type: 'conditional',
-        errors: [`Condition evaluation failed: ${error.message}`],
-        warnings: [],
-        meta: {}
-      };
-    }
+  getOutputKey(node, nodeId) {
+    return node.output || node.action || nodeId;
   }
 
   /**
-   * Execute loop node (simplified implementation)
-   * @param {WorkflowGraph} workflow - Workflow definition
-   * @param {Object} node - Loop node definition
+   * Resolve a dotted path against the execution context
    * @param {Context} context - Execution context
-   * @param {boolean} dryRun - Validation only mode
-   * @returns {Promise<Result>} Loop execution result
+   * @param {string} path - Path such as "ctx.results.attack.targets"
+   * @returns {any} Resolved value or undefined
    */
-  async executeLoopNode(workflow, node, context, dryRun) {
-    // Simplified loop implementation - just return success for now
-    return {
-      ok: true,
-      type: 'loop',
-      data: { iterations: 0 },
-      errors: [],
-      warnings: ['Loop nodes not fully implemented'],
-      meta: {}
-    };
+  resolveContextPath(context, path) {
+    return String(path)
+      .replace(/^ctx\./, '')
+      .split('.')
+      .reduce((obj, key) => {
+        if (obj == null) return undefined;
+        return obj instanceof Map ? obj.get(key) : obj[key];
+      }, context);
+  }
+
+  /**
+   * Assign a value at a dotted path, copying intermediate objects so shared
+   * context objects are not mutated
+   * @param {Object} target - Object to assign into
+   * @param {string} path - Path such as "config.dc"
+   * @param {any} value - Value to assign
+   */
+  assignContextPath(target, path, value) {
+    const keys = String(path).replace(/^ctx\./, '').split('.');
+    const last = keys.pop();
+    let obj = target;
+
+    for (const key of keys) {
+      obj[key] = obj[key] && typeof obj[key] === 'object' ? { ...obj[key] } : {};
+      obj = obj[key];
+    }
+    obj[last] = value;
   }
 
   /**
@@ -822,6 +2719,9 @@ export class WorkflowCoordinator {
     switch (node.type) {
       case 'conditional':
         return result.data?.nextNode || null;
+
+      case 'input':
+        return result.meta?.cancelled ? node.onCancel || null : node.next || null;
       
       case 'end':
         return null;
@@ -845,6 +2745,12 @@ export class WorkflowCoordinator {
     // Execute compensation in reverse order (LIFO)
     for (let i = steps.length - 1; i >= 0; i--) {
       const step = steps[i];
+
+      // Loop, parallel and sub-workflow steps roll back their children's completed steps
+      if (step.steps?.length) {
+        await this.compensateSteps(step.steps, context);
+        continue;
+      }
       
       try {
         const action = this.getAction(step.action);
@@ -855,6 +2761,7 @@ export class WorkflowCoordinator {
           });
 
           await action.compensate(step.context, step.result);
+          this.journal(context, 'compensate', { nodeId: step.nodeId, action: step.action, ok: true });
           
           Hooks.callAll('sw5e-helper.workflow.compensate', {
             workflow: context.workflowId,
@@ -879,6 +2786,7 @@ export class WorkflowCoordinator {
           step: step.nodeId, 
           error: error.message 
         });
+        this.journal(context, 'compensate', { nodeId: step.nodeId, action: step.action, ok: false, errors: [error.message] });
       }
     }
 
@@ -886,38 +2794,411 @@ export class WorkflowCoordinator {
   }
 
   /**
-   * Generate secure resume token
-   * @param {string} workflowName - Workflow name
+   * Generate a resume token
+   * The token is an opaque random ID; the context it resumes with stays in the
+   * `resumeTokens` world setting, so editing a token can't alter the run. It is
+   * bound to the initiating user (and GMs), or to anyone the pause node's
+   * `resumeBy` admits when that is "owner" or "anyone".
+   * @param {WorkflowGraph} workflow - Definition the execution paused under
    * @param {string} nodeId - Current node ID
    * @param {Context} context - Execution context
    * @returns {Promise<string>} Resume token
    */
-  async generateResumeToken(workflowName, nodeId, context) {
+  async generateResumeToken(workflow, nodeId, context) {
+    const now = Date.now();
     const tokenData = {
-      workflowName,
+      workflowName: workflow.name,
+      version: workflow.version,
       nodeId,
+      userId: context.userId,
+      shared: ['owner', 'anyone'].includes(workflow.nodes[nodeId]?.resumeBy),
       context: this.serializeContext(context),
-      timestamp: Date.now(),
-      expires: Date.now() + this.config.resumeTokenTTL
+      timestamp: now,
+      expires: now + this.config.resumeTokenTTL
     };
 
-    const token = btoa(JSON.stringify(tokenData));
-    
-    // Store token in StateManager
+    const token = foundry.utils.randomID(32);
     await StateManager.storeResumeToken(token, tokenData);
-    
     return token;
   }
 
+  /**
+   * Spend a resume token so it can't resume the execution twice
+   * GMs remove it directly; players ask the active GM, who rechecks the
+   * binding, since only GMs can write the world setting.
+   * @param {string} token - Resume token
+   */
+  async consumeResumeToken(token) {
+    if (this.consumingTokens.has(token)) {
+      throw new ResumeError('Resume token has already been used');
+    }
+    this.consumingTokens.add(token);
+
+    try {
+      let consumed;
+      if (PermissionChecker.isGM()) {
+        consumed = await StateManager.removeResumeToken(token);
+      } else {
+        const gm = game.users?.activeGM;
+        if (!gm) {
+          throw new ResumeError('A GM must be online to resume this workflow');
+        }
+        const response = await PlayerRelay.request(gm.id, 'resumeToken', { token }, AbortSignal.timeout(this.config.defaultTimeout));
+        if (!response.ok) {
+          throw new ResumeError(response.aborted ? 'The GM did not confirm the resume token' : response.error);
+        }
+        consumed = response.result;
+      }
+
+      if (!consumed) {
+        throw new ResumeError('Resume token has already been used');
+      }
+    } finally {
+      this.consumingTokens.delete(token);
+    }
+  }
+
+  /**
+   * Normalize a pause node's resume options
+   * Options may be node ids ("applyDamage") or `{ label, next }` objects.
+   * @param {Object} node - Pause node definition
+   * @returns {Array<{label: string, next: string}>} Resume options
+   */
+  getResumeOptions(node) {
+    return (node.resumeOptions || []).map(option =>
+      typeof option === 'string' ? { label: option, next: option } : option
+    );
+  }
+
+  /**
+   * Resolve where a resumed workflow continues
+   * @param {Object} node - Pause node definition
+   * @param {number|string} [choice] - Option index, label or target node
+   * @returns {string|null} Next node ID
+   */
+  getResumeTarget(node, choice) {
+    if (choice === undefined || choice === null) {
+      return node.next || null;
+    }
+
+    const options = this.getResumeOptions(node);
+    const option = typeof choice === 'number'
+      ? options[choice]
+      : options.find(o => o.label === choice || o.next === choice);
+
+    if (!option) {
+      throw new ResumeError(`Unknown resume option: ${choice}`);
+    }
+    return option.next || null;
+  }
+
+  /**
+   * Check whether the current user may resume a pause node
+   * `node.resumeBy` is "initiator" (default), "owner", "gm" or "anyone";
+   * GMs may always resume.
+   * @param {Object} node - Pause node definition
+   * @param {Context} context - Context stored with the resume token
+   */
+  checkResumePermission(node, context) {
+    if (PermissionChecker.isGM()) return;
+
+    const resumeBy = node.resumeBy || 'initiator';
+    const userId = PermissionChecker.getUserId();
+    let allowed;
+
+    switch (resumeBy) {
+      case 'anyone':
+        allowed = true;
+        break;
+      case 'owner': {
+        const actor = game.actors?.get(context.actorId);
+        allowed = context.userId === userId || (!!actor && PermissionChecker.hasOwnership(actor));
+        break;
+      }
+      case 'initiator':
+        allowed = context.userId === userId;
+        break;
+      default:
+        allowed = false;
+    }
+
+    if (!allowed) {
+      throw new PermissionError(`You may not resume this workflow (requires ${resumeBy})`);
+    }
+  }
+
+  /**
+   * Post a chat card with one button per resume option
+   * Pause nodes without `resumeOptions` are resumed through the API only.
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Pause node definition
+   * @param {string} nodeId - Pause node identifier
+   * @param {Context} context - Execution context
+   * @param {string} resumeToken - Token for resuming
+   * @returns {Promise<string|null>} Chat message ID
+   */
+  async postPauseCard(workflow, node, nodeId, context, resumeToken) {
+    const options = this.getResumeOptions(node);
+    if (!options.length) return null;
+
+    try {
+      const actor = game.actors?.get(context.actorId);
+      const state = {
+        kind: 'workflow-pause',
+        workflow: workflow.name,
+        workflowId: context.workflowId,
+        nodeId,
+        title: workflow.description || workflow.name,
+        prompt: node.message || '',
+        options: options.map(o => ({ label: o.label })),
+        resolved: null
+      };
+
+      const msg = await WorkflowChat.create({
+        content: 'Loading...',
+        speaker: ChatMessage.getSpeaker({ actor }),
+        type: CONST.CHAT_MESSAGE_TYPES.OTHER
+      });
+
+      state.messageId = msg.id;
+      await msg.update({
+        content: new PauseCardRenderer(state).render(),
+        flags: { 'sw5e-helper-new': { state, resumeToken } }
+      });
+
+      return msg.id;
+    } catch (error) {
+      this.log('warn', 'Failed to post pause card', {
+        workflowId: context.workflowId,
+        nodeId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Execute approval node - pause until a GM reviews the pending effects
+   * The proposal lists each target's pending damage (from the damage result at
+   * `node.source`, default "results.damage"), its damage types and its
+   * resistances, immunities and vulnerabilities, plus the application mode
+   * (`config.mode`, default "full"). A `config.targetFilter` narrows the
+   * targets shown.
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Approval node definition
+   * @param {Context} context - Execution context
+   * @returns {Result} Pausing result carrying the proposal
+   */
+  executeApprovalNode(workflow, node, context) {
+    const input = this.resolveNodeInput(workflow, node, context);
+    const source = this.resolveContextPath(context, node.source || 'results.damage');
+    const totals = this.toEntries(source?.data?.totals);
+    const types = Object.fromEntries(this.toEntries(source?.data?.types));
+
+    // Without a damage result, propose the configured flat damage per target
+    const pending = totals.length
+      ? totals
+      : (input.targetIds || []).map(targetId => [targetId, input.config?.damage ?? 0]);
+    const allowed = input.config?.targetFilter ? new Set(input.targetIds) : null;
+
+    const effects = pending
+      .filter(([targetId]) => !allowed || allowed.has(targetId))
+      .map(([targetId, amount]) => {
+        const actor = ActorResolver.getTargetActor(targetId);
+        const traits = SW5EAdapter.getDamageTraits(actor);
+        return {
+          targetId,
+          name: actor?.name || targetId,
+          amount: Number(amount) || 0,
+          types: types[targetId] || {},
+          resistances: Array.from(traits.resistances),
+          immunities: Array.from(traits.immunities),
+          vulnerabilities: Array.from(traits.vulnerabilities)
+        };
+      });
+
+    return {
+      ok: true,
+      type: 'approval',
+      pause: true,
+      data: { decision: 'pending', mode: input.config?.mode || 'full', effects },
+      errors: [],
+      warnings: effects.length ? [] : ['Approval node has no pending effects'],
+      meta: {}
+    };
+  }
+
+  /**
+   * Entries of a Map or plain object
+   * @param {Map|Object} [value] - Keyed values
+   * @returns {Array<[string, any]>} Entries
+   */
+  toEntries(value) {
+    if (!value) return [];
+    return value instanceof Map ? Array.from(value.entries()) : Object.entries(value);
+  }
+
+  /**
+   * Record a GM's decision on a paused approval node
+   * Callers check that the user is a GM. Edited amounts replace the proposed
+   * ones; the decision is stored under the node's results key (amounts by
+   * target, approved target IDs and mode, ready to map into an apply node) and
+   * appended to `ctx.approvals`, which is reported as `meta.approvals`.
+   * @param {Object} node - Approval node definition
+   * @param {string} nodeId - Approval node identifier
+   * @param {Context} context - Resumed context (updated in place)
+   * @param {string} [choice] - "approve" (default) or "reject"
+   * @param {Object} [edits] - `{ amounts, mode }` overrides
+   * @returns {Object} Approval record
+   */
+  resolveApproval(node, nodeId, context, choice, edits = {}) {
+    const decision = choice ?? 'approve';
+    if (decision !== 'approve' && decision !== 'reject') {
+      throw new ResumeError(`Unknown approval decision: ${decision}`);
+    }
+
+    const key = this.getOutputKey(node, nodeId);
+    const proposal = context.results?.[key] || {};
+    const edited = [];
+    const effects = (proposal.effects || []).map(effect => {
+      const override = edits.amounts?.[effect.targetId];
+      if (override === undefined || override === null || override === '') return effect;
+
+      const amount = Math.max(0, Math.floor(Number(override) || 0));
+      if (amount !== effect.amount) edited.push(effect.targetId);
+      return { ...effect, proposed: effect.amount, amount };
+    });
+    const mode = edits.mode || proposal.mode || 'full';
+
+    const approval = {
+      nodeId,
+      decision,
+      userId: PermissionChecker.getUserId(),
+      at: Date.now(),
+      mode,
+      edited,
+      targetIds: effects.map(effect => effect.targetId),
+      amounts: Object.fromEntries(effects.map(effect => [effect.targetId, effect.amount])),
+      effects
+    };
+
+    context.results = { ...(context.results || {}), [key]: approval };
+    context.approvals = [...(context.approvals || []), {
+      nodeId,
+      decision,
+      userId: approval.userId,
+      at: approval.at,
+      mode,
+      amounts: approval.amounts,
+      edited
+    }];
+
+    return approval;
+  }
+
+  /**
+   * Node an approval decision continues with
+   * @param {Object} node - Approval node definition
+   * @param {Object} approval - Approval record
+   * @returns {string|null} Next node ID
+   */
+  getApprovalTarget(node, approval) {
+    return approval.decision === 'approve'
+      ? node.onApprove || node.next || null
+      : node.onReject || null;
+  }
+
+  /**
+   * Continue past a pause or approval node during a simulation
+   * Pause nodes take the option scripted in `decisions` (default route
+   * otherwise); approval nodes approve the proposal unless scripted to reject,
+   * with any scripted edits. No token is issued and no card is posted.
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Pausing node
+   * @param {string} nodeId - Node identifier
+   * @param {Context} context - Execution context
+   * @param {Result} stepResult - Pausing result
+   * @param {WorkflowSimulation} simulation - Active simulation
+   * @returns {string|null} Next node ID
+   */
+  resolveSimulatedPause(workflow, node, nodeId, context, stepResult, simulation) {
+    const choice = simulation.decisions[nodeId];
+    this.journal(context, 'pause', { graph: workflow.name, nodeId, messageId: null, simulated: true });
+
+    if (node.type !== 'approval') {
+      return this.getResumeTarget(node, choice);
+    }
+
+    context.results[this.getOutputKey(node, nodeId)] = stepResult.data;
+    const approval = this.resolveApproval(node, nodeId, context, choice, simulation.edits[nodeId]);
+    this.journal(context, 'approval', approval);
+    return this.getApprovalTarget(node, approval);
+  }
+
+  /**
+   * Whisper an approval card to the GMs
+   * @param {WorkflowGraph} workflow - Workflow definition
+   * @param {Object} node - Approval node definition
+   * @param {string} nodeId - Approval node identifier
+   * @param {Context} context - Execution context
+   * @param {string} resumeToken - Token for resuming
+   * @param {Object} proposal - Pending effects and mode
+   * @returns {Promise<string|null>} Chat message ID
+   */
+  async postApprovalCard(workflow, node, nodeId, context, resumeToken, proposal) {
+    try {
+      const actor = game.actors?.get(context.actorId);
+      const state = {
+        kind: 'workflow-approval',
+        workflow: workflow.name,
+        workflowId: context.workflowId,
+        nodeId,
+        title: workflow.description || workflow.name,
+        prompt: node.message || '',
+        mode: proposal.mode,
+        effects: proposal.effects,
+        resolved: null
+      };
+
+      const msg = await WorkflowChat.create({
+        content: 'Loading...',
+        speaker: ChatMessage.getSpeaker({ actor }),
+        whisper: ChatMessage.getWhisperRecipients('GM').map(user => user.id),
+        type: CONST.CHAT_MESSAGE_TYPES.OTHER
+      });
+
+      state.messageId = msg.id;
+      await msg.update({
+        content: new ApprovalCardRenderer(state).render(),
+        flags: { 'sw5e-helper-new': { state, resumeToken } }
+      });
+
+      return msg.id;
+    } catch (error) {
+      this.log('warn', 'Failed to post approval card', {
+        workflowId: context.workflowId,
+        nodeId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Validate and parse resume token
+   * Checks expiry and that the token is bound to the current user; it is
+   * consumed separately once the resume passes its permission checks.
    * @param {string} token - Resume token
    * @returns {Promise<Object>} Token data
    */
   async validateResumeToken(token) {
+    const tokenData = typeof token === 'string' ? await StateManager.retrieveResumeToken(token) : null;
+    const initiator = tokenData?.userId ?? tokenData?.context?.userId;
+    if (tokenData && !PermissionChecker.isGM() && !tokenData.shared && initiator !== PermissionChecker.getUserId()) {
+      throw new PermissionError('Resume token belongs to another user');
+    }
+
     try {
-      const tokenData = await StateManager.retrieveResumeToken(token);
-      
       if (!tokenData) {
         throw new ResumeError('Invalid or expired resume token');
       }
@@ -928,6 +3209,7 @@ export class WorkflowCoordinator {
 
       return {
         workflowName: tokenData.workflowName,
+        version: tokenData.version,
         nodeId: tokenData.nodeId,
         context: this.deserializeContext(tokenData.context)
       };
@@ -977,61 +3259,82 @@ export class WorkflowCoordinator {
 
   /**
    * Evaluate condition expression
-   * @param {string} condition - Condition expression
+   * A registered condition with the exact name wins; anything else is parsed
+   * with the sandboxed expression language, where bare identifiers may also
+   * refer to registered conditions (e.g. "hasHits && !isGM").
+   * @param {string} condition - Condition name or expression
    * @param {Context} context - Execution context
+   * @param {Object} [locals] - Extra identifiers in scope (e.g. loop item)
    * @returns {boolean} Condition result
    */
-  evaluateCondition(condition, context) {
-    // Simple condition evaluation - extend as needed
-    if (condition === 'shouldApplyDamage') {
-      return context.results?.save?.ok === true;
+  evaluateCondition(condition, context, locals = {}) {
+    const named = this.getCondition(condition);
+    if (named) {
+      return Boolean(named(context));
     }
 
-    if (condition.includes('ctx.results')) {
-      // Basic context property evaluation
-      try {
-        const expr = condition.replace(/ctx\./g, 'context.');
-        return Function('context', `return ${expr}`)(context);
-      } catch (error) {
-        this.log('warn', 'Condition evaluation failed', { condition, error: error.message });
-        return false;
+    const ast = this.compileCondition(condition);
+    const value = ConditionExpression.evaluate(ast, {
+      ctx: context,
+      locals,
+      source: condition,
+      resolveName: (name) => {
+        const fn = this.getCondition(name);
+        return fn ? { found: true, value: Boolean(fn(context)) } : { found: false };
       }
-    }
+    });
 
-    return Boolean(condition);
+    return Boolean(value);
+  }
+
+  /**
+   * Parse a condition expression, caching the AST by source
+   * @param {string} condition - Condition expression
+   * @returns {Object} Parsed AST
+   * @throws {ExpressionError} On syntax errors
+   */
+  compileCondition(condition) {
+    let ast = this.compiledConditions.get(condition);
+    if (!ast) {
+      ast = ConditionExpression.parse(condition);
+      this.compiledConditions.set(condition, ast);
+    }
+    return ast;
   }
 
   /**
    * Validate workflow graph structure
+   * Errors from the static analyzer are thrown; warnings are logged and
+   * returned with the report.
    * @param {WorkflowGraph} graph - Workflow graph
+   * @returns {AnalysisReport} Analyzer report
+   * @throws {ValidationError} If the analyzer reports errors
    */
   validateWorkflowGraph(graph) {
-    if (!graph.name) {
-      throw new ValidationError('Workflow name is required');
-    }
-
-    if (!graph.nodes || typeof graph.nodes !== 'object') {
-      throw new ValidationError('Workflow nodes object is required');
+    const report = this.analyzeWorkflow(graph);
+
+    if (!report.ok) {
+      const [first, ...rest] = report.errors;
+      const suffix = rest.length ? ` (and ${rest.length} more error${rest.length === 1 ? '' : 's'})` : '';
+      const error = new ValidationError(`${first.message}${suffix}`);
+      error.diagnostics = report.errors;
+      throw error;
     }
 
-    if (!graph.start || !graph.nodes[graph.start]) {
-      throw new ValidationError('Valid start node is required');
+    for (const warning of report.warnings) {
+      this.log('warn', `Workflow ${warning.graph}: ${warning.message}`, { code: warning.code, nodeId: warning.nodeId });
     }
 
-    // Validate each node
-    for (const [nodeId, node] of Object.entries(graph.nodes)) {
-      if (!node.type) {
-        throw new ValidationError(`Node ${nodeId} missing type`);
-      }
-
-      if (node.type === 'action' && !node.action) {
-        throw new ValidationError(`Action node ${nodeId} missing action name`);
-      }
+    return report;
+  }
 
-      if (node.next && !graph.nodes[node.next]) {
-        throw new ValidationError(`Node ${nodeId} references unknown next node: ${node.next}`);
-      }
-    }
+  /**
+   * Run the static analyzer over a workflow graph without registering it
+   * @param {WorkflowGraph} graph - Workflow graph
+   * @returns {AnalysisReport} Errors and warnings
+   */
+  analyzeWorkflow(graph) {
+    return WorkflowAnalyzer.analyze(this, graph);
   }
 
   /**
@@ -1042,6 +3345,137 @@ export class WorkflowCoordinator {
     return `wf_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  /**
+   * Record a journal entry for the execution that owns a context
+   * Branch and loop contexts share their parent's workflowId, so their steps
+   * land in the same journal.
+   * @param {Context} context - Execution context
+   * @param {string} type - Entry type
+   * @param {Object} data - Entry payload
+   */
+  journal(context, type, data) {
+    this.activeExecutions.get(context?.workflowId)?.journal?.record(type, data);
+  }
+
+  /**
+   * Finish and persist an execution's journal
+   * Dry runs and simulations are journaled in memory only.
+   * @param {Object} execution - Execution state
+   * @param {Result} result - Final workflow result
+   * @param {boolean} dryRun - Skip persistence (dry run or simulation)
+   */
+  async closeJournal(execution, result, dryRun) {
+    const journal = execution.journal;
+    if (!journal) return;
+
+    journal.finish(result);
+    result.meta.journaled = false;
+    if (dryRun) return;
+
+    try {
+      result.meta.journaled = await StateManager.storeJournal(journal.toJSON());
+    } catch (error) {
+      this.log('warn', 'Failed to persist execution journal', {
+        workflowId: execution.workflowId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Close an execution's trace and keep it for export
+   * @param {Object} execution - Execution state
+   * @param {Result} result - Final workflow result
+   * @param {boolean} record - Add the run to the metrics (not for dry runs or simulations)
+   */
+  closeTrace(execution, result, record) {
+    const { trace } = execution;
+    if (!trace) return;
+
+    const root = trace.spans[0];
+    trace.end(root, {
+      ok: result.ok,
+      paused: result.type === 'workflow-paused',
+      steps: result.meta?.steps?.length,
+      rolls: result.rolls?.length || 0
+    });
+    if (record) this.metrics.record(`workflow:${trace.workflow}`, root.duration, result.ok);
+
+    this.traces.delete(trace.traceId);
+    this.traces.set(trace.traceId, trace);
+    while (this.traces.size > this.config.traceRetention) {
+      this.traces.delete(this.traces.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the trace for a running or recently finished execution
+   * @param {string} workflowId - Execution ID
+   * @returns {Object|null} Serialized trace
+   */
+  getTrace(workflowId) {
+    const trace = this.activeExecutions.get(workflowId)?.trace || this.traces.get(workflowId);
+    return trace ? trace.toJSON() : null;
+  }
+
+  /**
+   * Export traces and metrics as JSON
+   * @param {string} [workflowId] - Execution to export (defaults to every retained trace)
+   * @returns {string} JSON document: `{ exported, traces, metrics }`
+   */
+  exportTraces(workflowId) {
+    const traces = workflowId
+      ? [this.getTrace(workflowId)].filter(Boolean)
+      : Array.from(this.traces.values(), trace => trace.toJSON());
+
+    return JSON.stringify({
+      exported: new Date().toISOString(),
+      traces,
+      metrics: this.metrics.summary()
+    }, null, 2);
+  }
+
+  /**
+   * Get the journal for a running or finished execution
+   * @param {string} workflowId - Execution ID
+   * @returns {Promise<Object|null>} Serialized journal
+   */
+  async getJournal(workflowId) {
+    const active = this.activeExecutions.get(workflowId)?.journal;
+    if (active) return active.toJSON();
+    return StateManager.retrieveJournal(workflowId);
+  }
+
+  /**
+   * Re-render the recorded outcome of an execution as a chat card
+   * Nothing is re-executed; the card is whispered to the current user.
+   * @param {string} workflowId - Execution ID
+   * @returns {Promise<Object>} Serialized journal
+   */
+  async replay(workflowId) {
+    const journal = await this.getJournal(workflowId);
+    if (!journal) {
+      throw new WorkflowError(`No journal found for workflow execution ${workflowId}`, 'JOURNAL_NOT_FOUND');
+    }
+
+    const actor = game.actors?.get(journal.actorId);
+    await WorkflowChat.create({
+      content: new JournalCardRenderer(journal).render(),
+      speaker: ChatMessage.getSpeaker({ actor }),
+      whisper: [game.user?.id].filter(Boolean),
+      type: CONST.CHAT_MESSAGE_TYPES.OTHER,
+      flags: { 'sw5e-helper-new': { state: { kind: 'workflow-journal', workflowId } } }
+    });
+
+    Hooks.callAll('sw5e-helper.workflow.replayed', {
+      workflow: journal.workflow,
+      workflowId,
+      journal
+    });
+
+    return journal;
+  }
+
   /**
    * Log message with structured format
    * @param {string} level - Log level
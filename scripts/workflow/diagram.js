@@ -0,0 +1,336 @@
+/**
+ * Workflow Diagram Export
+ * Renders workflow graphs as Mermaid flowcharts or Graphviz DOT, optionally
+ * highlighting the path a journaled execution took.
+ *
+ * Edges: `next` is solid, conditional `onTrue`/`onFalse` are labelled,
+ * `onError`, input `onCancel`, approval `onReject` and pause resume options
+ * are dashed, and parallel branches, loop bodies and registered sub-workflows
+ * are drawn as nested clusters.
+ */
+
+/** Supported output formats */
+const FORMATS = ['mermaid', 'dot'];
+
+/** Highlight colours for taken and failed nodes */
+const COLORS = { taken: '#ccffcc', failed: '#ffcccc', edge: '#22aa22' };
+
+export class WorkflowDiagram {
+  /**
+   * Render a workflow graph
+   * @param {WorkflowCoordinator} coordinator - Coordinator (for branch/option normalization)
+   * @param {Object} graph - Workflow graph
+   * @param {string} [format="mermaid"] - "mermaid" or "dot" ("graphviz" is accepted)
+   * @param {Object} [options] - Render options
+   * @param {Object} [options.journal] - Execution journal whose path should be highlighted
+   * @returns {string} Diagram source
+   */
+  static render(coordinator, graph, format = 'mermaid', options = {}) {
+    const normalized = format === 'graphviz' ? 'dot' : String(format).toLowerCase();
+    if (!FORMATS.includes(normalized)) {
+      throw new Error(`Unknown diagram format: ${format} (expected ${FORMATS.join(' or ')})`);
+    }
+
+    const model = this.buildModel(coordinator, graph);
+    if (options.journal) this.applyJournal(model, options.journal);
+
+    return normalized === 'dot' ? this.toDot(model, graph.name) : this.toMermaid(model);
+  }
+
+  /**
+   * Flatten a graph (and its nested branches/loop bodies) into nodes, edges and clusters
+   * @param {WorkflowCoordinator} coordinator - Coordinator
+   * @param {Object} graph - Workflow graph
+   * @returns {{nodes: Object[], edges: Object[], root: Object}} Diagram model
+   */
+  static buildModel(coordinator, graph) {
+    const model = { nodes: [], edges: [], root: { id: null, label: graph.name, nodes: [], clusters: [] } };
+    this.collect(coordinator, model, graph, '', model.root);
+    return model;
+  }
+
+  /**
+   * Add one graph level to the model
+   * @param {WorkflowCoordinator} coordinator - Coordinator
+   * @param {Object} model - Diagram model
+   * @param {Object} graph - Graph at this level
+   * @param {string} prefix - ID prefix for nested graphs
+   * @param {Object} cluster - Cluster receiving this level's nodes
+   * @param {string[]} [stack] - Workflows already being drawn (stops recursive sub-workflows)
+   */
+  static collect(coordinator, model, graph, prefix, cluster, stack = [graph.name]) {
+    const idOf = (nodeId) => this.nodeId(prefix, nodeId);
+    const edge = (from, to, label = '', style = 'solid') => {
+      if (to && graph.nodes[to]) {
+        model.edges.push({ from: idOf(from), to: idOf(to), label, style, graph: graph.name, fromNode: from, toNode: to });
+      }
+    };
+
+    for (const [nodeId, node] of Object.entries(graph.nodes)) {
+      const id = idOf(nodeId);
+      model.nodes.push({
+        id,
+        nodeId,
+        graph: graph.name,
+        type: node.type,
+        label: this.nodeLabel(nodeId, node),
+        entry: nodeId === graph.start && cluster === model.root
+      });
+      cluster.nodes.push(id);
+
+      switch (node.type) {
+        case 'conditional':
+          edge(nodeId, node.onTrue, 'true');
+          edge(nodeId, node.onFalse, 'false');
+          break;
+
+        case 'pause': {
+          const options = coordinator.getResumeOptions(node);
+          for (const option of options) edge(nodeId, option.next, option.label, 'dashed');
+          if (!options.some(o => o.next === node.next)) edge(nodeId, node.next);
+          break;
+        }
+
+        case 'parallel':
+          (node.branches || []).forEach((branch, index) => {
+            const name = coordinator.getBranchName(branch, index);
+            const branchGraph = coordinator.buildBranchGraph(graph, nodeId, branch, index);
+            this.collectNested(coordinator, model, branchGraph, `${prefix}${nodeId}__${name}__`, cluster, `branch ${name}`, id, name, stack);
+          });
+          edge(nodeId, node.next, node.join && node.join !== 'all' ? `join: ${node.join}` : '');
+          break;
+
+        case 'input':
+          edge(nodeId, node.next);
+          edge(nodeId, node.onCancel, 'cancel', 'dashed');
+          break;
+
+        case 'approval':
+          edge(nodeId, node.onApprove || node.next, 'approve');
+          edge(nodeId, node.onReject, 'reject', 'dashed');
+          break;
+
+        case 'subworkflow': {
+          const child = coordinator.getWorkflow(node.workflow);
+          if (child && !stack.includes(child.name)) {
+            this.collectNested(coordinator, model, child, `${prefix}${nodeId}__`, cluster, `workflow ${child.name}`, id, 'call', [...stack, child.name]);
+          }
+          edge(nodeId, node.next);
+          break;
+        }
+
+        case 'loop':
+          if (node.body?.nodes) {
+            const bodyGraph = { name: `${graph.name}.${nodeId}`, nodes: node.body.nodes, start: node.body.start };
+            this.collectNested(coordinator, model, bodyGraph, `${prefix}${nodeId}__`, cluster, `each ${node.as || 'item'}`, id, 'each', stack);
+          }
+          edge(nodeId, node.next);
+          break;
+
+        default:
+          edge(nodeId, node.next);
+      }
+
+      edge(nodeId, node.onError, 'error', 'dashed');
+    }
+  }
+
+  /**
+   * Add a nested graph as a child cluster linked from its owner node
+   * @param {WorkflowCoordinator} coordinator - Coordinator
+   * @param {Object} model - Diagram model
+   * @param {Object} graph - Nested graph
+   * @param {string} prefix - ID prefix
+   * @param {Object} parent - Parent cluster
+   * @param {string} label - Cluster label
+   * @param {string} ownerId - Owning node's diagram ID
+   * @param {string} edgeLabel - Label for the owner → start edge
+   * @param {string[]} stack - Workflows already being drawn
+   */
+  static collectNested(coordinator, model, graph, prefix, parent, label, ownerId, edgeLabel, stack) {
+    const cluster = { id: this.nodeId(prefix, 'cluster'), label, nodes: [], clusters: [] };
+    parent.clusters.push(cluster);
+    this.collect(coordinator, model, graph, prefix, cluster, stack);
+
+    if (graph.start && graph.nodes[graph.start]) {
+      model.edges.push({ from: ownerId, to: this.nodeId(prefix, graph.start), label: edgeLabel, style: 'dashed', nested: true });
+    }
+  }
+
+  /**
+   * Mark nodes and edges taken by a journaled execution
+   * @param {Object} model - Diagram model
+   * @param {Object} journal - Execution journal
+   */
+  static applyJournal(model, journal) {
+    const exits = (journal.entries || []).filter(e => e.type === 'exit');
+    const byKey = new Map(model.nodes.map(n => [`${n.graph}::${n.nodeId}`, n]));
+    const lastByGraph = new Map();
+    const pairs = new Set();
+
+    for (const exit of exits) {
+      const node = byKey.get(`${exit.graph}::${exit.nodeId}`);
+      if (node) node.status = exit.ok === false ? 'failed' : 'taken';
+
+      const last = lastByGraph.get(exit.graph);
+      if (last) pairs.add(`${exit.graph}::${last}->${exit.nodeId}`);
+      lastByGraph.set(exit.graph, exit.nodeId);
+    }
+
+    const takenIds = new Set(model.nodes.filter(n => n.status).map(n => n.id));
+    for (const edge of model.edges) {
+      edge.taken = edge.nested
+        ? takenIds.has(edge.from) && takenIds.has(edge.to)
+        : pairs.has(`${edge.graph}::${edge.fromNode}->${edge.toNode}`);
+    }
+  }
+
+  /**
+   * Render the model as a Mermaid flowchart
+   * @param {Object} model - Diagram model
+   * @returns {string} Mermaid source
+   */
+  static toMermaid(model) {
+    const shapes = {
+      action: ['["', '"]'],
+      conditional: ['{"', '"}'],
+      parallel: ['{{"', '"}}'],
+      loop: ['[["', '"]]'],
+      subworkflow: ['[/"', '"/]'],
+      input: ['[/"', '"\\]'],
+      pause: ['(["', '"])'],
+      approval: ['[("', '")]'],
+      waitFor: ['>"', '"]'],
+      end: ['(("', '"))']
+    };
+    const text = (s) => String(s)
+      .replace(/"/g, '#quot;')
+      .replace(/</g, '#lt;')
+      .replace(/>/g, '#gt;')
+      .replace(/\n/g, '<br/>');
+    const lines = ['flowchart TD'];
+
+    const nodesById = new Map(model.nodes.map(n => [n.id, n]));
+    const renderCluster = (cluster, indent) => {
+      for (const id of cluster.nodes) {
+        const node = nodesById.get(id);
+        const [open, close] = shapes[node.type] || shapes.action;
+        lines.push(`${indent}${id}${open}${text(node.label)}${close}`);
+      }
+      for (const child of cluster.clusters) {
+        lines.push(`${indent}subgraph ${child.id} ["${text(child.label)}"]`);
+        renderCluster(child, `${indent}  `);
+        lines.push(`${indent}end`);
+      }
+    };
+    renderCluster(model.root, '  ');
+
+    const taken = [];
+    model.edges.forEach((edge, index) => {
+      const arrow = edge.style === 'dashed' ? '-.->' : '-->';
+      const label = edge.label ? `|${text(edge.label)}|` : '';
+      lines.push(`  ${edge.from} ${arrow}${label} ${edge.to}`);
+      if (edge.taken) taken.push(index);
+    });
+
+    lines.push(`  classDef entry stroke-width:3px;`);
+    lines.push(`  classDef taken fill:${COLORS.taken};`);
+    lines.push(`  classDef failed fill:${COLORS.failed};`);
+    const entries = model.nodes.filter(n => n.entry).map(n => n.id);
+    if (entries.length) lines.push(`  class ${entries.join(',')} entry;`);
+    for (const status of ['taken', 'failed']) {
+      const ids = model.nodes.filter(n => n.status === status).map(n => n.id);
+      if (ids.length) lines.push(`  class ${ids.join(',')} ${status};`);
+    }
+    if (taken.length) lines.push(`  linkStyle ${taken.join(',')} stroke:${COLORS.edge},stroke-width:3px;`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the model as Graphviz DOT
+   * @param {Object} model - Diagram model
+   * @param {string} name - Graph name
+   * @returns {string} DOT source
+   */
+  static toDot(model, name) {
+    const shapes = {
+      action: 'box',
+      conditional: 'diamond',
+      parallel: 'hexagon',
+      loop: 'box3d',
+      subworkflow: 'component',
+      input: 'invtrapezium',
+      pause: 'octagon',
+      approval: 'house',
+      waitFor: 'cds',
+      end: 'doublecircle'
+    };
+    const q = (s) => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    const lines = [`digraph ${q(name)} {`, '  rankdir=TB;', '  node [fontname="Helvetica", fontsize=10];', '  edge [fontname="Helvetica", fontsize=9];'];
+
+    const nodesById = new Map(model.nodes.map(n => [n.id, n]));
+    const renderCluster = (cluster, indent) => {
+      for (const id of cluster.nodes) {
+        const node = nodesById.get(id);
+        const attrs = [`label=${q(node.label)}`, `shape=${shapes[node.type] || 'box'}`];
+        if (node.entry) attrs.push('penwidth=2');
+        if (node.status) attrs.push('style=filled', `fillcolor=${q(COLORS[node.status])}`);
+        lines.push(`${indent}${q(id)} [${attrs.join(', ')}];`);
+      }
+      for (const child of cluster.clusters) {
+        lines.push(`${indent}subgraph ${q(`cluster_${child.id}`)} {`);
+        lines.push(`${indent}  label=${q(child.label)};`);
+        lines.push(`${indent}  style=dashed;`);
+        renderCluster(child, `${indent}  `);
+        lines.push(`${indent}}`);
+      }
+    };
+    renderCluster(model.root, '  ');
+
+    for (const edge of model.edges) {
+      const attrs = [];
+      if (edge.label) attrs.push(`label=${q(edge.label)}`);
+      if (edge.style === 'dashed') attrs.push('style=dashed');
+      if (edge.taken) attrs.push(`color=${q(COLORS.edge)}`, 'penwidth=2');
+      lines.push(`  ${q(edge.from)} -> ${q(edge.to)}${attrs.length ? ` [${attrs.join(', ')}]` : ''};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  /**
+   * Build a node's display label
+   * @param {string} nodeId - Node identifier
+   * @param {Object} node - Node definition
+   * @returns {string} Multi-line label
+   */
+  static nodeLabel(nodeId, node) {
+    switch (node.type) {
+      case 'action': return `${nodeId}\n${node.action}`;
+      case 'conditional': return `${nodeId}\n${node.condition}`;
+      case 'parallel': return `${nodeId}\nparallel (${node.join || 'all'})`;
+      case 'loop': return `${nodeId}\nloop ${node.over || `×${node.count}`}`;
+      case 'subworkflow': return `${nodeId}\n→ ${node.workflow}`;
+      case 'input': return `${nodeId}\n${node.dialog} dialog`;
+      case 'pause': return `${nodeId}\npause`;
+      case 'approval': return `${nodeId}\nGM approval`;
+      case 'waitFor': return `${nodeId}\nwait for ${node.request || 'save'}`;
+      default: return nodeId;
+    }
+  }
+
+  /**
+   * Diagram-safe node ID
+   * Prefixed so reserved words such as `end` never clash with Mermaid syntax.
+   * @param {string} prefix - Nesting prefix
+   * @param {string} nodeId - Node identifier
+   * @returns {string} Diagram ID
+   */
+  static nodeId(prefix, nodeId) {
+    return `n_${prefix}${nodeId}`.replace(/[^A-Za-z0-9_]/g, '_');
+  }
+}
+
+export default WorkflowDiagram;
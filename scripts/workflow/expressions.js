@@ -0,0 +1,555 @@
+/**
+ * Workflow Condition Expressions
+ * Small sandboxed expression language for graph conditions. Expressions are
+ * parsed into an AST and interpreted; nothing is ever handed to eval/Function.
+ *
+ * Supported syntax:
+ *   paths        ctx.results.attack.targets, ctx.targetIds[0], item["status"]
+ *   literals     12, 1.5, 'crit', "hit", true, false, null, [1, 2]
+ *   operators    == != === !== < <= > >= && || ! + - * / %
+ *   helpers      any(list, t => t.status == 'crit'), all(...), none(...),
+ *                count(list[, pred]), sum(list[, fn]), len(x), includes(list, v),
+ *                min(a, b, ...), max(a, b, ...), exists(x)
+ *   conditions   bare names of registered conditions, e.g. hasHits && !isGM
+ *
+ * `==` and `!=` never coerce types: they behave like `===` and `!==`, except
+ * that null and undefined equal each other, so `ctx.missing == null` holds.
+ */
+
+/**
+ * Expression parse/evaluation error with source position
+ */
+export class ExpressionError extends Error {
+  constructor(message, source = '', position = null) {
+    const where = position === null ? '' : ` at position ${position}`;
+    super(`${message}${where}${source ? ` in "${source}"` : ''}`);
+    this.name = 'ExpressionError';
+    this.source = source;
+    this.position = position;
+  }
+}
+
+/** Property names that are never readable from expressions */
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor', '__defineGetter__', '__defineSetter__', '__lookupGetter__', '__lookupSetter__']);
+
+const KEYWORDS = { true: true, false: false, null: null, undefined: undefined };
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '=>', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', '[', ']', ',', '.'];
+
+/**
+ * Own-property check that ignores inherited Object.prototype members
+ * @param {Object} object - Lookup table
+ * @param {string} key - Property name
+ * @returns {boolean} True if the key is an own property
+ */
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Normalize a helper collection argument into an array
+ * @param {any} value - Array, Map, Set or nullish
+ * @returns {Array} Items
+ */
+function toList(value) {
+  if (value == null) return [];
+  if (Array.isArray(value)) return value;
+  if (value instanceof Map || value instanceof Set) return Array.from(value.values());
+  if (typeof value === 'object') return Object.values(value);
+  return [value];
+}
+
+/**
+ * Built-in helper functions available to expressions
+ * Predicates are lambdas compiled from the expression itself.
+ */
+const HELPERS = {
+  any: (list, pred = Boolean) => toList(list).some(item => pred(item)),
+  all: (list, pred = Boolean) => toList(list).every(item => pred(item)),
+  none: (list, pred = Boolean) => !toList(list).some(item => pred(item)),
+  count: (list, pred = null) => pred ? toList(list).filter(item => pred(item)).length : toList(list).length,
+  sum: (list, fn = null) => toList(list).reduce((total, item) => total + (Number(fn ? fn(item) : item) || 0), 0),
+  len: (value) => {
+    if (value == null) return 0;
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    if (value instanceof Map || value instanceof Set) return value.size;
+    return Object.keys(value).length;
+  },
+  includes: (list, value) => toList(list).includes(value),
+  min: (...values) => Math.min(...values.flatMap(toList).map(Number)),
+  max: (...values) => Math.max(...values.flatMap(toList).map(Number)),
+  exists: (value) => value !== null && value !== undefined
+};
+
+/**
+ * Condition expression compiler and interpreter
+ */
+export class ConditionExpression {
+  /**
+   * Names of the built-in helpers
+   * @returns {string[]} Helper names
+   */
+  static get helpers() {
+    return Object.keys(HELPERS);
+  }
+
+  /**
+   * Parse an expression into an AST
+   * @param {string} source - Expression source
+   * @returns {Object} AST root node
+   * @throws {ExpressionError} On syntax errors
+   */
+  static parse(source) {
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new ExpressionError('Condition expression must be a non-empty string');
+    }
+
+    const parser = new Parser(source, this.tokenize(source));
+    const ast = parser.parseExpression();
+    parser.expectEnd();
+    return ast;
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} source - Expression source
+   * @returns {Object[]} Tokens
+   */
+  static tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] ?? ''))) {
+        const match = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)/.exec(source.slice(i));
+        tokens.push({ type: 'number', value: Number(match[0]), position: i });
+        i += match[0].length;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < source.length && source[j] !== char) {
+          if (source[j] === '\\' && j + 1 < source.length) j++;
+          value += source[j];
+          j++;
+        }
+        if (j >= source.length) {
+          throw new ExpressionError('Unterminated string', source, i);
+        }
+        tokens.push({ type: 'string', value, position: i });
+        i = j + 1;
+        continue;
+      }
+
+      if (/[A-Za-z_$]/.test(char)) {
+        const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i));
+        tokens.push({ type: 'identifier', value: match[0], position: i });
+        i += match[0].length;
+        continue;
+      }
+
+      const operator = OPERATORS.find(op => source.startsWith(op, i));
+      if (!operator) {
+        throw new ExpressionError(`Unexpected character '${char}'`, source, i);
+      }
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Collect free identifiers referenced by an AST (excluding ctx, helpers and lambda params)
+   * @param {Object} ast - AST root node
+   * @returns {string[]} Identifier names
+   */
+  static getIdentifiers(ast) {
+    const names = new Set();
+
+    const visit = (node, bound) => {
+      if (!node) return;
+      switch (node.type) {
+        case 'identifier':
+          if (!bound.has(node.name) && node.name !== 'ctx') names.add(node.name);
+          break;
+        case 'lambda':
+          visit(node.body, new Set([...bound, node.param]));
+          break;
+        case 'call':
+          node.args.forEach(arg => visit(arg, bound));
+          break;
+        case 'member':
+          visit(node.object, bound);
+          if (node.computed) visit(node.property, bound);
+          break;
+        case 'unary':
+          visit(node.argument, bound);
+          break;
+        case 'binary':
+        case 'logical':
+          visit(node.left, bound);
+          visit(node.right, bound);
+          break;
+        case 'array':
+          node.elements.forEach(element => visit(element, bound));
+          break;
+      }
+    };
+
+    visit(ast, new Set());
+    return Array.from(names);
+  }
+
+  /**
+   * Evaluate a parsed expression
+   * @param {Object} ast - AST root node
+   * @param {Object} scope - Evaluation scope
+   * @param {Object} scope.ctx - Workflow context
+   * @param {Object} [scope.locals] - Extra bound identifiers (e.g. loop item)
+   * @param {Function} [scope.resolveName] - Resolver for free identifiers such as named conditions
+   * @param {string} [scope.source] - Original source for error messages
+   * @returns {any} Expression value
+   */
+  static evaluate(ast, scope = {}) {
+    const { ctx = {}, locals = {}, resolveName = null, source = '' } = scope;
+
+    const lookup = (name, env) => {
+      if (has(env, name)) return env[name];
+      if (name === 'ctx') return ctx;
+      if (has(locals, name)) return locals[name];
+      if (has(KEYWORDS, name)) return KEYWORDS[name];
+      if (resolveName) {
+        const resolved = resolveName(name);
+        if (resolved.found) return resolved.value;
+      }
+      throw new ExpressionError(`Unknown identifier '${name}'`, source);
+    };
+
+    const visit = (node, env) => {
+      switch (node.type) {
+        case 'literal':
+          return node.value;
+
+        case 'identifier':
+          return lookup(node.name, env);
+
+        case 'array':
+          return node.elements.map(element => visit(element, env));
+
+        case 'member': {
+          const object = visit(node.object, env);
+          const key = node.computed ? visit(node.property, env) : node.property;
+          return this.readProperty(object, key);
+        }
+
+        case 'unary': {
+          const value = visit(node.argument, env);
+          return node.operator === '!' ? !value : -Number(value);
+        }
+
+        case 'logical': {
+          const left = visit(node.left, env);
+          if (node.operator === '&&') return left ? visit(node.right, env) : left;
+          return left ? left : visit(node.right, env);
+        }
+
+        case 'binary':
+          return this.applyBinary(node.operator, visit(node.left, env), visit(node.right, env));
+
+        case 'lambda':
+          return (value) => visit(node.body, { ...env, [node.param]: value });
+
+        case 'call': {
+          const helper = has(HELPERS, node.callee) ? HELPERS[node.callee] : null;
+          if (!helper) {
+            throw new ExpressionError(`Unknown helper '${node.callee}'`, source, node.position);
+          }
+          return helper(...node.args.map(arg => visit(arg, env)));
+        }
+
+        default:
+          throw new ExpressionError(`Unsupported expression node '${node.type}'`, source);
+      }
+    };
+
+    return visit(ast, {});
+  }
+
+  /**
+   * Read a property without exposing functions or prototype internals
+   * @param {any} object - Target value
+   * @param {string|number} key - Property key
+   * @returns {any} Property value or undefined
+   */
+  static readProperty(object, key) {
+    if (object === null || object === undefined) return undefined;
+    if (BLOCKED_PROPERTIES.has(String(key))) return undefined;
+
+    if (object instanceof Map) {
+      return key === 'size' ? object.size : object.get(key);
+    }
+
+    if (key === 'length' && (typeof object === 'string' || Array.isArray(object))) {
+      return object.length;
+    }
+
+    if (typeof object !== 'object' && typeof object !== 'string') return undefined;
+
+    const value = object[key];
+    return typeof value === 'function' ? undefined : value;
+  }
+
+  /**
+   * Apply a binary operator
+   * @param {string} operator - Operator token
+   * @param {any} left - Left operand
+   * @param {any} right - Right operand
+   * @returns {any} Result
+   */
+  static applyBinary(operator, left, right) {
+    switch (operator) {
+      case '==': return left === right || (left == null && right == null);
+      case '!=': return !(left === right || (left == null && right == null));
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '+': return (typeof left === 'string' || typeof right === 'string') ? `${left}${right}` : Number(left) + Number(right);
+      case '-': return Number(left) - Number(right);
+      case '*': return Number(left) * Number(right);
+      case '/': return Number(left) / Number(right);
+      case '%': return Number(left) % Number(right);
+      default:
+        throw new ExpressionError(`Unsupported operator '${operator}'`);
+    }
+  }
+}
+
+/**
+ * Recursive descent parser over the token stream
+ */
+class Parser {
+  constructor(source, tokens) {
+    this.source = source;
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset] || null;
+  }
+
+  next() {
+    return this.tokens[this.index++] || null;
+  }
+
+  isOperator(value, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'operator' && token.value === value;
+  }
+
+  error(message, token = this.peek()) {
+    return new ExpressionError(message, this.source, token ? token.position : this.source.length);
+  }
+
+  expectOperator(value) {
+    const token = this.next();
+    if (token?.type !== 'operator' || token.value !== value) {
+      throw this.error(token ? `Expected '${value}' but found '${token.value}'` : `Expected '${value}' but reached end of expression`, token);
+    }
+    return token;
+  }
+
+  expectEnd() {
+    const token = this.peek();
+    if (token) throw this.error(`Unexpected token '${token.value}'`, token);
+  }
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isOperator('||')) {
+      this.next();
+      left = { type: 'logical', operator: '||', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseEquality();
+    while (this.isOperator('&&')) {
+      this.next();
+      left = { type: 'logical', operator: '&&', left, right: this.parseEquality() };
+    }
+    return left;
+  }
+
+  parseEquality() {
+    let left = this.parseComparison();
+    while (['==', '!=', '===', '!=='].some(op => this.isOperator(op))) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseComparison() };
+    }
+    return left;
+  }
+
+  parseComparison() {
+    let left = this.parseAdditive();
+    while (['<', '<=', '>', '>='].some(op => this.isOperator(op))) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseAdditive() };
+    }
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.isOperator('+') || this.isOperator('-')) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (['*', '/', '%'].some(op => this.isOperator(op))) {
+      const operator = this.next().value;
+      left = { type: 'binary', operator, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOperator('!') || this.isOperator('-')) {
+      const operator = this.next().value;
+      return { type: 'unary', operator, argument: this.parseUnary() };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    while (true) {
+      if (this.isOperator('.')) {
+        this.next();
+        const token = this.next();
+        if (token?.type !== 'identifier') {
+          throw this.error('Expected property name after \'.\'', token);
+        }
+        node = { type: 'member', object: node, property: token.value, computed: false };
+      } else if (this.isOperator('[')) {
+        this.next();
+        const property = this.parseExpression();
+        this.expectOperator(']');
+        node = { type: 'member', object: node, property, computed: true };
+      } else if (this.isOperator('(')) {
+        const token = this.peek();
+        if (node.type !== 'identifier') {
+          throw this.error('Only helper functions can be called', token);
+        }
+        if (!has(HELPERS, node.name)) {
+          throw this.error(`Unknown helper '${node.name}'`, token);
+        }
+        this.next();
+        node = { type: 'call', callee: node.name, args: this.parseArguments(), position: token.position };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseArguments() {
+    const args = [];
+    if (this.isOperator(')')) {
+      this.next();
+      return args;
+    }
+
+    while (true) {
+      args.push(this.parseArgument());
+      if (this.isOperator(',')) {
+        this.next();
+        continue;
+      }
+      this.expectOperator(')');
+      return args;
+    }
+  }
+
+  parseArgument() {
+    const token = this.peek();
+
+    // t => expr
+    if (token?.type === 'identifier' && this.isOperator('=>', 1)) {
+      this.index += 2;
+      return { type: 'lambda', param: token.value, body: this.parseExpression() };
+    }
+
+    // (t) => expr
+    const param = this.peek(1);
+    if (this.isOperator('(') && param?.type === 'identifier' && this.isOperator(')', 2) && this.isOperator('=>', 3)) {
+      this.index += 4;
+      return { type: 'lambda', param: param.value, body: this.parseExpression() };
+    }
+
+    return this.parseExpression();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) {
+      throw this.error('Unexpected end of expression', null);
+    }
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+
+      case 'identifier':
+        if (has(KEYWORDS, token.value)) return { type: 'literal', value: KEYWORDS[token.value] };
+        return { type: 'identifier', name: token.value, position: token.position };
+
+      case 'operator':
+        if (token.value === '(') {
+          const node = this.parseExpression();
+          this.expectOperator(')');
+          return node;
+        }
+        if (token.value === '[') {
+          const elements = [];
+          if (!this.isOperator(']')) {
+            do {
+              elements.push(this.parseExpression());
+            } while (this.isOperator(',') && this.next());
+          }
+          this.expectOperator(']');
+          return { type: 'array', elements };
+        }
+        if (token.value === '=>') {
+          throw this.error('Arrow functions are only allowed as helper arguments', token);
+        }
+        throw this.error(`Unexpected token '${token.value}'`, token);
+
+      default:
+        throw this.error(`Unexpected token '${token.value}'`, token);
+    }
+  }
+}
+
+export default ConditionExpression;
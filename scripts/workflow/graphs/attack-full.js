@@ -158,31 +158,6 @@ export const fullAttackWorkflow = {
     timeout: 300000, // 5 minutes
     allowUserCancel: true,
     logLevel: "info"
-  },
-
-  // Target filtering functions
-  targetFilters: {
-    hitTargets: (ctx) => {
-      const attackResult = ctx.results?.attack;
-      if (!attackResult?.targets) return ctx.targetIds || [];
-      
-      return attackResult.targets
-        .filter(target => target.status === "hit" || target.status === "crit")
-        .map(target => target.id);
-    },
-
-    critTargets: (ctx) => {
-      const attackResult = ctx.results?.attack;
-      if (!attackResult?.targets) return [];
-      
-      return attackResult.targets
-        .filter(target => target.status === "crit")
-        .map(target => target.id);
-    },
-
-    allTargets: (ctx) => {
-      return ctx.targetIds || [];
-    }
   }
 };
 
@@ -152,7 +152,60 @@ export const quickDamageWorkflow = {
   }
 };
 
+/**
+ * Reviewed damage workflow: a GM approves (or edits) damage before it lands
+ */
+export const reviewedDamageWorkflow = {
+  name: "reviewedDamageWorkflow",
+  description: "Damage roll reviewed by a GM before application",
+  version: "1.0.0",
+
+  nodes: {
+    // Roll damage per target
+    start: {
+      type: "action",
+      action: "damage",
+      next: "review",
+      onError: "end"
+    },
+
+    // Whisper the pending damage to GMs for approval
+    review: {
+      type: "approval",
+      message: "Review damage before it is applied.",
+      onApprove: "applyDamage",
+      onReject: "end"
+    },
+
+    // Apply the approved per-target amounts
+    applyDamage: {
+      type: "action",
+      action: "apply",
+      next: "end",
+      onError: "end",
+      input: {
+        targetIds: "results.review.targetIds",
+        "config.amounts": "results.review.amounts",
+        "config.mode": "results.review.mode"
+      }
+    },
+
+    // Workflow complete
+    end: {
+      type: "end"
+    }
+  },
+
+  start: "start",
+
+  config: {
+    allowUserCancel: true,
+    logLevel: "info"
+  }
+};
+
 export default {
   manualDamageWorkflow,
-  quickDamageWorkflow
+  quickDamageWorkflow,
+  reviewedDamageWorkflow
 };
\ No newline at end of file
@@ -0,0 +1,82 @@
+/**
+ * Dialog Workflow Graphs
+ * The interactive attack and damage flows behind `openAttack`/`openDamage`:
+ * a dialog input node followed by the action it configures
+ */
+
+/**
+ * Attack dialog → attack roll
+ */
+export const attackDialogWorkflow = {
+  name: "attackDialogWorkflow",
+  description: "Prompt for an attack and roll it against the current targets",
+  version: "1.0.0",
+
+  nodes: {
+    // Pick weapon and options; cancelling or 5 minutes idle ends the workflow
+    configure: {
+      type: "input",
+      dialog: "attack",
+      timeout: 300000,
+      next: "attack"
+    },
+
+    // Roll the attack and post the attack card
+    attack: {
+      type: "action",
+      action: "attack",
+      next: "end"
+    },
+
+    end: {
+      type: "end"
+    }
+  },
+
+  start: "configure",
+
+  config: {
+    logLevel: "info"
+  }
+};
+
+/**
+ * Damage dialog → manual damage roll
+ */
+export const damageDialogWorkflow = {
+  name: "damageDialogWorkflow",
+  description: "Prompt for a manual damage roll against the current targets",
+  version: "1.0.0",
+
+  nodes: {
+    // Pick weapon and damage options; cancelling or 5 minutes idle ends the workflow
+    configure: {
+      type: "input",
+      dialog: "damage",
+      timeout: 300000,
+      next: "damage"
+    },
+
+    // Roll damage and post the damage card
+    damage: {
+      type: "action",
+      action: "damage",
+      next: "end"
+    },
+
+    end: {
+      type: "end"
+    }
+  },
+
+  start: "configure",
+
+  config: {
+    logLevel: "info"
+  }
+};
+
+export default {
+  attackDialogWorkflow,
+  damageDialogWorkflow
+};
@@ -4,8 +4,9 @@
  */
 
 import { fullAttackWorkflow, conditions as attackConditions } from './attack-full.js';
-import { manualDamageWorkflow, quickDamageWorkflow } from './damage-manual.js';
+import { manualDamageWorkflow, quickDamageWorkflow, reviewedDamageWorkflow } from './damage-manual.js';
 import { saveOnlyWorkflow, multiSaveWorkflow, saveConditions } from './save-only.js';
+import { attackDialogWorkflow, damageDialogWorkflow } from './dialogs.js';
 
 /**
  * All available workflow graphs
@@ -13,10 +14,13 @@ import { saveOnlyWorkflow, multiSaveWorkflow, saveConditions } from './save-only
 export const workflows = {
   // Attack workflows
   fullAttackWorkflow,
+  attackDialogWorkflow,
   
   // Damage workflows  
   manualDamageWorkflow,
   quickDamageWorkflow,
+  reviewedDamageWorkflow,
+  damageDialogWorkflow,
   
   // Save workflows
   saveOnlyWorkflow,
@@ -39,6 +43,15 @@ export const conditions = {
     return game.settings?.get?.("sw5e-helper-new", "autoApplyDamage") === true;
   },
 
+  /**
+   * Check if the save step succeeded and damage should follow
+   * @param {object} ctx - Workflow context
+   * @returns {boolean} True if the save result is ok
+   */
+  shouldApplyDamage: (ctx) => {
+    return ctx.results?.save?.ok === true;
+  },
+
   /**
    * Always returns true - for testing and simple flows
    * @param {object} ctx - Workflow context
@@ -72,6 +85,55 @@ export const conditions = {
   }
 };
 
+/**
+ * Built-in target filters for node `config.targetFilter`
+ * Filters may return target IDs or attack target results; the coordinator
+ * normalizes both to target IDs.
+ */
+export const targetFilters = {
+  /**
+   * Targets the attack hit or crit (all targets if there was no attack)
+   * @param {object} ctx - Workflow context
+   * @returns {Array} Hit targets
+   */
+  hitTargets: (ctx) => {
+    const targets = ctx.results?.attack?.targets;
+    if (!targets) return ctx.targetIds || [];
+
+    return targets.filter(target => target.status === "hit" || target.status === "crit");
+  },
+
+  /**
+   * Targets the attack critically hit
+   * @param {object} ctx - Workflow context
+   * @returns {Array} Crit targets
+   */
+  critTargets: (ctx) => {
+    const targets = ctx.results?.attack?.targets || [];
+    return targets.filter(target => target.status === "crit");
+  },
+
+  /**
+   * Targets that failed their saving throw (all targets if there was no save)
+   * @param {object} ctx - Workflow context
+   * @returns {string[]} Target IDs
+   */
+  failedSaves: (ctx) => {
+    const results = ctx.results?.save?.data?.results;
+    if (!results) return ctx.targetIds || [];
+
+    const saves = results instanceof Map ? Array.from(results.values()) : Object.values(results);
+    return saves.filter(save => !save.passed).map(save => save.targetId);
+  },
+
+  /**
+   * Every target in the workflow context
+   * @param {object} ctx - Workflow context
+   * @returns {string[]} Target IDs
+   */
+  allTargets: (ctx) => ctx.targetIds || []
+};
+
 /**
  * Workflow registry with metadata
  */
@@ -85,6 +147,15 @@ export const workflowRegistry = [
     version: "1.0.0",
     workflow: fullAttackWorkflow
   },
+  {
+    name: "attackDialogWorkflow",
+    displayName: "Attack Dialog",
+    description: "Attack dialog and roll used by openAttack()",
+    category: "attack",
+    tags: ["attack", "dialog"],
+    version: "1.0.0",
+    workflow: attackDialogWorkflow
+  },
   {
     name: "manualDamageWorkflow", 
     displayName: "Manual Damage",
@@ -103,6 +174,24 @@ export const workflowRegistry = [
     version: "1.0.0",
     workflow: quickDamageWorkflow
   },
+  {
+    name: "reviewedDamageWorkflow",
+    displayName: "Reviewed Damage",
+    description: "Damage roll approved or edited by a GM before application",
+    category: "damage",
+    tags: ["damage", "approval", "gm"],
+    version: "1.0.0",
+    workflow: reviewedDamageWorkflow
+  },
+  {
+    name: "damageDialogWorkflow",
+    displayName: "Damage Dialog",
+    description: "Damage dialog and roll used by openDamage()",
+    category: "damage",
+    tags: ["damage", "dialog"],
+    version: "1.0.0",
+    workflow: damageDialogWorkflow
+  },
   {
     name: "saveOnlyWorkflow",
     displayName: "Save Only",
@@ -213,6 +302,7 @@ export function validateWorkflow(workflow) {
 export default {
   workflows,
   conditions, 
+  targetFilters,
   workflowRegistry,
   getWorkflow,
   getWorkflowsByCategory,
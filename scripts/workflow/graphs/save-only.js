@@ -12,10 +12,12 @@ export const saveOnlyWorkflow = {
   version: "1.0.0",
   
   nodes: {
-    // Start with saving throws
+    // Start with saving throws, rolled by each target's owner
     start: {
-      type: "action",
-      action: "save",
+      type: "waitFor",
+      request: "save",
+      output: "save",
+      message: "Waiting for saving throws",
       next: "checkDamage",
       onError: "end"
     },
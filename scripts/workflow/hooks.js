@@ -117,6 +117,39 @@ export class WorkflowHooks {
   static async fireHookAsync(hookName, ...args) {
     return Hooks.call(hookName, ...args);
   }
+
+  /**
+   * Call a veto-capable "pre" hook
+   * Unlike `Hooks.call`, listeners run one at a time and are awaited, so they
+   * may be async. Each receives `data` and may change it in place; returning
+   * false aborts and skips the remaining listeners. A listener that vetoes
+   * sets `data.reason` to record why. A listener that throws is logged and
+   * treated as having no objection.
+   * @param {string} hookName - Hook name
+   * @param {object} data - Mutable hook payload
+   * @returns {Promise<{ok: boolean, hook: string, reason?: string}>} Outcome
+   */
+  static async callPreHook(hookName, data) {
+    const listeners = [...(Hooks.events?.[hookName] ?? [])];
+
+    for (const listener of listeners) {
+      if (listener.once) Hooks.off(hookName, listener.id);
+
+      let outcome;
+      try {
+        outcome = await listener.fn(data);
+      } catch (error) {
+        console.error(`SW5E Helper: ${hookName} listener failed`, error);
+        continue;
+      }
+
+      if (outcome === false) {
+        return { ok: false, hook: hookName, reason: data?.reason || `Cancelled by a ${hookName} listener` };
+      }
+    }
+
+    return { ok: true, hook: hookName };
+  }
 }
 
 export default WorkflowHooks;
\ No newline at end of file
@@ -5,16 +5,41 @@
 import { WorkflowOrchestrator } from './orchestrator.js';
 import { WorkflowCoordinator } from './coordinator.js';
 import { WorkflowHooks } from './hooks.js';
+import { WorkflowDiagram } from './diagram.js';
+import { WorkflowAnalyzer } from './analyzer.js';
+import { PlayerRelay } from './relay.js';
+import { WorkflowSimulation } from './simulation.js';
+import { WorkflowChat } from './chat.js';
+import { WorkflowTrace, MetricsStore } from './tracing.js';
 import actions from './actions/index.js';
+import inputs from './inputs/index.js';
+import responders from './responders/index.js';
 
 export { WorkflowOrchestrator } from './orchestrator.js';
 export { WorkflowCoordinator } from './coordinator.js';
 export { WorkflowHooks } from './hooks.js';
+export { WorkflowDiagram } from './diagram.js';
+export { WorkflowAnalyzer } from './analyzer.js';
+export { PlayerRelay } from './relay.js';
+export { WorkflowSimulation } from './simulation.js';
+export { WorkflowChat } from './chat.js';
+export { WorkflowTrace, MetricsStore } from './tracing.js';
 export * from './actions/index.js';
+export * from './inputs/index.js';
+export * from './responders/index.js';
 
 export default {
   WorkflowOrchestrator,
   WorkflowCoordinator,
   WorkflowHooks,
-  actions
+  WorkflowDiagram,
+  WorkflowAnalyzer,
+  PlayerRelay,
+  WorkflowSimulation,
+  WorkflowChat,
+  WorkflowTrace,
+  MetricsStore,
+  actions,
+  inputs,
+  responders
 };
\ No newline at end of file
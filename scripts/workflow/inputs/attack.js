@@ -0,0 +1,55 @@
+/**
+ * Attack Dialog Input
+ * Workflow input provider that resolves the attacking actor, prompts for the
+ * attack configuration and freezes the current targets
+ */
+
+import { TargetFreezer } from '../../core/state/freezer.js';
+import { ActorResolver } from '../../core/actors/resolver.js';
+import { AttackDialog } from '../../ui/dialogs/AttackDialog.js';
+
+export class AttackInput {
+  static name = "attack";
+
+  /**
+   * Prompt for an attack
+   * @param {object} context - Workflow context (`seed` carries the API seed)
+   * @param {object} [options] - `signal` closes the dialog when aborted
+   * @returns {Promise<object|null>} Context patch, or null if cancelled
+   */
+  static async prompt(context = {}, { signal } = {}) {
+    const seed = context.seed || {};
+    const actor = ActorResolver.getActor({
+      actorId: context.actorId ?? seed.actorId,
+      fallbackToSelected: true,
+      fallbackToUser: true
+    });
+
+    if (!actor) {
+      ui.notifications.warn("No actor available for attack");
+      return null;
+    }
+
+    const weapons = ActorResolver.getEquippedWeapons(actor);
+    if (!weapons.length) {
+      ui.notifications.warn("No equipped weapons found");
+      return null;
+    }
+
+    const config = await AttackDialog.prompt({ actor, weapons }, { signal });
+    if (!config) return null;
+
+    const targets = TargetFreezer.freezeCurrentTargets();
+
+    return {
+      actorId: actor.id,
+      tokenRef: actor.token ? `${actor.token.parent?.id}:${actor.token.id}` : undefined,
+      itemId: config.weaponId,
+      config,
+      targets,
+      targetIds: TargetFreezer.createTargetRefs(targets)
+    };
+  }
+}
+
+export default AttackInput;
@@ -0,0 +1,60 @@
+/**
+ * Damage Dialog Input
+ * Workflow input provider that resolves the actor and prompts for a manual
+ * damage roll against the current targets
+ */
+
+import { ActorResolver } from '../../core/actors/resolver.js';
+import { DamageDialog } from '../../ui/dialogs/DamageDialog.js';
+
+export class DamageInput {
+  static name = "damage";
+
+  /**
+   * Prompt for a damage roll
+   * @param {object} context - Workflow context (`seed` carries the API seed)
+   * @param {object} [options] - `signal` closes the dialog when aborted
+   * @returns {Promise<object|null>} Context patch, or null if cancelled
+   */
+  static async prompt(context = {}, { signal } = {}) {
+    const seed = context.seed || {};
+    const actor = ActorResolver.getActor({
+      actorId: context.actorId ?? seed.actorId,
+      fallbackToSelected: true,
+      fallbackToUser: true
+    });
+
+    if (!actor) {
+      ui.notifications.warn("No actor available for damage roll");
+      return null;
+    }
+
+    const weapons = ActorResolver.getEquippedWeapons(actor);
+    if (!weapons.length) {
+      ui.notifications.warn("No equipped weapons found");
+      return null;
+    }
+
+    const config = await DamageDialog.prompt({
+      actor,
+      weapons,
+      seed,
+      scope: { type: "manual" }
+    }, { signal });
+    if (!config) return null;
+
+    const targetIds = Array.from(game.user.targets ?? []).map(
+      t => `${t.document?.parent?.id ?? canvas.scene?.id}:${t.id}`
+    );
+
+    return {
+      actorId: actor.id,
+      tokenRef: actor.token ? `${actor.token.parent?.id}:${actor.token.id}` : undefined,
+      itemId: config.weaponId,
+      config,
+      targetIds
+    };
+  }
+}
+
+export default DamageInput;
@@ -0,0 +1,15 @@
+/**
+ * Input providers module exports
+ * Providers back `input` workflow nodes: `prompt(context, { signal })`
+ * resolves to a context patch, or null when the user cancels.
+ */
+import { AttackInput } from './attack.js';
+import { DamageInput } from './damage.js';
+
+export { AttackInput } from './attack.js';
+export { DamageInput } from './damage.js';
+
+export default {
+  AttackInput,
+  DamageInput
+};
@@ -0,0 +1,130 @@
+/**
+ * Workflow Execution Journal
+ * Records what a workflow run did - node enter/exit, results, rolls and
+ * compensations - so the outcome can be replayed and inspected after the
+ * execution has finished.
+ */
+
+/** Largest serialized entry payload kept in a journal, in characters */
+const MAX_VALUE_LENGTH = 20000;
+
+/**
+ * Journal for a single workflow execution
+ */
+export class ExecutionJournal {
+  /**
+   * @param {Object} options - Journal options
+   * @param {string} options.workflowId - Execution ID
+   * @param {string} options.workflow - Workflow name
+   * @param {Object} [options.context] - Context at start
+   * @param {string} [options.resumedFrom] - Execution ID this run resumed
+   */
+  constructor({ workflowId, workflow, context = {}, resumedFrom = null }) {
+    this.workflowId = workflowId;
+    this.workflow = workflow;
+    this.userId = context.userId || game.user?.id || null;
+    this.actorId = context.actorId || null;
+    this.itemId = context.itemId || null;
+    this.messageId = context.messageId || null;
+    this.targetIds = [...(context.targetIds || [])];
+    this.resumedFrom = resumedFrom;
+    this.started = Date.now();
+    this.finished = null;
+    this.status = 'running';
+    this.ok = null;
+    this.errors = [];
+    this.entries = [];
+  }
+
+  /**
+   * Append an entry to the timeline
+   * @param {string} type - Entry type (start, enter, exit, pause, compensate, end)
+   * @param {Object} [data] - Entry payload
+   */
+  record(type, data = {}) {
+    const entry = { type, at: Date.now() };
+    for (const [key, value] of Object.entries(data)) {
+      if (value !== undefined) entry[key] = ExecutionJournal.sanitize(value);
+    }
+    this.entries.push(entry);
+  }
+
+  /**
+   * Close the journal with the final workflow result
+   * @param {Object} result - Workflow result
+   */
+  finish(result) {
+    this.finished = Date.now();
+    this.ok = !!result?.ok;
+    this.errors = [...(result?.errors || [])];
+    this.status = result?.type === 'workflow-paused' ? 'paused' : (this.ok ? 'completed' : 'failed');
+    this.record('end', {
+      status: this.status,
+      errors: this.errors,
+      failures: result?.meta?.failures || [],
+      duration: this.finished - this.started
+    });
+  }
+
+  /**
+   * Rolls recorded on exit entries, in order
+   * @returns {Object[]} Serialized roll data
+   */
+  get rolls() {
+    return this.entries.flatMap(e => (e.type === 'exit' && e.rolls) || []);
+  }
+
+  /**
+   * Plain-object form for storage
+   * @returns {Object} Serialized journal
+   */
+  toJSON() {
+    return {
+      workflowId: this.workflowId,
+      workflow: this.workflow,
+      userId: this.userId,
+      actorId: this.actorId,
+      itemId: this.itemId,
+      messageId: this.messageId,
+      targetIds: this.targetIds,
+      resumedFrom: this.resumedFrom,
+      started: this.started,
+      finished: this.finished,
+      status: this.status,
+      ok: this.ok,
+      errors: this.errors,
+      entries: this.entries
+    };
+  }
+
+  /**
+   * Convert a value to storable JSON
+   * Rolls serialize through their own toJSON, Maps become objects, and
+   * oversized or unserializable values are replaced with a marker.
+   * @param {any} value - Value to sanitize
+   * @returns {any} JSON-safe value
+   */
+  static sanitize(value) {
+    try {
+      const seen = new WeakSet();
+      const json = JSON.stringify(value, (key, v) => {
+        if (v instanceof Map) return Object.fromEntries(v);
+        if (v instanceof Set) return [...v];
+        if (typeof v === 'function') return undefined;
+        if (v && typeof v === 'object') {
+          if (seen.has(v)) return '[ref]';
+          seen.add(v);
+        }
+        return v;
+      });
+
+      if (json === undefined) return null;
+      if (json.length > MAX_VALUE_LENGTH) return { truncated: true, size: json.length };
+      return JSON.parse(json);
+    } catch (error) {
+      return { unserializable: true, reason: error.message };
+    }
+  }
+}
+
+export default ExecutionJournal;
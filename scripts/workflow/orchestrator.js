@@ -4,10 +4,6 @@
  */
 
 import { StateManager } from '../core/state/manager.js';
-import { TargetFreezer } from '../core/state/freezer.js';
-import { ActorResolver, TokenResolver } from '../core/actors/resolver.js';
-import { AttackDialog } from '../ui/dialogs/AttackDialog.js';
-import { DamageDialog } from '../ui/dialogs/DamageDialog.js';
 
 export class WorkflowOrchestrator {
   constructor() {
@@ -114,112 +110,24 @@ export class WorkflowOrchestrator {
   }
   /**
    * Execute attack workflow
+   * @deprecated Dialog flows run as coordinator workflows; use `game.sw5eHelper.openAttack()`
    * @param {object} seed - Initial configuration
    * @returns {Promise<object>} Workflow result
    */
   static async executeAttack(seed = {}) {
-    try {
-      // Resolve actor
-      const actor = ActorResolver.getActor({ 
-        actorId: seed.actorId,
-        fallbackToSelected: true,
-        fallbackToUser: true 
-      });
-      
-      if (!actor) {
-        ui.notifications.warn("No actor available for attack");
-        return null;
-      }
-
-      // Get equipped weapons
-      const weapons = ActorResolver.getEquippedWeapons(actor);
-      if (!weapons.length) {
-        ui.notifications.warn("No equipped weapons found");
-        return null;
-      }
-
-      // Open attack dialog
-      const attackConfig = await AttackDialog.prompt({ actor, weapons });
-      if (!attackConfig) return null;
-
-      // Freeze current targets
-      const frozenTargets = TargetFreezer.freezeCurrentTargets();
-
-      // Import and execute attack action
-      const { AttackAction } = await import('./actions/attack.js');
-      const result = await AttackAction.execute({
-        actor,
-        item: ActorResolver.getItem(actor, attackConfig.weaponId),
-        config: attackConfig,
-        targets: frozenTargets
-      });
-
-      return result;
-      
-    } catch (error) {
-      console.error("SW5E Helper: Attack workflow error", error);
-      ui.notifications.error("Attack workflow failed - see console for details");
-      return null;
-    }
+    const { API } = await import('../api.js');
+    return API.openAttack(seed);
   }
 
   /**
    * Execute manual damage workflow
+   * @deprecated Dialog flows run as coordinator workflows; use `game.sw5eHelper.openDamage()`
    * @param {object} seed - Initial configuration
    * @returns {Promise<object>} Workflow result
    */
   static async executeDamage(seed = {}) {
-    try {
-      // Resolve actor
-      const actor = ActorResolver.getActor({
-        actorId: seed.actorId,
-        fallbackToSelected: true,
-        fallbackToUser: true
-      });
-
-      if (!actor) {
-        ui.notifications.warn("No actor available for damage roll");
-        return null;
-      }
-
-      // Get equipped weapons
-      const weapons = ActorResolver.getEquippedWeapons(actor);
-      if (!weapons.length) {
-        ui.notifications.warn("No equipped weapons found");
-        return null;
-      }
-
-      // Open damage dialog
-      const damageConfig = await DamageDialog.prompt({
-        actor,
-        weapons,
-        seed,
-        scope: { type: "manual" }
-      });
-
-      if (!damageConfig) return null;
-
-      // Get current targets
-      const targetRefs = Array.from(game.user.targets ?? []).map(
-        t => `${t.document?.parent?.id ?? canvas.scene?.id}:${t.id}`
-      );
-
-      // Import and execute damage action
-      const { DamageAction } = await import('./actions/damage.js');
-      const result = await DamageAction.executeManual({
-        actor,
-        item: ActorResolver.getItem(actor, damageConfig.weaponId),
-        config: damageConfig,
-        targetRefs
-      });
-
-      return result;
-
-    } catch (error) {
-      console.error("SW5E Helper: Damage workflow error", error);
-      ui.notifications.error("Damage workflow failed - see console for details");
-      return null;
-    }
+    const { API } = await import('../api.js');
+    return API.openDamage(seed);
   }
 
   /**
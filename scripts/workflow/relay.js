@@ -0,0 +1,153 @@
+/**
+ * Player Relay
+ * Carries roll requests between clients over the module socket, so a workflow
+ * running on one client can have a target's owner - the player for a PC, the
+ * GM for an NPC - roll on their own client and send the result back.
+ */
+
+/** Module socket channel (requires `"socket": true` in module.json) */
+const CHANNEL = 'module.sw5e-helper-new';
+
+/** @type {Map<string, {userId: string, resolve: Function}>} Requests awaiting a response */
+const pending = new Map();
+
+export class PlayerRelay {
+  /** @type {WorkflowCoordinator|null} Coordinator whose responders answer requests */
+  static coordinator = null;
+
+  /**
+   * Listen on the module socket
+   * Safe to call more than once; only the first coordinator is used.
+   * @param {WorkflowCoordinator} coordinator - Coordinator with registered responders
+   */
+  static init(coordinator) {
+    if (this.coordinator) return;
+    this.coordinator = coordinator;
+    game.socket?.on(CHANNEL, (message) => this.onMessage(message));
+  }
+
+  /**
+   * Pick the user who should roll for an actor
+   * An active player owner rolls for their own actor; everything else (NPCs,
+   * actors whose owners are offline) goes to the active GM.
+   * @param {Actor|null} actor - Target actor
+   * @returns {User|null} Rolling user
+   */
+  static getRoller(actor) {
+    const users = Array.from(game.users ?? []);
+    const owner = actor && users.find(user => user.active && !user.isGM && actor.testUserPermission?.(user, 'OWNER'));
+    return owner || game.users?.activeGM || users.find(user => user.active && user.isGM) || null;
+  }
+
+  /**
+   * Ask another user's client to run a responder
+   * Resolves with the response, or with `{ ok: false, aborted: true }` when the
+   * signal fires first; never rejects.
+   * @param {string} userId - User who should respond
+   * @param {string} name - Responder name
+   * @param {Object} args - Responder arguments (JSON-serializable)
+   * @param {AbortSignal} [signal] - Stops waiting for the response
+   * @returns {Promise<{ok: boolean, result?: any, error?: string, aborted?: boolean}>} Response
+   */
+  static request(userId, name, args, signal) {
+    const requestId = foundry.utils.randomID();
+
+    return new Promise((resolve) => {
+      if (signal?.aborted) {
+        resolve({ ok: false, aborted: true });
+        return;
+      }
+
+      const onAbort = () => {
+        pending.delete(requestId);
+        resolve({ ok: false, aborted: true });
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      pending.set(requestId, {
+        userId,
+        resolve: (response) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(response);
+        }
+      });
+
+      this.emit({ type: 'request', requestId, userId, name, args });
+    });
+  }
+
+  /**
+   * Ask the client running a workflow to stop waiting for responses
+   * @param {string} workflowId - Execution ID
+   * @param {string} [nodeId] - Wait node, or every wait in the execution
+   */
+  static override(workflowId, nodeId) {
+    this.emit({ type: 'override', workflowId, nodeId });
+  }
+
+  /**
+   * Send a message on the module socket
+   * @param {Object} message - Message payload
+   */
+  static emit(message) {
+    game.socket?.emit(CHANNEL, { ...message, from: game.user?.id });
+  }
+
+  /**
+   * Handle a socket message
+   * @param {Object} message - Message payload
+   */
+  static async onMessage(message) {
+    const sender = game.users?.get(message?.from);
+    if (!sender) return;
+
+    switch (message.type) {
+      case 'request':
+        if (message.userId === game.user?.id) await this.respond(message);
+        break;
+
+      case 'response': {
+        const entry = pending.get(message.requestId);
+        if (message.userId !== game.user?.id || entry?.userId !== message.from) return;
+        pending.delete(message.requestId);
+        entry.resolve({ ok: message.ok, result: message.result, error: message.error });
+        break;
+      }
+
+      case 'override':
+        if (sender.isGM) this.coordinator?.stopWaits(message.workflowId, message.nodeId);
+        break;
+    }
+  }
+
+  /**
+   * Run a requested responder and send the result back
+   * @param {Object} message - Request message
+   */
+  static async respond(message) {
+    const reply = { type: 'response', requestId: message.requestId, userId: message.from };
+
+    try {
+      const responder = this.coordinator?.getResponder(message.name);
+      if (!responder) throw new Error(`Unknown responder: ${message.name}`);
+
+      const result = await responder.respond(message.args || {}, { userId: message.from });
+      this.emit({ ...reply, ok: true, result: this.serialize(result) });
+    } catch (error) {
+      this.emit({ ...reply, ok: false, error: error.message });
+    }
+  }
+
+  /**
+   * Convert a responder result to plain JSON for the socket
+   * Rolls serialize through their own toJSON and Maps become objects.
+   * @param {any} value - Responder result
+   * @returns {any} JSON-safe value
+   */
+  static serialize(value) {
+    const json = JSON.stringify(value, (key, v) => v instanceof Map ? Object.fromEntries(v) : v);
+    return json === undefined ? null : JSON.parse(json);
+  }
+}
+
+export default PlayerRelay;
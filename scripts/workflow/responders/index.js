@@ -0,0 +1,16 @@
+/**
+ * Responders module exports
+ * Responders back `waitFor` workflow nodes: `respond(request, sender)` runs on
+ * the client of the user asked to roll and resolves to that target's result.
+ * The resume token responder does GM-only bookkeeping for players instead.
+ */
+import { SaveResponder } from './save.js';
+import { ResumeTokenResponder } from './resume-token.js';
+
+export { SaveResponder } from './save.js';
+export { ResumeTokenResponder } from './resume-token.js';
+
+export default {
+  SaveResponder,
+  ResumeTokenResponder
+};
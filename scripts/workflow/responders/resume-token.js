@@ -0,0 +1,37 @@
+/**
+ * Resume Token Responder
+ * Consumes a resume token on the GM's client for a player resuming a workflow,
+ * since only GMs can write the world setting tokens are stored in
+ */
+
+import { StateManager } from '../../core/state/manager.js';
+import { PermissionChecker } from '../../core/actors/permissions.js';
+
+export class ResumeTokenResponder {
+  static name = "resumeToken";
+
+  /**
+   * Remove a token the requesting user may resume with
+   * @param {object} request - `{ token }`
+   * @param {object} sender - `{ userId }` of the requesting user
+   * @returns {Promise<boolean>} True if the token was stored and is now spent
+   */
+  static async respond({ token } = {}, { userId } = {}) {
+    if (!PermissionChecker.isGM()) {
+      throw new Error("Only a GM can consume resume tokens");
+    }
+
+    const data = await StateManager.retrieveResumeToken(token);
+    if (!data) return false;
+
+    const initiator = data.userId ?? data.context?.userId;
+    const requester = game.users?.get(userId);
+    if (!requester?.isGM && !data.shared && initiator !== userId) {
+      throw new Error("Resume token belongs to another user");
+    }
+
+    return StateManager.removeResumeToken(token);
+  }
+}
+
+export default ResumeTokenResponder;
@@ -0,0 +1,32 @@
+/**
+ * Save Responder
+ * Rolls a saving throw for one target on the client of the user who owns it,
+ * for `waitFor` nodes
+ */
+
+import { SaveAction } from '../actions/save.js';
+import { ActorResolver } from '../../core/actors/resolver.js';
+import { PermissionChecker } from '../../core/actors/permissions.js';
+
+export class SaveResponder {
+  static name = "save";
+
+  /**
+   * Roll the requested save
+   * @param {object} request - `{ targetId, config: { ability, dc } }`
+   * @returns {Promise<object>} Single save result (see SaveAction.executeSingleSave)
+   */
+  static async respond({ targetId, config = {} } = {}) {
+    const actor = ActorResolver.getTargetActor(targetId);
+    if (!actor) {
+      throw new Error(`Actor not found for target: ${targetId}`);
+    }
+    if (!PermissionChecker.isGM() && !PermissionChecker.hasOwnership(actor)) {
+      throw new Error(`You do not own ${actor.name}`);
+    }
+
+    return SaveAction.executeSingleSave(targetId, config.ability, config.dc);
+  }
+}
+
+export default SaveResponder;
@@ -0,0 +1,189 @@
+/**
+ * Workflow Simulation
+ * Sandbox for rehearsing a workflow. Dice come from a script or a seeded
+ * generator, actors are in-memory copies and chat messages are captured, so a
+ * run plays out in full without writing anything to the world.
+ */
+
+import { DiceRoller } from '../core/dice/roller.js';
+import { SeededProvider, SequenceProvider } from '../core/dice/random.js';
+import { ActorResolver } from '../core/actors/resolver.js';
+import { WorkflowChat } from './chat.js';
+
+/**
+ * Chat message captured instead of created
+ * Supports the message calls actions make after creating a card.
+ */
+class SimulatedMessage {
+  constructor(data = {}) {
+    Object.assign(this, data);
+    this.id = foundry.utils.randomID();
+    this.flags = data.flags || {};
+  }
+
+  async update(changes = {}) {
+    foundry.utils.mergeObject(this, changes);
+    return this;
+  }
+
+  async setFlag(scope, key, value) {
+    foundry.utils.setProperty(this.flags, `${scope}.${key}`, value);
+    return this;
+  }
+
+  getFlag(scope, key) {
+    return foundry.utils.getProperty(this.flags, `${scope}.${key}`);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      speaker: this.speaker,
+      whisper: this.whisper,
+      content: this.content,
+      flags: this.flags,
+      rolls: (this.rolls || []).map(roll => ({ formula: roll.formula, total: roll.total }))
+    };
+  }
+}
+
+export class WorkflowSimulation {
+  /** @type {WorkflowSimulation|null} Simulation installed on this client */
+  static active = null;
+
+  /**
+   * @param {Object} [options] - Simulation options
+   * @param {number[]} [options.dice] - Die faces to roll, in order, before the seed takes over
+   * @param {number|string} [options.seed] - Seed for unscripted dice (random when omitted, and reported)
+   * @param {Object} [options.inputs] - Context patches for input nodes by node ID (null cancels)
+   * @param {Object} [options.decisions] - Resume options for pause nodes, or "approve"/"reject" for approval nodes, by node ID
+   * @param {Object} [options.edits] - Approval edits (`{ amounts, mode }`) by node ID
+   */
+  constructor(options = {}) {
+    this.seed = options.seed ?? Math.floor(Math.random() * 2 ** 32);
+    this.sequence = new SequenceProvider(options.dice || []);
+    this.seeded = new SeededProvider(this.seed);
+    this.inputs = options.inputs || {};
+    this.decisions = options.decisions || {};
+    this.edits = options.edits || {};
+
+    /** @type {Array<{faces: number, result: number, scripted: boolean}>} Dice drawn so far */
+    this.dice = [];
+
+    /** @type {Map<string, Object>} Actor copies by UUID */
+    this.actors = new Map();
+
+    /** @type {SimulatedMessage[]} Captured chat messages */
+    this.messages = [];
+
+    this.uninstall = null;
+  }
+
+  /**
+   * Roll a die for DiceRoller: the next scripted face, else a seeded roll
+   * @param {number} faces - Die size
+   * @returns {number} Face rolled
+   */
+  next(faces) {
+    const scripted = this.sequence.remaining > 0;
+    const result = (scripted ? this.sequence : this.seeded).next(faces);
+    this.dice.push({ faces, result, scripted });
+    return result;
+  }
+
+  /**
+   * Get the in-memory copy standing in for an actor
+   * Copies are made on first use; their updates change only the copy and are
+   * recorded for the report.
+   * @param {Actor} actor - Live actor (or its copy)
+   * @returns {Actor} Actor copy
+   */
+  actor(actor) {
+    const key = actor.uuid || actor.id;
+    let entry = this.actors.get(key);
+    if (entry) return entry.copy;
+
+    const copy = actor.clone({}, { keepId: true });
+    entry = {
+      uuid: key,
+      id: actor.id,
+      name: actor.name,
+      hp: actor.system?.attributes?.hp?.value ?? null,
+      copy,
+      updates: []
+    };
+    copy.update = async (changes = {}) => {
+      copy.updateSource(changes);
+      entry.updates.push(foundry.utils.deepClone(changes));
+      return copy;
+    };
+
+    this.actors.set(key, entry);
+    return copy;
+  }
+
+  /**
+   * Capture a chat message instead of creating it
+   * @param {Object} data - Message data
+   * @returns {SimulatedMessage} Captured message
+   */
+  createMessage(data = {}) {
+    const message = new SimulatedMessage(data);
+    this.messages.push(message);
+    return message;
+  }
+
+  /**
+   * Route dice, actor lookups and workflow chat into this simulation
+   * Only messages posted through `WorkflowChat` are captured; other chat on
+   * the client is untouched. Only one simulation may be installed at a time;
+   * `restore()` undoes it.
+   */
+  install() {
+    if (WorkflowSimulation.active) {
+      throw new Error('Another workflow simulation is running');
+    }
+
+    const provider = DiceRoller.setProvider(this);
+    ActorResolver.sandbox = this;
+    WorkflowChat.sink = this;
+    WorkflowSimulation.active = this;
+
+    this.uninstall = () => {
+      DiceRoller.provider = provider;
+      ActorResolver.sandbox = null;
+      WorkflowChat.sink = null;
+      WorkflowSimulation.active = null;
+    };
+  }
+
+  /**
+   * Undo `install()`
+   */
+  restore() {
+    this.uninstall?.();
+    this.uninstall = null;
+  }
+
+  /**
+   * Predicted outcome of the run so far
+   * @returns {{seed: number|string, dice: Array, unusedDice: number[], actors: Array, messages: Array}} Report
+   */
+  report() {
+    return {
+      seed: this.seed,
+      dice: this.dice.map(die => ({ ...die })),
+      unusedDice: [...this.sequence.values],
+      actors: Array.from(this.actors.values()).map(entry => ({
+        uuid: entry.uuid,
+        id: entry.id,
+        name: entry.name,
+        hp: { before: entry.hp, after: entry.copy.system?.attributes?.hp?.value ?? null },
+        updates: entry.updates
+      })),
+      messages: this.messages.map(message => message.toJSON())
+    };
+  }
+}
+
+export default WorkflowSimulation;
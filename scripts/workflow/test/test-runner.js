@@ -4,6 +4,13 @@
  */
 
 import { WorkflowCoordinator } from '../coordinator.js';
+import { DiceRoller } from '../../core/dice/roller.js';
+import { CheckEvaluator } from '../../core/dice/evaluator.js';
+import { DamageAction } from '../actions/damage.js';
+import { ApplyAction } from '../actions/apply.js';
+import { PermissionChecker } from '../../core/actors/permissions.js';
+import { WorkflowChat } from '../chat.js';
+import { ConditionExpression, ExpressionError } from '../expressions.js';
 import { 
   ATTACK_WORKFLOW_DEFINITION, 
   WORKFLOW_CONDITIONS,
@@ -38,17 +45,10 @@ export class WorkflowTestRunner {
     // Register test action
     this.coordinator.registerAction('freezeTargets', FreezeTargetsAction);
 
-    // Extend condition evaluator
-    this.coordinator.evaluateCondition = (condition, context) => {
-      if (WORKFLOW_CONDITIONS[condition]) {
-        return WORKFLOW_CONDITIONS[condition](context);
-      }
-      
-      // Fallback to default evaluation
-      return this.coordinator.constructor.prototype.evaluateCondition.call(
-        this.coordinator, condition, context
-      );
-    };
+    // Register test conditions (bound so they can call each other)
+    for (const [name, condition] of Object.entries(WORKFLOW_CONDITIONS)) {
+      this.coordinator.registerCondition(name, condition.bind(WORKFLOW_CONDITIONS));
+    }
 
     // Define the test workflow
     this.coordinator.defineWorkflow(
@@ -115,6 +115,57 @@ export class WorkflowTestRunner {
       // Test 6: Error handling
       await this.testErrorHandling();
 
+      // Test 7: Deterministic dice
+      await this.testDeterministicDice();
+
+      // Test 8: Resume token binding, single use and stored context
+      await this.testResumeTokens();
+
+      // Test 9: Idempotency keys scoped to trigger and step
+      await this.testIdempotencyScope();
+
+      // Test 10: Pauses and approvals inside loop bodies and parallel branches
+      await this.testNestedPause();
+
+      // Test 11: Simulations capture workflow chat and script dice
+      await this.testSimulationSeams();
+
+      // Test 12: Loop and parallel bodies read parent results and are compensated
+      await this.testNestedCompensation();
+
+      // Test 13: Condition expression sandbox, lambdas and error positions
+      await this.testExpressions();
+
+      // Test 14: Static analysis of workflow graphs
+      await this.testStaticAnalysis();
+
+      // Test 15: Paused executions resume across workflow versions
+      await this.testWorkflowMigration();
+
+      // Test 16: Trace and metrics export
+      await this.testTraceExport();
+
+      // Test 17: Loops that fail partway roll back earlier iterations
+      await this.testPartialLoopCompensation();
+
+      // Test 18: Parallel join modes, branch scoping and loser cancellation
+      await this.testParallelJoins();
+
+      // Test 19: Node, dialog and workflow timeouts stop hanging work
+      await this.testTimeouts();
+
+      // Test 20: Error policies and onError routing
+      await this.testErrorPolicies();
+
+      // Test 21: Sub-workflow context passing and compensation
+      await this.testSubworkflow();
+
+      // Test 22: Retries, backoff and non-retryable failures
+      await this.testRetries();
+
+      // Test 23: Pre-hooks can change an action's input or veto it
+      await this.testPreHookVeto();
+
       // Generate test report
       this.generateTestReport();
 
@@ -217,7 +268,7 @@ export class WorkflowTestRunner {
     // Resume execution
     const resumeResult = await this.coordinator.execute(
       ATTACK_WORKFLOW_DEFINITION.name,
-      { ...context, modified: true }, // Test context merging
+      { ...context, modified: true }, // Ignored: resumes run on the stored context
       { 
         resumeToken: pauseResult.data.resumeToken,
         logLevel: 'debug' 
@@ -231,7 +282,6 @@ export class WorkflowTestRunner {
       details: {
         pausedAt: pauseResult.meta?.paused ? 'pauseForDamageReview' : 'unknown',
         resumedSuccessfully: resumeResult.ok,
-        contextMerged: resumeResult.context?.modified === true,
         errors: [...(pauseResult.errors || []), ...(resumeResult.errors || [])]
       }
     });
@@ -415,6 +465,1110 @@ export class WorkflowTestRunner {
     console.log('Error handling results:', errorResults);
   }
 
+  /**
+   * Test exact roll outcomes with sequenced and seeded dice
+   */
+  async testDeterministicDice() {
+    this.activeTest = 'Deterministic Dice Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const attack = (formula, sequence) => DiceRoller.withProvider({ sequence },
+      async () => CheckEvaluator.evaluateAttack(await DiceRoller.roll(formula), 15));
+
+    const crit = await attack('1d20+5', [20]);
+    const fumble = await attack('1d20+5', [1]);
+    const advantage = await attack('2d20kh1+5', [4, 17]);
+    const disadvantage = await attack('2d20kl1+5', [4, 17]);
+
+    // Brutal 1 on a crit: 2d8 doubled weapon dice plus one brutal d8, then STR
+    const brutal = await DiceRoller.withProvider({ sequence: [8, 7, 6] }, () => DamageAction.executeRoll({
+      actor: { system: { abilities: { str: { mod: 3 } } } },
+      item: { system: { damage: { parts: [['1d8', 'kinetic']] }, properties: { brutal: 1 } } },
+      targets: [{ ref: 'scene:target' }],
+      config: {},
+      critMap: { 'scene:target': true }
+    }));
+
+    const seeded = () => DiceRoller.withProvider({ seed: 'boss-round' },
+      async () => (await DiceRoller.rollMultiple(['1d20', '1d20', '4d6'], {}, { showDice: false })).map(roll => roll.total));
+    const [first, second] = [await seeded(), await seeded()];
+
+    const checks = {
+      crit: crit.critical && crit.natural === 20 && crit.total === 25,
+      fumble: fumble.fumble && !fumble.success,
+      advantage: advantage.natural === 17 && advantage.total === 22,
+      disadvantage: disadvantage.natural === 4 && disadvantage.total === 9,
+      brutal: brutal.singleTotal === 24,
+      seeded: JSON.stringify(first) === JSON.stringify(second),
+      restored: DiceRoller.provider === null
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, seededTotals: first }
+    });
+
+    console.log('Deterministic dice results:', checks);
+  }
+
+  /**
+   * Test that resume tokens are user-bound, single-use and resume on the
+   * context they were issued with
+   */
+  async testResumeTokens() {
+    this.activeTest = 'Resume Token Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    let probed = null;
+    this.coordinator.registerAction('probeContext', {
+      name: 'probeContext',
+      validate: () => {},
+      checkPermission: () => {},
+      execute: async (context) => {
+        probed = { damage: context.config?.damage, targetIds: context.targetIds, forged: context.results?.forged };
+        return { ok: true, type: 'probeContext', data: {}, errors: [], warnings: [], meta: {} };
+      }
+    });
+    this.coordinator.defineWorkflow('resumeTokenTest', {
+      name: 'resumeTokenTest',
+      start: 'hold',
+      nodes: {
+        hold: { type: 'pause', message: 'Resume token test', next: 'probe' },
+        probe: { type: 'action', action: 'probeContext', idempotent: false, next: 'end' },
+        end: { type: 'end' }
+      }
+    });
+    const workflow = this.coordinator.getWorkflow('resumeTokenTest');
+
+    const paused = await this.coordinator.execute('resumeTokenTest', { targetIds: ['target1'], config: { damage: 5 } });
+    const token = paused.data?.resumeToken;
+
+    // Attempt to resume with forged results, config and targets
+    const resumed = await this.coordinator.execute('resumeTokenTest', {
+      results: { forged: true },
+      config: { damage: 999 },
+      targetIds: ['forged']
+    }, { resumeToken: token });
+    const reused = await this.coordinator.execute('resumeTokenTest', {}, { resumeToken: token });
+
+    // A token issued to another user can't be resumed by a player
+    const foreign = await this.coordinator.generateResumeToken(workflow, 'hold', { userId: 'another-user', targetIds: [] });
+    const isGM = PermissionChecker.isGM;
+    let foreignCode = null;
+    PermissionChecker.isGM = () => false;
+    try {
+      await this.coordinator.validateResumeToken(foreign);
+    } catch (error) {
+      foreignCode = error.code;
+    } finally {
+      PermissionChecker.isGM = isGM;
+      await this.coordinator.purgeResumeToken(foreign);
+    }
+
+    const checks = {
+      paused: !!token && token.length === 32,
+      resumed: resumed.ok,
+      contextIgnored: probed?.damage === 5 && probed?.targetIds?.[0] === 'target1' && probed?.forged === undefined,
+      singleUse: !reused.ok && reused.meta?.code === 'RESUME_ERROR',
+      userBound: foreignCode === 'PERMISSION_ERROR'
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, errors: [...(resumed.errors || []), ...(reused.errors || [])] }
+    });
+
+    console.log('Resume token results:', checks);
+  }
+
+  /**
+   * Test that repeats within a run execute while duplicate triggers dedupe
+   */
+  async testIdempotencyScope() {
+    this.activeTest = 'Idempotency Scope Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    let runs = 0;
+    this.coordinator.registerAction('countRuns', {
+      name: 'countRuns',
+      validate: () => {},
+      checkPermission: () => {},
+      idempotencyKey: () => 'same-input',
+      execute: async () => {
+        runs++;
+        return { ok: true, type: 'countRuns', data: { runs }, errors: [], warnings: [], meta: {} };
+      }
+    });
+    this.coordinator.defineWorkflow('idempotencyScopeTest', {
+      name: 'idempotencyScopeTest',
+      start: 'first',
+      nodes: {
+        first: { type: 'action', action: 'countRuns', next: 'second' },
+        second: { type: 'action', action: 'countRuns', next: 'repeat' },
+        repeat: {
+          type: 'loop',
+          count: 3,
+          body: { start: 'step', nodes: { step: { type: 'action', action: 'countRuns', next: 'done' }, done: { type: 'end' } } },
+          next: 'end'
+        },
+        end: { type: 'end' }
+      }
+    });
+
+    const fresh = await this.coordinator.execute('idempotencyScopeTest', {});
+    const perRun = runs;
+    await this.coordinator.execute('idempotencyScopeTest', {});
+    const separateRuns = runs;
+
+    // Two executions started from the same card are a double click
+    const messageId = foundry.utils.randomID();
+    await this.coordinator.execute('idempotencyScopeTest', { messageId });
+    const clicked = runs;
+    const duplicate = await this.coordinator.execute('idempotencyScopeTest', { messageId });
+
+    const amounts = (a) => ApplyAction.idempotencyKey({ messageId, targetIds: ['t1'], config: { damage: 8, amounts: { t1: a } } });
+
+    const checks = {
+      repeatsRun: fresh.ok && perRun === 5,
+      executionsRun: separateRuns === 10,
+      doubleClickDeduped: duplicate.ok && runs === clicked,
+      applyAmountsKeyed: amounts(4) !== amounts(8)
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, runs, errors: [...(fresh.errors || []), ...(duplicate.errors || [])] }
+    });
+
+    console.log('Idempotency scope results:', checks);
+  }
+
+  /**
+   * Test that pauses and approvals nested in loops and branches fail instead
+   * of issuing tokens
+   */
+  async testNestedPause() {
+    this.activeTest = 'Nested Pause Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    let runs = 0;
+    this.coordinator.registerAction('countIterations', {
+      name: 'countIterations',
+      validate: () => {},
+      checkPermission: () => {},
+      execute: async () => {
+        runs++;
+        return { ok: true, type: 'countIterations', data: { runs }, errors: [], warnings: [], meta: {} };
+      }
+    });
+
+    const body = {
+      start: 'count',
+      nodes: {
+        count: { type: 'action', action: 'countIterations', idempotent: false, next: 'wait' },
+        wait: { type: 'pause', message: 'Nested pause', next: 'done' },
+        done: { type: 'end' }
+      }
+    };
+    const loopGraph = {
+      name: 'nestedPauseLoopTest',
+      start: 'repeat',
+      nodes: { repeat: { type: 'loop', count: 3, body, next: 'end' }, end: { type: 'end' } }
+    };
+    const parallelGraph = {
+      name: 'nestedPauseParallelTest',
+      start: 'fanOut',
+      nodes: { fanOut: { type: 'parallel', branches: [{ name: 'waits', ...body }], next: 'end' }, end: { type: 'end' } }
+    };
+
+    const approvalBody = {
+      start: 'review',
+      nodes: {
+        review: { type: 'approval', next: 'apply', onReject: 'done' },
+        apply: { type: 'action', action: 'countIterations', idempotent: false, next: 'done' },
+        done: { type: 'end' }
+      }
+    };
+    const approvalGraph = {
+      name: 'nestedApprovalTest',
+      start: 'fanOut',
+      nodes: { fanOut: { type: 'parallel', branches: [{ name: 'reviews', ...approvalBody }], next: 'end' }, end: { type: 'end' } }
+    };
+
+    const report = this.coordinator.analyzeWorkflow(loopGraph);
+    const approvalReport = this.coordinator.analyzeWorkflow({
+      name: 'nestedApprovalLoopTest',
+      start: 'repeat',
+      nodes: { repeat: { type: 'loop', count: 2, body: approvalBody, next: 'end' }, end: { type: 'end' } }
+    });
+
+    // Register directly: defineWorkflow would reject these graphs up front
+    this.coordinator.workflows.set(loopGraph.name, loopGraph);
+    this.coordinator.workflows.set(parallelGraph.name, parallelGraph);
+    this.coordinator.workflows.set(approvalGraph.name, approvalGraph);
+
+    const looped = await this.coordinator.execute(loopGraph.name, {});
+    const loopRuns = runs;
+    const branched = await this.coordinator.execute(parallelGraph.name, {});
+    const branchRuns = runs;
+    const reviewed = await this.coordinator.execute(approvalGraph.name, {});
+
+    const checks = {
+      analyzerRejects: !report.ok && report.errors.some(e => e.code === 'NESTED_PAUSE'),
+      loopFails: !looped.ok && !looped.data?.resumeToken,
+      loopStops: loopRuns === 1,
+      branchFails: !branched.ok && !branched.data?.resumeToken,
+      analyzerRejectsApproval: !approvalReport.ok && approvalReport.errors.some(e => e.code === 'NESTED_APPROVAL'),
+      approvalFails: !reviewed.ok && !reviewed.data?.resumeToken,
+      approvalNotApplied: runs === branchRuns
+    };
+
+    this.coordinator.workflows.delete(loopGraph.name);
+    this.coordinator.workflows.delete(parallelGraph.name);
+    this.coordinator.workflows.delete(approvalGraph.name);
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, errors: [...(looped.errors || []), ...(branched.errors || []), ...(reviewed.errors || [])] }
+    });
+
+    console.log('Nested pause results:', checks);
+  }
+
+  /**
+   * Test that a simulation captures only workflow chat and scripts dice
+   * through the provider
+   */
+  async testSimulationSeams() {
+    this.activeTest = 'Simulation Seams Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const create = ChatMessage.create;
+    let chatUntouched = false;
+    this.coordinator.registerAction('postCard', {
+      name: 'postCard',
+      validate: () => {},
+      checkPermission: () => {},
+      execute: async () => {
+        chatUntouched = ChatMessage.create === create;
+        const roll = await DiceRoller.roll('1d20+2');
+        await WorkflowChat.create({ content: `Simulated card ${roll.total}` });
+        return { ok: true, type: 'postCard', data: { total: roll.total }, errors: [], warnings: [], meta: {}, rolls: [roll] };
+      }
+    });
+    this.coordinator.defineWorkflow('simulationSeamsTest', {
+      name: 'simulationSeamsTest',
+      start: 'post',
+      nodes: { post: { type: 'action', action: 'postCard', next: 'end' }, end: { type: 'end' } }
+    });
+
+    const result = await this.coordinator.execute('simulationSeamsTest', {}, { simulate: { dice: [12] } });
+    const messages = result.meta?.simulation?.messages || [];
+
+    const checks = {
+      completed: result.ok,
+      chatUntouched,
+      cardCaptured: messages.length === 1 && messages[0].content === 'Simulated card 14',
+      diceScripted: result.data?.results?.postCard?.data?.total === 14,
+      restored: WorkflowChat.sink === null && DiceRoller.provider === null
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, errors: result.errors || [] }
+    });
+
+    console.log('Simulation seams results:', checks);
+  }
+
+  /**
+   * Test that loop and parallel bodies read the parent's results without
+   * writing to them, and that their steps are compensated by a later failure
+   */
+  async testNestedCompensation() {
+    this.activeTest = 'Nested Compensation Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const seen = [];
+    const compensated = [];
+    const step = (name, execute) => ({
+      name,
+      validate: () => {},
+      checkPermission: () => {},
+      execute,
+      compensate: async (context) => {
+        compensated.push(context.loop ? `${name}:${context.loop.index}` : context.branch ? `${name}:${context.branch.name}` : name);
+      }
+    });
+    const ok = (type, data = {}) => ({ ok: true, type, data, errors: [], warnings: [], meta: {} });
+
+    this.coordinator.registerAction('seedResults', step('seedResults', async () => ok('seedResults', { value: 7 })));
+    this.coordinator.registerAction('readResults', step('readResults', async (context) => {
+      seen.push(context.results.seedResults?.data?.value);
+      return ok('readResults');
+    }));
+    this.coordinator.registerAction('failLate', {
+      name: 'failLate',
+      validate: () => {},
+      checkPermission: () => {},
+      execute: async () => { throw new Error('Late failure'); }
+    });
+
+    const body = { start: 'read', nodes: { read: { type: 'action', action: 'readResults', idempotent: false, next: 'done' }, done: { type: 'end' } } };
+    this.coordinator.defineWorkflow('nestedCompensationTest', {
+      name: 'nestedCompensationTest',
+      start: 'seed',
+      nodes: {
+        seed: { type: 'action', action: 'seedResults', next: 'repeat' },
+        repeat: { type: 'loop', count: 2, body, next: 'fanOut' },
+        fanOut: { type: 'parallel', branches: [{ name: 'left', ...body }, { name: 'right', ...body }], next: 'fail' },
+        fail: { type: 'action', action: 'failLate', errorPolicy: 'compensate-and-stop', next: 'end' },
+        end: { type: 'end' }
+      }
+    });
+
+    const result = await this.coordinator.execute('nestedCompensationTest', {});
+    const iterations = result.data?.results?.repeat?.iterations || [];
+
+    const checks = {
+      failed: !result.ok,
+      readsParent: seen.length === 4 && seen.every(value => value === 7),
+      iterationsOwnResults: iterations.length === 2 && iterations.every(i => Object.keys(i.results).join() === 'readResults'),
+      parentUntouched: !result.data?.results?.readResults,
+      bodiesCompensated: ['readResults:0', 'readResults:1', 'readResults:left', 'readResults:right'].every(s => compensated.includes(s)),
+      lifo: compensated.at(-1) === 'seedResults' && compensated.indexOf('readResults:right') < compensated.indexOf('readResults:1')
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, compensated, errors: result.errors || [] }
+    });
+
+    console.log('Nested compensation results:', checks);
+  }
+
+  /**
+   * Test the condition expression sandbox
+   */
+  async testExpressions() {
+    this.activeTest = 'Condition Expressions Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const ctx = { list: [{ status: 'hit', hp: 1 }, { status: 'crit', hp: 5 }] };
+    const evaluate = (source, scope = ctx) => ConditionExpression.evaluate(ConditionExpression.parse(source), { ctx: scope, source });
+    const parseError = (source) => {
+      try {
+        ConditionExpression.parse(source);
+        return null;
+      } catch (error) {
+        return error instanceof ExpressionError ? error : null;
+      }
+    };
+
+    const checks = {
+      protoBlocked: evaluate('ctx.__proto__') === undefined && evaluate("ctx['__proto__']") === undefined,
+      constructorBlocked: evaluate('ctx.constructor') === undefined && evaluate('ctx.list.constructor') === undefined,
+      methodCallRejected: /Only helper functions/.test(parseError('ctx.list.map(t => t)')?.message),
+      unknownHelperRejected: /Unknown helper 'alert'/.test(parseError('alert(1)')?.message),
+      lambdas: evaluate("any(ctx.list, t => t.status == 'crit')") === true
+        && evaluate('count(ctx.list, (t) => t.hp > 2)') === 1
+        && evaluate('sum(ctx.list, t => t.hp)') === 6,
+      bareLambdaRejected: !!parseError('t => t'),
+      errorPositions: parseError('ctx.a == ')?.position === 9
+        && parseError('ctx.a # 1')?.position === 6
+        && parseError("ctx.a == 'x")?.position === 9,
+      strictEquality: evaluate("'1' == 1") === false && evaluate('0 == false') === false,
+      nullEqualsUndefined: evaluate('ctx.missing == null') === true && evaluate('ctx.missing === null') === false
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks }
+    });
+
+    console.log('Condition expression results:', checks);
+  }
+
+  /**
+   * Test that the analyzer reports graph errors and warnings, and that
+   * defineWorkflow refuses graphs with errors
+   */
+  async testStaticAnalysis() {
+    this.activeTest = 'Static Analysis Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const codes = (report) => [...report.errors, ...report.warnings].map(diagnostic => diagnostic.code);
+
+    const broken = this.coordinator.analyzeWorkflow({
+      name: 'analysisBrokenTest',
+      start: 'check',
+      nodes: {
+        check: { type: 'conditional', condition: 'len(ctx.targetIds) >', onTrue: 'missing', onFalse: 'spin' },
+        spin: { type: 'action', action: 'noSuchAction', next: 'spin' },
+        orphan: { type: 'end' }
+      }
+    });
+
+    const valid = this.coordinator.analyzeWorkflow({
+      name: 'analysisValidTest',
+      start: 'check',
+      nodes: {
+        check: { type: 'conditional', condition: "any(ctx.targetIds, t => t == 'a')", onTrue: 'done', onFalse: 'done' },
+        done: { type: 'end' }
+      }
+    });
+
+    let rejected = null;
+    try {
+      this.coordinator.defineWorkflow('analysisBrokenTest', { start: 'nowhere', nodes: { done: { type: 'end' } } });
+    } catch (error) {
+      rejected = error;
+    }
+
+    const checks = {
+      errorsReported: !broken.ok && ['INVALID_CONDITION', 'UNKNOWN_TARGET', 'UNBOUNDED_CYCLE'].every(code => codes(broken).includes(code)),
+      warningsReported: ['UNKNOWN_ACTION', 'UNREACHABLE'].every(code => codes(broken).includes(code)),
+      nodesNamed: broken.errors.find(e => e.code === 'UNKNOWN_TARGET')?.nodeId === 'check',
+      validPasses: valid.ok && valid.errors.length === 0,
+      defineRejects: rejected?.code === 'VALIDATION_ERROR' && !!rejected.diagnostics?.length && !this.coordinator.getWorkflow('analysisBrokenTest')
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, diagnostics: codes(broken) }
+    });
+
+    console.log('Static analysis results:', checks);
+  }
+
+  /**
+   * Test that executions paused under an earlier version resume through the
+   * current graph's migrations, or on their own version
+   */
+  async testWorkflowMigration() {
+    this.activeTest = 'Workflow Migration Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const ran = [];
+    this.coordinator.registerAction('markVersion', {
+      name: 'markVersion',
+      validate: () => {},
+      checkPermission: () => {},
+      execute: async (context) => {
+        ran.push(context.config.mark);
+        return { ok: true, type: 'markVersion', data: {}, errors: [], warnings: [], meta: {} };
+      }
+    });
+
+    const graph = (version, pauseId, mark, migrations) => ({
+      name: 'migrationTest',
+      version,
+      start: pauseId,
+      nodes: {
+        [pauseId]: { type: 'pause', message: 'Migration test', next: 'mark' },
+        mark: { type: 'action', action: 'markVersion', config: { mark }, idempotent: false, next: 'end' },
+        end: { type: 'end' }
+      },
+      ...(migrations ? { migrations } : {})
+    });
+
+    this.coordinator.defineWorkflow('migrationTest', graph('1.0.0', 'hold', 'v1'));
+    const first = await this.coordinator.execute('migrationTest', {});
+    const second = await this.coordinator.execute('migrationTest', {});
+
+    // 1.1.0 renames the pause node; 1.2.0 drops the 1.0.0 pause entirely
+    this.coordinator.defineWorkflow('migrationTest', graph('1.1.0', 'wait', 'v1.1', { '1.0.0': { hold: 'wait' } }));
+    const migrated = await this.coordinator.execute('migrationTest', {}, { resumeToken: first.data?.resumeToken });
+
+    this.coordinator.defineWorkflow('migrationTest', graph('1.2.0', 'wait', 'v1.2', { '1.0.0': { hold: null } }));
+    const removed = await this.coordinator.execute('migrationTest', {}, { resumeToken: second.data?.resumeToken });
+
+    const third = await this.coordinator.execute('migrationTest', {});
+    this.coordinator.defineWorkflow('migrationTest', graph('1.3.0', 'wait', 'v1.3'));
+    const pinned = await this.coordinator.execute('migrationTest', {}, { resumeToken: third.data?.resumeToken });
+
+    const checks = {
+      versionsKept: ['1.0.0', '1.1.0', '1.2.0', '1.3.0'].every(v => this.coordinator.listWorkflowVersions('migrationTest').includes(v)),
+      migrated: migrated.ok && ran[0] === 'v1.1',
+      removedNodeFails: !removed.ok && removed.meta?.code === 'RESUME_ERROR',
+      unmigratedFinishesOnOwnVersion: pinned.ok && ran[1] === 'v1.2',
+      ranOnce: ran.length === 2
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, ran, errors: [...(migrated.errors || []), ...(pinned.errors || [])] }
+    });
+
+    console.log('Workflow migration results:', checks);
+  }
+
+  /**
+   * Test that an execution's trace exports with nested node spans and metrics
+   */
+  async testTraceExport() {
+    this.activeTest = 'Trace Export Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    this.coordinator.registerAction('traceStep', {
+      name: 'traceStep',
+      validate: () => {},
+      checkPermission: () => {},
+      execute: async () => ({ ok: true, type: 'traceStep', data: {}, errors: [], warnings: [], meta: {} })
+    });
+    this.coordinator.defineWorkflow('traceExportTest', {
+      name: 'traceExportTest',
+      start: 'repeat',
+      nodes: {
+        repeat: {
+          type: 'loop',
+          count: 2,
+          body: { start: 'step', nodes: { step: { type: 'action', action: 'traceStep', idempotent: false, next: 'done' }, done: { type: 'end' } } },
+          next: 'end'
+        },
+        end: { type: 'end' }
+      }
+    });
+
+    const result = await this.coordinator.execute('traceExportTest', {});
+    const exported = JSON.parse(this.coordinator.exportTraces(result.meta?.workflowId));
+    const [trace] = exported.traces;
+    const spans = trace?.spans || [];
+    const root = spans.find(span => span.name === 'workflow:traceExportTest');
+    const loop = spans.find(span => span.name === 'node:repeat');
+    const steps = spans.filter(span => span.name === 'node:step');
+
+    const checks = {
+      oneTrace: exported.traces.length === 1 && !!exported.exported,
+      rootSpan: !!root && root.parentId === null && root.duration !== null,
+      nested: loop?.parentId === root?.spanId && steps.length === 2 && steps.every(span => span.parentId === loop.spanId),
+      spansClosed: spans.every(span => span.end !== null && typeof span.attributes.writes === 'number'),
+      metrics: exported.metrics['action:traceStep']?.count >= 2 && exported.metrics['workflow:traceExportTest']?.count >= 1
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, spans: spans.map(span => span.name) }
+    });
+
+    console.log('Trace export results:', checks);
+  }
+
+  /**
+   * Test that a loop failing partway rolls back the iterations that finished
+   */
+  async testPartialLoopCompensation() {
+    this.activeTest = 'Partial Loop Compensation Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const applied = [];
+    const compensated = [];
+    this.registerScriptedAction('applyTarget', async (context) => {
+      applied.push(context.targetIds[0]);
+    }, async (context) => {
+      compensated.push(context.targetIds[0]);
+    });
+    this.registerScriptedAction('checkTarget', async (context) => {
+      if (context.targetIds[0] === 't2') throw new Error('Target t2 resisted');
+    });
+
+    this.coordinator.defineWorkflow('partialLoopTest', {
+      name: 'partialLoopTest',
+      start: 'each',
+      nodes: {
+        each: {
+          type: 'loop',
+          over: 'targetIds',
+          perTarget: true,
+          errorPolicy: 'compensate-and-stop',
+          body: {
+            start: 'apply',
+            nodes: {
+              apply: { type: 'action', action: 'applyTarget', idempotent: false, next: 'check' },
+              check: { type: 'action', action: 'checkTarget', idempotent: false, next: 'done' },
+              done: { type: 'end' }
+            }
+          },
+          next: 'end'
+        },
+        end: { type: 'end' }
+      }
+    });
+
+    const result = await this.coordinator.execute('partialLoopTest', { targetIds: ['t1', 't2'] });
+
+    const checks = {
+      failed: !result.ok,
+      bothApplied: applied.join() === 't1,t2',
+      allRolledBack: [...compensated].sort().join() === 't1,t2',
+      lifo: compensated.join() === 't2,t1'
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, applied, compensated, errors: result.errors || [] }
+    });
+
+    console.log('Partial loop compensation results:', checks);
+  }
+
+  /**
+   * Test parallel join modes, scoped branch results and first-success
+   * cancellation of a branch that is still running
+   */
+  async testParallelJoins() {
+    this.activeTest = 'Parallel Joins Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const compensated = [];
+    let slowAborted = false;
+    this.registerScriptedAction('markBranch', async (context) => ({ branch: context.branch.name }), async (context) => {
+      compensated.push(context.branch.name);
+    });
+    this.registerScriptedAction('failBranch', async (context) => {
+      throw new Error(`Branch ${context.branch.name} failed`);
+    });
+    this.registerScriptedAction('slowBranch', async (context, { signal }) => {
+      await new Promise(resolve => {
+        const timer = setTimeout(resolve, 1500);
+        signal?.addEventListener('abort', () => {
+          slowAborted = true;
+          clearTimeout(timer);
+          resolve();
+        }, { once: true });
+      });
+      return { branch: context.branch.name };
+    });
+
+    const branch = (name, ...actions) => ({
+      name,
+      start: 'step0',
+      nodes: Object.fromEntries([
+        ...actions.map((action, i) => [`step${i}`, { type: 'action', action, idempotent: false, next: i + 1 < actions.length ? `step${i + 1}` : 'done' }]),
+        ['done', { type: 'end' }]
+      ])
+    });
+    const define = (name, join, branches) => this.coordinator.defineWorkflow(name, {
+      name,
+      start: 'fanOut',
+      nodes: {
+        fanOut: { type: 'parallel', join, branches, errorPolicy: 'compensate-and-stop', next: 'end' },
+        end: { type: 'end' }
+      }
+    });
+
+    define('parallelAllTest', 'all', [branch('x', 'markBranch'), branch('y', 'markBranch', 'failBranch')]);
+    define('parallelAnyTest', 'any', [branch('x', 'failBranch'), branch('y', 'markBranch')]);
+    define('parallelFirstTest', 'first-success', [branch('fast', 'markBranch'), branch('slow', 'slowBranch')]);
+
+    const all = await this.coordinator.execute('parallelAllTest', {});
+    const allCompensated = [...compensated].sort().join();
+    compensated.length = 0;
+
+    const any = await this.coordinator.execute('parallelAnyTest', {});
+    const anyResults = any.data?.results || {};
+
+    const started = Date.now();
+    const first = await this.coordinator.execute('parallelFirstTest', {});
+    const elapsed = Date.now() - started;
+    const firstResults = first.data?.results || {};
+
+    const checks = {
+      allFails: !all.ok,
+      allCompensatesSiblings: allCompensated === 'x,y',
+      anySucceeds: any.ok && any.warnings.some(w => /Branch x/.test(w)),
+      branchResultsScoped: anyResults.y?.markBranch?.data?.branch === 'y' && !anyResults.markBranch,
+      firstSuccessWins: first.ok && firstResults.fast?.markBranch?.data?.branch === 'fast',
+      loserCancelled: slowAborted && elapsed < 1000,
+      loserResultsDropped: !firstResults.slow
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: elapsed,
+      details: { checks, errors: [...all.errors, ...any.errors, ...first.errors] }
+    });
+
+    console.log('Parallel join results:', checks);
+  }
+
+  /**
+   * Test node, dialog and whole-workflow timeouts against work that never
+   * settles on its own, and that timed-out runs leave no active execution
+   */
+  async testTimeouts() {
+    this.activeTest = 'Timeouts Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const aborted = [];
+    const hang = (label) => (signal) => new Promise(resolve => {
+      signal?.addEventListener('abort', () => {
+        aborted.push(label);
+        resolve(null);
+      }, { once: true });
+    });
+    this.registerScriptedAction('hangForever', (context, { signal }) => hang(context.label)(signal));
+    this.coordinator.registerDialog('hangingDialog', { prompt: (context, { signal }) => hang('dialog')(signal) });
+
+    const single = (name, node, config = {}) => this.coordinator.defineWorkflow(name, {
+      name,
+      start: 'wait',
+      nodes: { wait: { ...node, errorPolicy: 'stop', next: 'end' }, end: { type: 'end' } },
+      config
+    });
+    single('nodeTimeoutTest', { type: 'action', action: 'hangForever', idempotent: false, timeout: 50 });
+    single('workflowTimeoutTest', { type: 'action', action: 'hangForever', idempotent: false, timeout: 0 });
+    single('dialogTimeoutTest', { type: 'input', dialog: 'hangingDialog' }, { nodeTimeout: 50 });
+
+    const activeBefore = this.coordinator.activeExecutions.size;
+    const started = Date.now();
+    const node = await this.coordinator.execute('nodeTimeoutTest', { label: 'node' });
+    const workflow = await this.coordinator.execute('workflowTimeoutTest', { label: 'workflow' }, { timeout: 50 });
+    const dialog = await this.coordinator.execute('dialogTimeoutTest', {});
+    const elapsed = Date.now() - started;
+
+    const checks = {
+      nodeTimedOut: !node.ok && node.errors.some(e => /timed out after 50ms/.test(e)),
+      workflowTimedOut: !workflow.ok && workflow.errors.some(e => /Workflow workflowTimeoutTest timed out/.test(e)),
+      dialogUsesNodeTimeout: !dialog.ok && dialog.errors.some(e => /Dialog hangingDialog timed out/.test(e)),
+      workAborted: ['node', 'workflow', 'dialog'].every(label => aborted.includes(label)),
+      prompt: elapsed < 1000,
+      executionsCleared: this.coordinator.activeExecutions.size === activeBefore
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: elapsed,
+      details: { checks, aborted, errors: [...node.errors, ...workflow.errors, ...dialog.errors] }
+    });
+
+    console.log('Timeout results:', checks);
+  }
+
+  /**
+   * Test the continue, stop and compensate-and-stop error policies, and
+   * routing a failed node to its onError target
+   */
+  async testErrorPolicies() {
+    this.activeTest = 'Error Policies Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    let ran = [];
+    let compensated = [];
+    for (const name of ['policyFirst', 'policyAfter', 'policyRecover']) {
+      this.registerScriptedAction(name, async () => { ran.push(name); }, async () => { compensated.push(name); });
+    }
+    this.registerScriptedAction('policyFail', async () => { throw new Error('Policy step failed'); });
+
+    const define = (name, failNode, config = {}) => this.coordinator.defineWorkflow(name, {
+      name,
+      start: 'first',
+      nodes: {
+        first: { type: 'action', action: 'policyFirst', idempotent: false, next: 'fail' },
+        fail: { type: 'action', action: 'policyFail', idempotent: false, next: 'after', ...failNode },
+        after: { type: 'action', action: 'policyAfter', idempotent: false, next: 'end' },
+        recover: { type: 'action', action: 'policyRecover', idempotent: false, next: 'end' },
+        end: { type: 'end' }
+      },
+      config
+    });
+    define('policyContinueTest', { errorPolicy: 'continue' });
+    define('policyOnErrorTest', { onError: 'recover' });
+    define('policyStopTest', { errorPolicy: 'stop' });
+    define('policyDefaultTest', {});
+    define('policyConfigTest', {}, { errorPolicy: 'stop' });
+
+    const run = async (name) => {
+      ran = [];
+      compensated = [];
+      const result = await this.coordinator.execute(name, {});
+      return { result, ran: ran.join(), compensated: compensated.join(), policy: result.meta?.failures?.[0]?.policy };
+    };
+
+    const cont = await run('policyContinueTest');
+    const onError = await run('policyOnErrorTest');
+    const stop = await run('policyStopTest');
+    const fallback = await run('policyDefaultTest');
+    const config = await run('policyConfigTest');
+
+    const checks = {
+      continueRunsNext: cont.result.ok && cont.ran === 'policyFirst,policyAfter'
+        && cont.result.warnings.some(w => /^fail: Policy step failed/.test(w)),
+      onErrorRoutes: onError.result.ok && onError.ran === 'policyFirst,policyRecover' && onError.policy === 'continue',
+      stopHalts: !stop.result.ok && stop.ran === 'policyFirst' && stop.compensated === '',
+      compensateByDefault: !fallback.result.ok && fallback.policy === 'compensate-and-stop' && fallback.compensated === 'policyFirst',
+      graphDefault: !config.result.ok && config.policy === 'stop' && config.compensated === ''
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, errors: [cont, onError, stop, fallback, config].flatMap(r => r.result.errors || []) }
+    });
+
+    console.log('Error policy results:', checks);
+  }
+
+  /**
+   * Test a sub-workflow node: mapped and inherited input, the child's results
+   * returned to the parent, and the child's steps rolled back when the parent
+   * fails afterwards
+   */
+  async testSubworkflow() {
+    this.activeTest = 'Sub-workflow Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const compensated = [];
+    let childSaw = null;
+    let parentSaw = null;
+    const undo = (name) => async () => { compensated.push(name); };
+
+    this.registerScriptedAction('parentSeed', async () => ({ value: 21 }), undo('parentSeed'));
+    this.registerScriptedAction('childDouble', async (context) => {
+      childSaw = { value: context.value, targetIds: context.targetIds, parent: context.parent?.nodeId };
+      return { doubled: context.value * 2 };
+    }, undo('childDouble'));
+    this.registerScriptedAction('parentUse', async (context) => {
+      parentSaw = context.results.child?.data?.results?.childDouble?.data?.doubled;
+    }, undo('parentUse'));
+    this.registerScriptedAction('parentFail', async () => { throw new Error('Parent failed after child'); });
+
+    this.coordinator.defineWorkflow('childFlowTest', {
+      name: 'childFlowTest',
+      start: 'double',
+      nodes: {
+        double: { type: 'action', action: 'childDouble', idempotent: false, next: 'end' },
+        end: { type: 'end' }
+      }
+    });
+    this.coordinator.defineWorkflow('parentFlowTest', {
+      name: 'parentFlowTest',
+      start: 'seed',
+      nodes: {
+        seed: { type: 'action', action: 'parentSeed', idempotent: false, next: 'child' },
+        child: { type: 'subworkflow', workflow: 'childFlowTest', output: 'child', input: { value: 'results.parentSeed.data.value' }, next: 'use' },
+        use: { type: 'action', action: 'parentUse', idempotent: false, next: 'fail' },
+        fail: { type: 'action', action: 'parentFail', idempotent: false, errorPolicy: 'compensate-and-stop', next: 'end' },
+        end: { type: 'end' }
+      }
+    });
+
+    const result = await this.coordinator.execute('parentFlowTest', { targetIds: ['t1'] });
+    const results = result.data?.results || {};
+
+    const checks = {
+      failed: !result.ok,
+      inputMapped: childSaw?.value === 21 && childSaw.parent === 'child',
+      contextInherited: childSaw?.targetIds?.join() === 't1',
+      outputReturned: parentSaw === 42,
+      childScoped: !results.childDouble,
+      childCompensated: compensated.join() === 'parentUse,childDouble,parentSeed'
+    };
+
+    this.testResults.push({
+      name: this.activeTest,
+      success: Object.values(checks).every(Boolean),
+      duration: 0,
+      details: { checks, compensated, errors: result.errors || [] }
+    });
+
+    console.log('Sub-workflow results:', checks);
+  }
+
+  /**
+   * Test node retry policies: a flaky action that succeeds on its third try
+   * with doubling backoff, exhausted attempts, and failures that must not be
+   * retried
+   */
+  async testRetries() {
+    this.activeTest = 'Retry Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    const calls = {};
+    const failing = (name, failures, code) => {
+      this.coordinator.registerAction(name, {
+        name,
+        validate: () => {},
+        checkPermission: () => {},
+        execute: async () => {
+          calls[name] = (calls[name] || 0) + 1;
+          return calls[name] > failures
+            ? { ok: true, type: name, data: {}, errors: [], warnings: [], meta: {} }
+            : { ok: false, type: name, data: {}, errors: [`${name} failed (${calls[name]})`], warnings: [], meta: { code } };
+        }
+      });
+    };
+    failing('retryFlaky', 2, 'NETWORK_ERROR');
+    failing('retryExhausted', Infinity, 'NETWORK_ERROR');
+    failing('retryInvalid', Infinity, 'VALIDATION_ERROR');
+    failing('retryUnlisted', Infinity, 'NETWORK_ERROR');
+
+    const define = (name, action, retry) => this.coordinator.defineWorkflow(name, {
+      name,
+      start: 'step',
+      nodes: {
+        step: { type: 'action', action, idempotent: false, retry, errorPolicy: 'stop', next: 'end' },
+        end: { type: 'end' }
+      }
+    });
+    define('retryFlakyTest', 'retryFlaky', { attempts: 3, backoffMs: 10 });
+    define('retryExhaustedTest', 'retryExhausted', { attempts: 2, backoffMs: 10 });
+    define('retryInvalidTest', 'retryInvalid', { attempts: 3, backoffMs: 10 });
+    define('retryUnlistedTest', 'retryUnlisted', { attempts: 3, backoffMs: 10, retryOn: ['TIMEOUT'] });
+
+    // Record backoff delays while still waiting them out
+    const delays = [];
+    const sleep = this.coordinator.sleep;
+    this.coordinator.sleep = (ms, signal) => {
+      delays.push(ms);
+      return sleep.call(this.coordinator, ms, signal);
+    };
+
+    try {
+      const flaky = await this.coordinator.execute('retryFlakyTest', {});
+      const flakyDelays = delays.splice(0).join();
+      const exhausted = await this.coordinator.execute('retryExhaustedTest', {});
+      const invalid = await this.coordinator.execute('retryInvalidTest', {});
+      const unlisted = await this.coordinator.execute('retryUnlistedTest', {});
+
+      const checks = {
+        flakySucceeds: flaky.ok && calls.retryFlaky === 3 && flaky.data?.results?.retryFlaky?.meta?.attempts === 3,
+        backoffDoubles: flakyDelays === '10,20',
+        exhaustedFails: !exhausted.ok && calls.retryExhausted === 2 && exhausted.meta?.failures?.[0]?.attempts === 2,
+        validationNotRetried: !invalid.ok && calls.retryInvalid === 1 && invalid.meta?.failures?.[0]?.code === 'VALIDATION_ERROR',
+        retryOnRestricts: !unlisted.ok && calls.retryUnlisted === 1
+      };
+
+      this.testResults.push({
+        name: this.activeTest,
+        success: Object.values(checks).every(Boolean),
+        duration: 0,
+        details: { checks, calls, errors: [...exhausted.errors, ...invalid.errors, ...unlisted.errors] }
+      });
+
+      console.log('Retry results:', checks);
+    } finally {
+      this.coordinator.sleep = sleep;
+    }
+  }
+
+  /**
+   * Test the awaited pre-hooks: a preExecute listener adjusts a node's input
+   * without touching the caller's context, a veto stops the node without a
+   * retry, and a preApplyDamage veto stops the apply action
+   */
+  async testPreHookVeto() {
+    this.activeTest = 'Pre-Hook Veto Test';
+    console.log(`\n=== ${this.activeTest} ===`);
+
+    let ran = 0;
+    let seenDc = null;
+    this.registerScriptedAction('vetoTarget', async (context) => {
+      ran++;
+      seenDc = context.config.dc;
+    });
+    this.coordinator.defineWorkflow('preHookVetoTest', {
+      name: 'preHookVetoTest',
+      start: 'step',
+      nodes: {
+        step: { type: 'action', action: 'vetoTarget', idempotent: false, retry: { attempts: 3 }, errorPolicy: 'stop', next: 'end' },
+        end: { type: 'end' }
+      }
+    });
+
+    const raiseDc = async (data) => {
+      if (data.action === 'vetoTarget') data.context.config.dc = 15;
+    };
+    const holdAction = async (data) => {
+      if (data.action !== 'vetoTarget') return;
+      data.reason = 'Held by a reaction';
+      return false;
+    };
+    const blockApply = (data) => {
+      data.reason = 'Blocked by a shield';
+      return false;
+    };
+
+    const config = { dc: 10 };
+    Hooks.on('sw5e-helper.action.preExecute', raiseDc);
+    try {
+      const adjusted = await this.coordinator.execute('preHookVetoTest', { config });
+
+      Hooks.on('sw5e-helper.action.preExecute', holdAction);
+      const vetoed = await this.coordinator.execute('preHookVetoTest', { config });
+      const failure = vetoed.meta?.failures?.[0];
+
+      Hooks.on('sw5eHelper.preApplyDamage', blockApply);
+      const applied = await ApplyAction.execute({ targetIds: ['scene:token'], config: { damage: 5 } });
+
+      const checks = {
+        inputAdjusted: adjusted.ok && seenDc === 15,
+        callerUntouched: config.dc === 10,
+        vetoStopsNode: !vetoed.ok && ran === 1 && vetoed.errors.some(e => /Held by a reaction/.test(e)),
+        vetoNotRetried: failure?.code === 'VETOED' && failure.attempts === 1,
+        applyVetoed: !applied.ok && applied.meta?.code === 'VETOED' && applied.errors.join() === 'Blocked by a shield'
+      };
+
+      this.testResults.push({
+        name: this.activeTest,
+        success: Object.values(checks).every(Boolean),
+        duration: 0,
+        details: { checks, errors: [...vetoed.errors, ...applied.errors] }
+      });
+
+      console.log('Pre-hook veto results:', checks);
+    } finally {
+      Hooks.off('sw5e-helper.action.preExecute', raiseDc);
+      Hooks.off('sw5e-helper.action.preExecute', holdAction);
+      Hooks.off('sw5eHelper.preApplyDamage', blockApply);
+    }
+  }
+
+  /**
+   * Register a test action from plain functions
+   * `execute` may return result data or throw; it is wrapped in a Result.
+   * @param {string} name - Action name
+   * @param {Function} execute - Receives the context and `{ signal }`
+   * @param {Function} [compensate] - Receives the context and result
+   */
+  registerScriptedAction(name, execute, compensate) {
+    this.coordinator.registerAction(name, {
+      name,
+      validate: () => {},
+      checkPermission: () => {},
+      execute: async (context, options) => {
+        const data = await execute(context, options);
+        return { ok: true, type: name, data: data ?? {}, errors: [], warnings: [], meta: {} };
+      },
+      ...(compensate ? { compensate } : {})
+    });
+  }
+
   /**
    * Create test execution context
    */
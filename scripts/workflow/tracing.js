@@ -0,0 +1,170 @@
+/**
+ * Workflow Tracing
+ * Span-style timing for workflow runs - one span per run and per node, with
+ * the action, roll count and document writes - plus a rolling store of
+ * durations for percentile metrics across runs.
+ */
+
+/** Documents whose create/update/delete counts as a write */
+const WRITE_DOCUMENTS = ['Actor', 'Item', 'ActiveEffect', 'ChatMessage', 'Token', 'Combatant'];
+
+/**
+ * Counts document writes made from this client
+ * Foundry's pre-hooks fire only on the client making the change, so the count
+ * covers this client's writes; spans read it at start and end. Writes from
+ * other executions running at the same time land in the same count.
+ */
+export class DocumentWriteCounter {
+  /** @type {number} Writes since the counter was installed */
+  static count = 0;
+
+  static installed = false;
+
+  /**
+   * Listen for document writes; safe to call more than once
+   */
+  static install() {
+    if (this.installed) return;
+    this.installed = true;
+
+    const increment = () => { this.count++; };
+    for (const name of WRITE_DOCUMENTS) {
+      for (const action of ['preCreate', 'preUpdate', 'preDelete']) {
+        Hooks.on(`${action}${name}`, increment);
+      }
+    }
+  }
+}
+
+/**
+ * Spans for one workflow execution
+ */
+export class WorkflowTrace {
+  /**
+   * @param {Object} options - Trace options
+   * @param {string} options.workflowId - Execution ID (the trace ID)
+   * @param {string} options.workflow - Workflow name
+   * @param {string} [options.resumedFrom] - Execution ID this run resumed
+   */
+  constructor({ workflowId, workflow, resumedFrom = null }) {
+    this.traceId = workflowId;
+    this.workflow = workflow;
+    this.resumedFrom = resumedFrom;
+    this.spans = [];
+  }
+
+  /**
+   * Open a span
+   * @param {string} name - Span name (e.g. "workflow:fullAttackWorkflow", "node:rollAttack")
+   * @param {Object} [attributes] - Span attributes
+   * @param {Object} [parent] - Parent span
+   * @returns {Object} Open span
+   */
+  start(name, attributes = {}, parent = null) {
+    const span = {
+      spanId: `${this.traceId}:${this.spans.length}`,
+      parentId: parent?.spanId ?? null,
+      name,
+      start: Date.now(),
+      end: null,
+      duration: null,
+      attributes: { ...attributes },
+      writesAtStart: DocumentWriteCounter.count
+    };
+    this.spans.push(span);
+    return span;
+  }
+
+  /**
+   * Close a span
+   * @param {Object} span - Open span
+   * @param {Object} [attributes] - Attributes known once the span ends
+   */
+  end(span, attributes = {}) {
+    span.end = Date.now();
+    span.duration = span.end - span.start;
+    span.attributes = { ...span.attributes, ...attributes, writes: DocumentWriteCounter.count - span.writesAtStart };
+  }
+
+  /**
+   * Plain-object form for export
+   * @returns {Object} Serialized trace
+   */
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      workflow: this.workflow,
+      resumedFrom: this.resumedFrom,
+      spans: this.spans.map(({ writesAtStart, ...span }) => span)
+    };
+  }
+}
+
+/**
+ * Rolling duration samples with percentile summaries
+ */
+export class MetricsStore {
+  /**
+   * @param {number} [sampleSize] - Samples kept per key; older samples roll off
+   */
+  constructor(sampleSize = 200) {
+    this.sampleSize = sampleSize;
+
+    /** @type {Map<string, {samples: number[], count: number, errors: number}>} */
+    this.series = new Map();
+  }
+
+  /**
+   * Record a duration
+   * @param {string} key - Series key (e.g. "action:attack")
+   * @param {number} duration - Duration in ms
+   * @param {boolean} [ok] - Whether the timed work succeeded
+   */
+  record(key, duration, ok = true) {
+    let series = this.series.get(key);
+    if (!series) {
+      series = { samples: [], count: 0, errors: 0 };
+      this.series.set(key, series);
+    }
+
+    series.samples.push(duration);
+    if (series.samples.length > this.sampleSize) series.samples.shift();
+    series.count++;
+    if (!ok) series.errors++;
+  }
+
+  /**
+   * Percentile summary for each series
+   * `count` and `errors` cover every recorded sample; the timings cover the
+   * retained window.
+   * @returns {Object<string, Object>} Summaries by key
+   */
+  summary() {
+    const summaries = {};
+    for (const [key, { samples, count, errors }] of this.series) {
+      const sorted = [...samples].sort((a, b) => a - b);
+      const at = (p) => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+      summaries[key] = {
+        count,
+        errors,
+        window: sorted.length,
+        mean: Math.round(sorted.reduce((sum, d) => sum + d, 0) / sorted.length),
+        p50: at(0.5),
+        p90: at(0.9),
+        p95: at(0.95),
+        p99: at(0.99),
+        max: sorted[sorted.length - 1]
+      };
+    }
+    return summaries;
+  }
+
+  /**
+   * Drop every series
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+export default { DocumentWriteCounter, WorkflowTrace, MetricsStore };